@@ -3,6 +3,8 @@
 
 const Pathing   = require('util.pathing');
 const EnergyUtil = require('util.energy');
+const Logistics  = require('manager.logistics');
+const RoomCache  = require('util.cache');
 
 module.exports = {
     run(creep) {
@@ -21,39 +23,13 @@ module.exports = {
             return;
         }
 
-        // --- 2) FILL SPAWN/EXTENSIONS ---
-   const needy = room.find(FIND_MY_STRUCTURES, {
-            filter: s =>
-                (s.structureType === STRUCTURE_SPAWN ||
-                 s.structureType === STRUCTURE_EXTENSION) &&
-                s.store.getFreeCapacity(RESOURCE_ENERGY) > 0
-        });
-
-        if (needy.length) {
-            const target = creep.pos.findClosestByPath(needy);
-            const res = creep.transfer(target, RESOURCE_ENERGY);
-
-            if (res === ERR_NOT_IN_RANGE) Pathing.moveTo(creep, target);
-            return;
-        }
-
-        // --- 2b) KEEP TOWERS FED ---
-        const towers = room.find(FIND_MY_STRUCTURES, {
-            filter: s =>
-                s.structureType === STRUCTURE_TOWER &&
-                s.store.getFreeCapacity(RESOURCE_ENERGY) > 0
-        });
-
-        if (towers.length) {
-            const target = creep.pos.findClosestByPath(towers);
-            const res = creep.transfer(target, RESOURCE_ENERGY);
-
-            if (res === ERR_NOT_IN_RANGE) Pathing.moveTo(creep, target);
+        // --- 2) FILL SPAWN/EXTENSIONS, KEEP TOWERS FED (logistics board) ---
+        if (Logistics.deliver(creep, { maxPriority: Logistics.PRIORITY.TOWER })) {
             return;
         }
 
         // --- 3) BUILD ---
-        const sites = room.find(FIND_CONSTRUCTION_SITES);
+        const sites = RoomCache.sites(room);
         if (sites.length) {
             const site = creep.pos.findClosestByPath(sites);
             const res = creep.build(site);
@@ -0,0 +1,118 @@
+// behavior.retreat.js
+// Civilian creeps run from armed hostiles to ramparts / tower cover and go back to work once it's quiet.
+
+const Config    = require('config');
+const Pathing   = require('util.pathing');
+const Traffic   = require('util.traffic');
+const RoomCache = require('util.cache');
+
+const RetreatConfig = Config.RETREAT || {};
+
+const MELEE_RANGE  = RetreatConfig.MELEE_RANGE || 3;
+const RANGED_RANGE = RetreatConfig.RANGED_RANGE || 5;
+const RESUME_TICKS = RetreatConfig.RESUME_TICKS || 5;
+
+/**
+ * This tick's threats per room.
+ * @type {{tick:number,rooms:Record<string, Array<{pos:RoomPosition,range:number}>>}}
+ */
+let threatCache = { tick: -1, rooms: {} };
+
+/**
+ * Retreat behavior.
+ *
+ * A creep without ATTACK or RANGED_ATTACK parts that comes within reach of a
+ * hostile that has them (Config.RETREAT.MELEE_RANGE / RANGED_RANGE) drops its
+ * role and flees (Pathing.flee). A creep already standing on one of our
+ * ramparts holds its ground there. Once no threat has been in reach for
+ * Config.RETREAT.RESUME_TICKS the role takes over again, from the state it
+ * was in. creep.memory.retreat holds the last threatened tick.
+ */
+const Retreat = {
+    /**
+     * Run a creep's retreat if it needs one.
+     *
+     * @param {Creep} creep
+     * @returns {boolean} true if the creep was handled (skip its role this tick)
+     */
+    handle(creep) {
+        if (creep.spawning || this._isArmed(creep)) return false;
+
+        const threats = this.threats(creep.room);
+        const near = threats.filter(t => creep.pos.inRangeTo(t.pos, t.range));
+
+        if (near.length > 0) {
+            if (creep.memory.retreat === undefined) {
+                console.log(`[Retreat] ${creep.name} fleeing ${near.length} hostile(s) at ${creep.pos}`);
+            }
+            creep.memory.retreat = Game.time;
+
+            if (this._onRampart(creep)) {
+                Traffic.pin(creep, creep.pos, 0);
+                return true;
+            }
+
+            // Keep clear of every threat in the room, not just the close ones
+            Pathing.flee(creep, threats.map(t => ({ pos: t.pos, range: t.range + 1 })));
+            return true;
+        }
+
+        if (creep.memory.retreat === undefined) return false;
+
+        // Wait out a hostile that steps back and forth at the edge of reach
+        if (Game.time - creep.memory.retreat < RESUME_TICKS) {
+            if (this._onRampart(creep)) Traffic.pin(creep, creep.pos, 0);
+            return true;
+        }
+
+        delete creep.memory.retreat;
+        return false;
+    },
+
+    /**
+     * Armed hostiles in a room with how far to keep from each.
+     *
+     * @param {Room} room
+     * @returns {Array<{pos:RoomPosition,range:number}>}
+     */
+    threats(room) {
+        if (threatCache.tick !== Game.time) threatCache = { tick: Game.time, rooms: {} };
+        if (threatCache.rooms[room.name]) return threatCache.rooms[room.name];
+
+        const threats = [];
+        const hostiles = RoomCache.hostiles(room);
+        for (let i = 0; i < hostiles.length; i++) {
+            const h = hostiles[i];
+            let range = 0;
+            if (h.getActiveBodyparts(RANGED_ATTACK) > 0) range = RANGED_RANGE;
+            else if (h.getActiveBodyparts(ATTACK) > 0) range = MELEE_RANGE;
+            if (range > 0) threats.push({ pos: h.pos, range });
+        }
+
+        threatCache.rooms[room.name] = threats;
+        return threats;
+    },
+
+    /**
+     * Creeps that can fight back don't run.
+     *
+     * @param {Creep} creep
+     * @returns {boolean}
+     * @private
+     */
+    _isArmed(creep) {
+        return creep.getActiveBodyparts(ATTACK) > 0 || creep.getActiveBodyparts(RANGED_ATTACK) > 0;
+    },
+
+    /**
+     * @param {Creep} creep
+     * @returns {boolean}
+     * @private
+     */
+    _onRampart(creep) {
+        return RoomCache.myStructures(creep.room, STRUCTURE_RAMPART)
+            .some(r => r.pos.x === creep.pos.x && r.pos.y === creep.pos.y);
+    }
+};
+
+module.exports = Retreat;
@@ -1,18 +1,9 @@
 // config.js
 // Centralized configuration for roles, population, spawning, pathing and roads.
 
-const ROLES = Object.freeze({
-    HARVESTER: "harvester",
-    UPGRADER:  "upgrader",
-    BUILDER:   "builder"
-});
+const RoleRegistry = require("role.registry");
 
 const POPULATION = {
-    // Target minimums per room
-    MIN_HARVESTERS: 3,
-    MIN_UPGRADERS:  4,
-    MIN_BUILDERS:   1,
-
     // In an emergency (no harvesters), we want at least this many ASAP
     EMERGENCY_HARVESTERS: 2,
 
@@ -36,33 +27,75 @@ const POPULATION = {
     MIN_ROOM_ENERGY_TO_SPAWN: 200,
 
     // Minimum energy to allow an emergency cheap harvester
-    EMERGENCY_MIN_ENERGY: 200
+    EMERGENCY_MIN_ENERGY: 200,
+
+    // Static mining: haulers always kept, and extra ticks per round trip
+    // (transfers, traffic) when sizing hauler carry capacity
+    MIN_HAULERS: 1,
+    HAULER_TRIP_OVERHEAD: 10
 };
 
 const SPAWN = {
-    // Standard bodies keyed by lowercase role name
-    BODY: Object.freeze({
-        [ROLES.HARVESTER]: [WORK, WORK, CARRY, MOVE, MOVE],
-        [ROLES.UPGRADER]:  [WORK, CARRY, CARRY, MOVE, MOVE],
-        [ROLES.BUILDER]:   [WORK, CARRY, CARRY, MOVE, MOVE]
-    }),
+    // Body patterns keyed by role name, registered by each role module. A body
+    // is `base` plus `unit` repeated as often as the energy budget allows (up
+    // to `maxRepeats`), then topped up with MOVE parts per non-MOVE part using
+    // `moveRatio`.
+    get BODY_PATTERN() { return RoleRegistry.bodyPatterns(); },
+
+    // Rooms with at least this many road tiles get road-ratio (fewer MOVE) bodies
+    ROAD_BODY_MIN_ROADS: 10,
+
+    // Roles whose replacement is queued before they die (spawn time + travel)
+    get PRESPAWN_ROLES() { return RoleRegistry.prespawnRoles(); },
+    PRESPAWN_DEFAULT_TRAVEL: 25, // Travel ticks assumed until a creep has measured its own
+    PRESPAWN_MARGIN: 10,         // Slack for queue waits / traffic
 
     // Super-cheap emergency body when we have zero harvesters
-    EMERGENCY_BODY: Object.freeze({
-        [ROLES.HARVESTER]: [WORK, CARRY, MOVE] // 200 energy
-    }),
+    get EMERGENCY_BODY() { return RoleRegistry.emergencyBodies(); },
 
-    // Relative priorities if you later want a more advanced spawn scoring system
-    PRIORITY: Object.freeze({
-        [ROLES.HARVESTER]: 1,
-        [ROLES.UPGRADER]:  2,
-        [ROLES.BUILDER]:   3
+    // Spawn queue priorities per role (lower number = spawned first)
+    get PRIORITY() { return RoleRegistry.priorities(); },
+
+    // Spawn queue scoring: score = (10 - priority) * PRIORITY_WEIGHT
+    //                            + urgency * URGENCY_WEIGHT
+    //                            + min(demand, MAX_DEMAND) * DEMAND_WEIGHT
+    QUEUE: Object.freeze({
+        DEFAULT_PRIORITY: 5,
+        PRIORITY_WEIGHT: 100,
+        URGENCY_WEIGHT: 10,
+        DEMAND_WEIGHT: 5,
+        MAX_DEMAND: 5,
+        DEFAULT_TTL: 50 // ticks an un-refreshed request stays queued
     })
 };
 
 const PATHING = Object.freeze({
     STUCK_TICKS: 3,
-    MAX_OPS: 2000
+    MAX_OPS: 2000,
+
+    // Heap cost matrices (util.costmatrix) are rebuilt when structures change,
+    // and at least this often in case a change slipped past the check
+    MATRIX_REFRESH_TICKS: 1000,
+
+    // Combat matrix: extra cost near hostile towers / ramparts
+    COMBAT_TOWER_RANGE: 10,
+    COMBAT_TOWER_COST: 40,
+    COMBAT_RAMPART_RANGE: 3,     // Ranged attack reach from behind a rampart
+    COMBAT_RAMPART_COST: 30,
+
+    // Multi-room moves
+    ROUTE_CACHE_TICKS: 500,      // Room routes (Game.map.findRoute) are shared this long
+    MULTI_ROOM_REUSE: 50,        // Cross-room paths are reused this long by default
+    MAX_ROUTE_OPS: 20000,        // MAX_OPS scales with the route length up to this
+
+    // Shared heap path cache (util.pathcache)
+    SHARED_PATH_TICKS: 100,      // Other creeps may join a computed path this long
+    SHARED_PATHS_PER_TARGET: 4,  // Newest paths kept per destination
+
+    // Fleeing (Pathing.flee): 'safe' matrix
+    FLEE_MAX_OPS: 500,
+    SAFE_TOWER_RANGE: 10,        // Tiles this close to one of our towers count as covered
+    SAFE_EXPOSED_COST: 4         // Cost of uncovered tiles (plains are 2; swamps keep 10 unless this is higher)
 });
 
 const ROADS = Object.freeze({
@@ -71,13 +104,17 @@ const ROADS = Object.freeze({
     DECAY_PER_RUN: 1,
     MAX_TILES_PER_ROOM: 500,
     MAX_CONSTRUCTION_SITES_PER_RUN: 3,
-    TICK_INTERVAL: 5
+    TICK_INTERVAL: 5,
+    // Unbuilt blueprint roads are re-requested this often, so their
+    // construction requests never reach CONSTRUCTION.REQUEST_TTL
+    LAYOUT_REFRESH_TICKS: 1000
 });
 
 const DEFENSE = Object.freeze({
     ENABLED: true,
     START_RCL: 3,                 // Start planning defenses once ramparts are allowed
     MAX_RAMPART_SITES_PER_RUN: 8, // Ramparts per planning tick
+    RAMPART_BUFFER: 3,            // Min-cut rampart line keeps this many tiles around the core inside
     MAX_TOWER_SITES_PER_RUN: 1,   // Towers are expensive, trickle-build them
     REPAIR: Object.freeze({
         MIN_TOWER_ENERGY: 300,     // Don't repair if towers are too low on energy
@@ -87,17 +124,147 @@ const DEFENSE = Object.freeze({
     })
 });
 
-const UPGRADE = Object.freeze({
-    STORAGE_ENERGY_THRESHOLD: 50000, // Start spawning bonus upgraders once storage is healthy
-    MAX_BONUS_UPGRADERS: 2
+const LAYOUT = Object.freeze({
+    // Base blueprint (planner.layout)
+    EDGE_MARGIN: 3,              // Keep stamped structures this far from exits
+    MAX_SITES_PER_RUN: 10        // Sites placed per structure type per planning run
+});
+
+const CONSTRUCTION = Object.freeze({
+    // Construction broker (manager.construction)
+    GLOBAL_BUDGET: 90,           // Our sites across all rooms (the engine allows 100)
+    ROOM_BUDGET: 20,             // Sites per room at once
+    LOW_PRIORITY: 6,             // Requests at this priority or worse (ramparts, roads) ...
+    RESERVED_SLOTS: 5,           // ... leave this many sites of both budgets free
+    MAX_PER_TICK: 10,            // Sites released per room per tick
+    REQUEST_TTL: 3000,           // Requests nobody refreshed this long are dropped
+    MAX_ATTEMPTS: 3,             // Failed placements before a request is dropped
+    RETRY_TICKS: 500,            // A dropped request's tile is ignored this long
+    DEFAULT_PRIORITY: 5,
+
+    // Release order per structure type (lower number = placed first)
+    PRIORITY: Object.freeze({
+        [STRUCTURE_SPAWN]: 0,
+        [STRUCTURE_EXTENSION]: 1,
+        [STRUCTURE_TOWER]: 2,
+        [STRUCTURE_STORAGE]: 3,
+        [STRUCTURE_CONTAINER]: 4,
+        [STRUCTURE_LINK]: 5,
+        [STRUCTURE_RAMPART]: 6,
+        [STRUCTURE_ROAD]: 7
+    })
+});
+
+const VISUAL = Object.freeze({
+    // Room overlay (util.visual), switched on per room from the console
+    MIN_BUCKET: 2000,            // Don't draw below this CPU bucket
+    MAX_CPU_PER_ROOM: 5,         // Stop drawing a room's layers past this much CPU
+    TOWER_RANGE: 5               // Tower cover drawn at full-damage range
+});
+
+const LINKS = Object.freeze({
+    CONTROLLER_TARGET: 600, // Keep the controller link at least this full for upgraders
+    MIN_TRANSFER: 100       // Don't fire a link (and its cooldown) for less than this
+});
+
+const MINERALS = Object.freeze({
+    START_RCL: 6,              // Extractors unlock at RCL 6
+    MIN_FREE_SPACE: 20000,     // Storage/terminal space needed to keep mining
+    HAUL_THRESHOLD: 500        // Minerals in the container before a hauler fetches them
+});
+
+const LIFECYCLE = Object.freeze({
+    EVAL_INTERVAL: 10,          // Ticks between renew / recycle decisions
+    IDLE_SMOOTHING: 0.01,       // Moving-average weight for the spawn idle ratio
+    RENEW_MIN_BODY_COST: 1000,  // Only bodies at least this expensive are worth renewing
+    RENEW_BELOW_TTL: 400,       // Consider renewal once ticksToLive drops below this
+    RENEW_TARGET_TTL: 1400,     // Stop renewing at this ticksToLive
+    RENEW_MAX_RANGE: 8,         // Max distance to the spawn for a renewal trip
+    RENEW_MIN_IDLE: 0.3,        // Spawns must be idle at least this share of the time
+    SPAWN_TICK_VALUE: 10,       // Energy value of one busy spawn tick
+    DETOUR_TICK_VALUE: 5,       // Energy value of one tick of work lost walking
+    OBSOLETE_RATIO: 0.5,        // Bodies costing less than this share of their role's full build are obsolete
+    STORAGE_DRY: 5000           // Storage below this can't feed surplus upgraders
+});
+
+const LEDGER = Object.freeze({
+    // Moving-average windows (ticks) for the energy ledger
+    WINDOWS: Object.freeze({ short: 100, medium: 1000, long: 10000 }),
+    MIN_SAMPLES: 100            // Don't steer spawning on a ledger younger than this
+});
+
+const LOGISTICS = Object.freeze({
+    // Delivery priorities on the logistics board (lower = served first)
+    PRIORITY: Object.freeze({
+        SPAWN: 0,         // Spawns + extensions
+        TOWER_ATTACK: 1,  // Towers while hostiles are in the room
+        TOWER: 3,
+        CONTROLLER: 4,    // Controller container (upgraders)
+        LAB: 5,
+        TERMINAL: 6,
+        STORAGE: 7,
+        CONTAINER: 7      // Loose containers that aren't source/mineral containers
+    }),
+    TERMINAL_ENERGY_TARGET: 20000, // Terminal only asks for energy up to this
+    MIN_CONTAINER_FILL: 200,       // Controller container asks once it has this much room
+    MIN_DROP: 20                   // Ignore dropped piles smaller than this
+});
+
+const ECONOMY = Object.freeze({
+    // Population is sized in WORK parts per role (see util.economy)
+    HARVESTER_DUTY: 0.5,        // Share of a walking harvester's life spent harvesting
+    WORKER_DUTY: 0.5,           // Same for upgraders / builders (refill trips)
+    SPAWN_UPKEEP_SHARE: 0.2,    // Share of income assumed spent on spawning until the ledger has history
+    BACKLOG_TICKS: 1500,        // Aim to clear construction + repair backlog within this many ticks
+    MIN_UPGRADER_WORK: 1,       // Always keep the controller from downgrading
+    STORAGE_TARGET: 50000,      // Storage energy above this is spent on upgrading...
+    STORAGE_DRAIN_TICKS: 5000,  // ...spread over this many ticks
+    MIN_DEFICIT_SHARE: 0.5      // Don't top up a staffed role for less than this share of a full body
+});
+
+const RETREAT = Object.freeze({
+    // Civilian creeps running from armed hostiles (behavior.retreat)
+    MELEE_RANGE: 3,              // Keep this far from hostiles with ATTACK
+    RANGED_RANGE: 5,             // ...and from hostiles with RANGED_ATTACK
+    RESUME_TICKS: 5              // Threat-free ticks before going back to work
+});
+
+const INTEL = Object.freeze({
+    // Room intel for route planning (util.intel)
+    REFRESH_TICKS: 100,          // Re-record a visible room at most this often
+    AVOID_SOURCE_KEEPERS: true,  // Route around source keeper rooms
+    ROUTE_COST: Object.freeze({  // Game.map.findRoute cost per room (avoided rooms: Infinity)
+        OWN: 1,
+        HIGHWAY: 1.5,
+        DEFAULT: 2,
+        RESERVED: 5              // Reserved by another player
+    })
+});
+
+const STATE = Object.freeze({
+    // Creep state machines (util.state)
+    STUCK_TICKS: 300,           // Log a creep that stays in one state longer than this
+    LOG_TRANSITIONS: false      // Log every state change (noisy; for debugging)
 });
 
 module.exports = {
-    ROLES,
+    // Role name constants, generated from the role registry
+    get ROLES() { return RoleRegistry.roleNames(); },
     POPULATION,
     SPAWN,
     PATHING,
     ROADS,
     DEFENSE,
-    UPGRADE
+    LAYOUT,
+    CONSTRUCTION,
+    VISUAL,
+    LINKS,
+    MINERALS,
+    LIFECYCLE,
+    LEDGER,
+    LOGISTICS,
+    ECONOMY,
+    RETREAT,
+    INTEL,
+    STATE
 };
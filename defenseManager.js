@@ -24,8 +24,7 @@ const DefenseManager = {
             // 3. Wall / rampart upkeep
             wallManager.run(context);
 
-            // 4. Defender creep handling (optional)
-            this.manageDefenders(context);
+            // Defenders are requested by role.defender's spawn demand
 
             if (Game.time % 50 === 0 && context.threatLevel > 0) {
                 console.log(`[Defense] Room ${room.name} threatLevel=${context.threatLevel} hostiles=${context.hostiles.length}`);
@@ -101,44 +100,6 @@ const DefenseManager = {
                 mem.panicModeUntil = Game.time + 1000;
             }
         }
-    },
-
-    manageDefenders(context) {
-        const { room, threatLevel, hostiles } = context;
-
-        if (!threatLevel || hostiles.length === 0) return;
-
-        const spawns = room.find(FIND_MY_SPAWNS, { filter: s => !s.spawning });
-        if (!spawns.length) return;
-
-        const DEFENDER_BODY_T1 = [TOUGH, TOUGH, MOVE, MOVE, ATTACK, ATTACK];
-        const DEFENDER_BODY_T2 = [TOUGH, TOUGH, TOUGH, MOVE, MOVE, MOVE, ATTACK, ATTACK, ATTACK, ATTACK];
-
-        let desiredCount = 0;
-        if (threatLevel < 40) desiredCount = 1;
-        else if (threatLevel < 80) desiredCount = 2;
-        else desiredCount = 3;
-
-        const defenders = _.filter(Game.creeps, c =>
-            c.memory.role === 'defender' && c.memory.home === room.name);
-
-        if (defenders.length >= desiredCount) return;
-
-        const body = room.energyCapacityAvailable >= 1000 ? DEFENDER_BODY_T2 : DEFENDER_BODY_T1;
-        const name = `Def-${room.name}-${Game.time}`;
-        const spawn = _.first(spawns);
-
-        const res = spawn.spawnCreep(body, name, {
-            memory: {
-                role: 'defender',
-                home: room.name,
-                targetRoom: room.name
-            }
-        });
-
-        if (res === OK) {
-            console.log(`[Defense] Spawning defender ${name} in ${room.name} (threatLevel=${threatLevel})`);
-        }
     }
 };
 
@@ -1,19 +1,23 @@
 // main.js
 // Central game loop: room management, planning, creep behavior, profiling.
 
-const Config         = require('config');
 const RoomManager    = require('manager.room');
 const MemoryUtil     = require('util.memory');
+const EnergyUtil     = require('util.energy');
 const Profiler       = require('util.profiler');
 
-const roleHarvester  = require('role.harvester');
-const roleUpgrader   = require('role.upgrader');
-const roleBuilder    = require('role.builder');
+const RoleRegistry   = require('role.registry');
 const Fallback       = require('behavior.fallback');
+const Retreat        = require('behavior.retreat');
+const LifecycleManager = require('manager.lifecycle');
+const Traffic        = require('util.traffic');
+const ErrorHandler   = require('util.error');
 
 const RoadPlanner    = require('planner.road');
 const StoragePlanner = require('planner.storage');
 const DefensePlanner = require('planner.defense'); // 👈 IMPORTANT
+const Construction   = require('manager.construction');
+const Visualizer     = require('util.visual');
 
 /**
  * Main Screeps loop.
@@ -37,13 +41,25 @@ module.exports.loop = function () {
         module.exports._runCreepBehavior();
         Profiler.end('creep-behavior');
 
+        // --- TRAFFIC: resolve every creep's move together ---
+        Profiler.start('traffic');
+        Traffic.run();
+        Profiler.end('traffic');
+
+        // --- OVERLAY: only rooms switched on from the console ---
+        Profiler.start('visual');
+        Visualizer.run();
+        Profiler.end('visual');
+
         // --- MEMORY / PROFILER MAINTENANCE ---
         MemoryUtil.cleanPathCaches && MemoryUtil.cleanPathCaches();
-        Profiler.cleanup && Profiler.cleanup();
+        EnergyUtil.cleanReservations();
 
+        // Report before cleanup: both fire on the same tick
         if (Game.time % 100 === 0 && Profiler.report) {
             Profiler.report();
         }
+        Profiler.cleanup && Profiler.cleanup();
 
     } catch (e) {
         console.log('[MAIN] ERROR in main loop:', e.stack || e);
@@ -69,8 +85,11 @@ module.exports._runPlanning = function () {
         RoadPlanner.planLayout(room);
         RoadPlanner.run(room);
 
-        // 3) Defenses: borders + towers
+        // 3) Defenses: rampart line + towers
         DefensePlanner.planLayout(room);
+
+        // 4) Place what the planners asked for, best first, within the site budget
+        Construction.run(room);
     }
 };
 
@@ -82,16 +101,23 @@ module.exports._runCreepBehavior = function () {
 
     for (const name in creeps) {
         const creep = creeps[name];
-        const role  = creep.memory.role;
-
-        if (role === Config.ROLES.HARVESTER) {
-            roleHarvester.run(creep);
-        } else if (role === Config.ROLES.UPGRADER) {
-            roleUpgrader.run(creep);
-        } else if (role === Config.ROLES.BUILDER) {
-            roleBuilder.run(creep);
-        } else {
-            Fallback.run(creep);
+
+        // Civilians run from armed hostiles; the role resumes once it's quiet
+        if (Retreat.handle(creep)) continue;
+
+        // Renewal / recycling trips override the role
+        if (LifecycleManager.handle(creep)) {
+            RoadPlanner.trackStep(creep);
+            continue;
+        }
+
+        // A role that throws (or isn't registered) is logged; the other creeps keep running
+        try {
+            if (!RoleRegistry.run(creep)) {
+                Fallback.run(creep);
+            }
+        } catch (e) {
+            ErrorHandler.log(`role ${creep.memory.role}`, e, creep);
         }
 
         // Track movement for road usage
@@ -0,0 +1,255 @@
+// manager.construction.js
+// Construction broker: planners queue the sites they want, released by priority within a per-room and global budget.
+
+const Config    = require("config");
+const RoomCache = require("util.cache");
+
+const ConstructionConfig = Config.CONSTRUCTION || {};
+
+const GLOBAL_BUDGET    = ConstructionConfig.GLOBAL_BUDGET || 90;
+const ROOM_BUDGET      = ConstructionConfig.ROOM_BUDGET || 20;
+const RESERVED_SLOTS   = ConstructionConfig.RESERVED_SLOTS || 0;
+const LOW_PRIORITY     = ConstructionConfig.LOW_PRIORITY || 6;
+const MAX_PER_TICK     = ConstructionConfig.MAX_PER_TICK || 10;
+const REQUEST_TTL      = ConstructionConfig.REQUEST_TTL || 3000;
+const MAX_ATTEMPTS     = ConstructionConfig.MAX_ATTEMPTS || 3;
+const RETRY_TICKS      = ConstructionConfig.RETRY_TICKS || 500;
+const DEFAULT_PRIORITY = ConstructionConfig.DEFAULT_PRIORITY || 5;
+const PRIORITY         = ConstructionConfig.PRIORITY || {};
+
+/**
+ * Sites placed this tick across all rooms. Game.constructionSites only
+ * shows them next tick.
+ * @type {{tick:number,placed:number}}
+ */
+let tickBudget = { tick: -1, placed: 0 };
+
+/**
+ * Construction broker, kept in Memory.rooms[name].construction.
+ *
+ * Planners don't call createConstructionSite themselves: they `request` the
+ * sites they want, every run if they like (requests are keyed by type and
+ * tile, so re-requesting only refreshes them). Once per tick `run` releases
+ * the best requests while the room has fewer than Config.CONSTRUCTION.ROOM_BUDGET
+ * sites and we have fewer than GLOBAL_BUDGET overall:
+ *  - lower priority number first (Config.CONSTRUCTION.PRIORITY by type:
+ *    spawn > extensions > towers > storage > containers > links > ramparts
+ *    > roads), oldest first within a priority
+ *  - requests at LOW_PRIORITY or worse leave RESERVED_SLOTS of both budgets
+ *    free, so roads never starve the extension build
+ *  - ERR_RCL_NOT_ENOUGH waits for the next level; other errors are retried
+ *    MAX_ATTEMPTS times, then the tile is ignored for RETRY_TICKS
+ *  - requests nobody refreshed for REQUEST_TTL ticks are dropped
+ *
+ * Request shape:
+ *  - key       `${type}:${x}:${y}`
+ *  - x, y      tile
+ *  - type      structure type
+ *  - priority  lower is built first (defaults by type)
+ *  - reason    who asked and why (for logging / debugging)
+ *  - attempts  failed placements so far
+ *  - created / expires
+ */
+const ConstructionBroker = {
+    /**
+     * Get (and initialize) the request list for a room.
+     *
+     * @param {Room|string} room
+     * @returns {Array<Object>}
+     */
+    get(room) {
+        const mem = this._memory(room);
+        if (!Array.isArray(mem.construction)) mem.construction = [];
+        return mem.construction;
+    },
+
+    /**
+     * Ask for a construction site. Returns false when the tile is cooling
+     * down after failed attempts.
+     *
+     * @param {Room|string} room
+     * @param {number} x
+     * @param {number} y
+     * @param {string} type
+     * @param {Object} [opts]
+     * @param {number} [opts.priority] - defaults to Config.CONSTRUCTION.PRIORITY[type]
+     * @param {string} [opts.reason="unknown"]
+     * @returns {boolean} whether the request is queued
+     */
+    request(room, x, y, type, opts = {}) {
+        const key = `${type}:${x}:${y}`;
+
+        const failed = this._memory(room).constructionFailed;
+        if (failed && failed[key]) {
+            if (failed[key] > Game.time) return false;
+            delete failed[key];
+        }
+
+        const queue = this.get(room);
+        const priority = typeof opts.priority === "number" ? opts.priority : this.priority(type);
+
+        for (let i = 0; i < queue.length; i++) {
+            if (queue[i].key !== key) continue;
+            queue[i].priority = Math.min(queue[i].priority, priority);
+            queue[i].reason = opts.reason || queue[i].reason;
+            queue[i].expires = Game.time + REQUEST_TTL;
+            return true;
+        }
+
+        queue.push({
+            key,
+            x,
+            y,
+            type,
+            priority,
+            reason: opts.reason || "unknown",
+            attempts: 0,
+            created: Game.time,
+            expires: Game.time + REQUEST_TTL
+        });
+        return true;
+    },
+
+    /**
+     * Whether a site is queued (not yet placed) for this tile and type.
+     *
+     * @param {Room|string} room
+     * @param {number} x
+     * @param {number} y
+     * @param {string} type
+     * @returns {boolean}
+     */
+    has(room, x, y, type) {
+        const key = `${type}:${x}:${y}`;
+        return this.get(room).some(r => r.key === key);
+    },
+
+    /**
+     * Default priority of a structure type.
+     *
+     * @param {string} type
+     * @returns {number}
+     */
+    priority(type) {
+        return typeof PRIORITY[type] === "number" ? PRIORITY[type] : DEFAULT_PRIORITY;
+    },
+
+    /**
+     * Release queued requests as construction sites, best first. Call once
+     * per tick per owned room, after the planners.
+     *
+     * @param {Room} room
+     */
+    run(room) {
+        const queue = this.get(room);
+
+        for (let i = queue.length - 1; i >= 0; i--) {
+            if (queue[i].expires < Game.time) queue.splice(i, 1);
+        }
+
+        const failed = this._memory(room).constructionFailed;
+        for (const key in failed) {
+            if (failed[key] <= Game.time) delete failed[key];
+        }
+
+        if (queue.length === 0) return;
+
+        if (tickBudget.tick !== Game.time) tickBudget = { tick: Game.time, placed: 0 };
+
+        queue.sort((a, b) => a.priority - b.priority || a.created - b.created);
+
+        const roomSites = RoomCache.sites(room).length;
+        let roomFree = ROOM_BUDGET - roomSites;
+        let globalFree = GLOBAL_BUDGET - Object.keys(Game.constructionSites).length - tickBudget.placed;
+        let released = 0;
+
+        for (let i = 0; i < queue.length && released < MAX_PER_TICK; i++) {
+            const request = queue[i];
+            const reserve = request.priority >= LOW_PRIORITY ? RESERVED_SLOTS : 0;
+            // Sorted by priority: nothing after this one fits either
+            if (roomFree <= reserve || globalFree <= reserve) break;
+
+            const status = this._place(room, request);
+            if (status === "wait") continue;
+            if (status === "full") break;
+
+            if (status === "failed") {
+                request.attempts++;
+                if (request.attempts < MAX_ATTEMPTS) continue;
+                this._giveUp(room, request);
+            } else if (status === "placed") {
+                released++;
+                roomFree--;
+                globalFree--;
+                tickBudget.placed++;
+            }
+
+            queue.splice(i, 1);
+            i--;
+        }
+
+        if (released > 0) {
+            console.log(`[Construction ${room.name}] Placed ${released} site(s), ${queue.length} queued`);
+        }
+    },
+
+    /**
+     * Try to place one request.
+     *
+     * @param {Room} room
+     * @param {Object} request
+     * @returns {"placed"|"done"|"wait"|"full"|"failed"}
+     *   done: the structure or its site is already there
+     *   wait: not possible yet (RCL, another site on the tile)
+     *   full: the engine's site cap is reached
+     * @private
+     */
+    _place(room, request) {
+        const { x, y, type } = request;
+
+        const structures = room.lookForAt(LOOK_STRUCTURES, x, y);
+        if (structures.some(s => s.structureType === type)) return "done";
+
+        const sites = room.lookForAt(LOOK_CONSTRUCTION_SITES, x, y);
+        if (sites.some(s => s.structureType === type)) return "done";
+        if (sites.length > 0) return "wait";
+
+        const res = room.createConstructionSite(x, y, type);
+        if (res === OK) return "placed";
+        if (res === ERR_RCL_NOT_ENOUGH) return "wait";
+        if (res === ERR_FULL) return "full";
+        return "failed";
+    },
+
+    /**
+     * Drop a request that keeps failing and ignore its tile for a while.
+     *
+     * @param {Room} room
+     * @param {Object} request
+     * @private
+     */
+    _giveUp(room, request) {
+        const mem = this._memory(room);
+        if (!mem.constructionFailed) mem.constructionFailed = {};
+        mem.constructionFailed[request.key] = Game.time + RETRY_TICKS;
+
+        console.log(
+            `[Construction ${room.name}] Giving up on ${request.type} at ${request.x},${request.y} ` +
+            `[${request.reason}] after ${request.attempts} attempt(s)`
+        );
+    },
+
+    /**
+     * @param {Room|string} room
+     * @returns {Object} Memory.rooms[roomName]
+     * @private
+     */
+    _memory(room) {
+        const roomName = typeof room === "string" ? room : room.name;
+        if (!Memory.rooms) Memory.rooms = {};
+        if (!Memory.rooms[roomName]) Memory.rooms[roomName] = {};
+        return Memory.rooms[roomName];
+    }
+};
+
+module.exports = ConstructionBroker;
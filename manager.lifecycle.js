@@ -0,0 +1,312 @@
+// manager.lifecycle.js
+// Renewal and recycling policy: decide which creeps get renewed or recycled, then walk them to a spawn.
+
+const Config     = require("config");
+const Pathing    = require("util.pathing");
+const BodyUtil   = require("util.body");
+const SpawnQueue = require("manager.spawn.queue");
+const Lifecycle  = require("util.lifecycle");
+const EnergyLedger = require("util.ledger");
+const Economy    = require("util.economy");
+const RoomCache  = require("util.cache");
+const Traffic    = require("util.traffic");
+
+const LifecycleConfig = Config.LIFECYCLE || {};
+
+const EVAL_INTERVAL       = LifecycleConfig.EVAL_INTERVAL || 10;
+const IDLE_SMOOTHING      = LifecycleConfig.IDLE_SMOOTHING || 0.01;
+const RENEW_MIN_BODY_COST = LifecycleConfig.RENEW_MIN_BODY_COST || 1000;
+const RENEW_BELOW_TTL     = LifecycleConfig.RENEW_BELOW_TTL || 400;
+const RENEW_TARGET_TTL    = LifecycleConfig.RENEW_TARGET_TTL || 1400;
+const RENEW_MAX_RANGE     = LifecycleConfig.RENEW_MAX_RANGE || 8;
+const RENEW_MIN_IDLE      = LifecycleConfig.RENEW_MIN_IDLE || 0.3;
+const SPAWN_TICK_VALUE    = LifecycleConfig.SPAWN_TICK_VALUE || 10;
+const DETOUR_TICK_VALUE   = LifecycleConfig.DETOUR_TICK_VALUE || 5;
+const OBSOLETE_RATIO      = LifecycleConfig.OBSOLETE_RATIO || 0.5;
+const STORAGE_DRY         = LifecycleConfig.STORAGE_DRY || 5000;
+
+const RENEW   = "renew";
+const RECYCLE = "recycle";
+
+/**
+ * Lifecycle policy:
+ *  - Tracks how idle each room's spawns are (moving average in room memory)
+ *  - Periodically flags creeps with memory.lifecycle = "renew" | "recycle"
+ *  - Flagged creeps are walked to a spawn by `handle` instead of running their role
+ */
+const LifecycleManager = {
+    /**
+     * Per-room bookkeeping and periodic decisions. Call once per tick.
+     *
+     * @param {Room} room
+     * @param {Creep[]} creeps - creeps in the room
+     */
+    run(room, creeps) {
+        const spawns = RoomCache.myStructures(room, STRUCTURE_SPAWN);
+        if (spawns.length === 0) return;
+
+        this._trackIdle(room, spawns);
+
+        if (Game.time % EVAL_INTERVAL !== 0) return;
+
+        this._flagRenewals(room, spawns, creeps);
+        this._flagRecycling(room, creeps);
+    },
+
+    /**
+     * Run a flagged creep's renewal / recycling trip.
+     *
+     * @param {Creep} creep
+     * @returns {boolean} true if the creep was handled (skip its role this tick)
+     */
+    handle(creep) {
+        const mode = creep.memory.lifecycle;
+        if (mode !== RENEW && mode !== RECYCLE) return false;
+
+        const spawn = /** @type {StructureSpawn|null} */ (
+            Game.getObjectById(creep.memory.lifecycleSpawn) ||
+            creep.pos.findClosestByRange(FIND_MY_SPAWNS)
+        );
+        if (!spawn) {
+            delete creep.memory.lifecycle;
+            delete creep.memory.lifecycleSpawn;
+            return false;
+        }
+
+        if (!creep.pos.isNearTo(spawn)) {
+            Pathing.moveTo(creep, spawn);
+            return true;
+        }
+
+        if (mode === RECYCLE) {
+            spawn.recycleCreep(creep);
+            return true;
+        }
+
+        // Renewing: top up until target, give up if the spawn can't pay
+        Traffic.pin(creep, spawn, 1);
+        if (spawn.spawning) return true;
+
+        const res = spawn.renewCreep(creep);
+        if (res === OK) EnergyLedger.record(spawn.room, "spawn", this._renewCallCost(creep));
+        if (res === ERR_FULL || res === ERR_NOT_ENOUGH_ENERGY || creep.ticksToLive >= RENEW_TARGET_TTL) {
+            delete creep.memory.lifecycle;
+            delete creep.memory.lifecycleSpawn;
+            return res === OK;
+        }
+        return true;
+    },
+
+    /**
+     * Energy cost of renewing a creep back up to RENEW_TARGET_TTL.
+     *
+     * @param {Creep} creep
+     * @returns {{energy:number,calls:number}}
+     */
+    renewalCost(creep) {
+        const perCall  = this._renewCallCost(creep);
+        const gained   = Math.floor(600 / creep.body.length);
+        const calls    = Math.ceil(Math.max(0, RENEW_TARGET_TTL - creep.ticksToLive) / gained);
+
+        return { energy: calls * perCall, calls };
+    },
+
+    /**
+     * Energy a single renewCreep call costs for this body.
+     *
+     * @param {Creep} creep
+     * @returns {number}
+     * @private
+     */
+    _renewCallCost(creep) {
+        const bodyCost = BodyUtil.cost(creep.body.map(p => p.type));
+        return Math.ceil(SPAWN_RENEW_RATIO * bodyCost / CREEP_SPAWN_TIME / creep.body.length);
+    },
+
+    /**
+     * Keep an exponential moving average of how idle the room's spawns are.
+     *
+     * @param {Room} room
+     * @param {StructureSpawn[]} spawns
+     * @private
+     */
+    _trackIdle(room, spawns) {
+        let idle = 0;
+        for (let i = 0; i < spawns.length; i++) {
+            if (!spawns[i].spawning) idle++;
+        }
+
+        const ratio = idle / spawns.length;
+        const prev = typeof room.memory.spawnIdle === "number" ? room.memory.spawnIdle : ratio;
+        room.memory.spawnIdle = prev + (ratio - prev) * IDLE_SMOOTHING;
+    },
+
+    /**
+     * Flag large, aging creeps near an idle spawn for renewal when that is
+     * cheaper than replacing them.
+     *
+     * Both options are priced in energy: replacing costs the body plus the
+     * spawn time it blocks (weighted by how busy the spawns are); renewing
+     * costs the renew calls, the spawn ticks they take and the work lost
+     * walking to the spawn and back.
+     *
+     * @param {Room} room
+     * @param {StructureSpawn[]} spawns
+     * @param {Creep[]} creeps
+     * @private
+     */
+    _flagRenewals(room, spawns, creeps) {
+        const idle = room.memory.spawnIdle || 0;
+        if (idle < RENEW_MIN_IDLE) return;
+
+        // Spawns have real work queued; don't tie them up with renewals
+        if (SpawnQueue.get(room).length > 0) return;
+
+        const busy = 1 - idle;
+        const roads = BodyUtil.hasRoads(room, Config.SPAWN.ROAD_BODY_MIN_ROADS);
+
+        for (let i = 0; i < creeps.length; i++) {
+            const creep = creeps[i];
+            if (creep.spawning || creep.memory.lifecycle) continue;
+            if (creep.ticksToLive > RENEW_BELOW_TTL) continue;
+            if (creep.getActiveBodyparts(CLAIM) > 0) continue;
+            if (Lifecycle.isRetiring(creep)) continue; // replacement already on its way
+
+            const bodyCost = BodyUtil.cost(creep.body.map(p => p.type));
+            const fullCost = this._fullCost(room, creep, roads);
+            // A capped role at full size is worth renewing even below the cost floor
+            if (bodyCost < Math.min(RENEW_MIN_BODY_COST, fullCost || Infinity)) continue;
+            if (fullCost && bodyCost < fullCost * OBSOLETE_RATIO) continue; // don't extend an obsolete body
+
+            const spawn = creep.pos.findClosestByRange(spawns);
+            if (!spawn) continue;
+
+            const range = creep.pos.getRangeTo(spawn);
+            if (range > RENEW_MAX_RANGE) continue;
+
+            const renewal = this.renewalCost(creep);
+            const renewCost = renewal.energy +
+                renewal.calls * busy * SPAWN_TICK_VALUE +
+                range * 2 * DETOUR_TICK_VALUE;
+
+            // Replacement buys a full life; scale to the life renewal buys
+            const lifeShare = Math.max(0, RENEW_TARGET_TTL - creep.ticksToLive) / CREEP_LIFE_TIME;
+            const replaceCost = (bodyCost +
+                creep.body.length * CREEP_SPAWN_TIME * busy * SPAWN_TICK_VALUE) * lifeShare;
+
+            if (renewCost < replaceCost) {
+                creep.memory.lifecycle = RENEW;
+                creep.memory.lifecycleSpawn = spawn.id;
+            }
+        }
+    },
+
+    /**
+     * Flag obsolete creeps for recycling:
+     *  - low-tier bodies well below what their role would get at today's
+     *    capacity (one at a time, only when the room can afford the
+     *    replacement right away)
+     *  - surplus upgraders (beyond the WORK target) while storage is dry
+     *  - a mineral miner stood down for longer than it has left to live
+     *
+     * @param {Room} room
+     * @param {Creep[]} creeps
+     * @private
+     */
+    _flagRecycling(room, creeps) {
+        const { UPGRADER, MINERAL_MINER } = Config.ROLES;
+        const capacity = room.energyCapacityAvailable;
+
+        // Only one recycling trip at a time per room
+        if (creeps.some(c => c.memory.lifecycle === RECYCLE)) return;
+
+        // 1) Surplus upgraders while storage is dry
+        if (room.storage && room.storage.store[RESOURCE_ENERGY] < STORAGE_DRY) {
+            const upgraders = creeps
+                .filter(c => c.memory.role === UPGRADER && !c.spawning && !c.memory.lifecycle)
+                .sort((a, b) => a.ticksToLive - b.ticksToLive);
+
+            const target = Economy.workTargets(room, { storageDry: true }).upgrader;
+            const total = upgraders.reduce((sum, c) => sum + Economy.workOf(c), 0);
+
+            if (upgraders.length > 1 && total - Economy.workOf(upgraders[0]) >= target) {
+                this._flag(upgraders[0], RECYCLE);
+                return;
+            }
+        }
+
+        // 2) Mineral miner that would die before the mineral regenerates
+        const mineral = RoomCache.mineral(room);
+        if (mineral && mineral.mineralAmount === 0) {
+            const idleMiner = creeps.find(c =>
+                c.memory.role === MINERAL_MINER && !c.memory.lifecycle &&
+                c.ticksToLive < (mineral.ticksToRegeneration || 0));
+            if (idleMiner) {
+                this._flag(idleMiner, RECYCLE);
+                return;
+            }
+        }
+
+        // 3) Low-tier bodies, once we can rebuild them properly
+        if (room.energyAvailable < capacity) return;
+
+        const roads = BodyUtil.hasRoads(room, Config.SPAWN.ROAD_BODY_MIN_ROADS);
+        const byRole = {};
+        for (let i = 0; i < creeps.length; i++) {
+            const role = creeps[i].memory.role;
+            byRole[role] = (byRole[role] || 0) + 1;
+        }
+
+        for (let i = 0; i < creeps.length; i++) {
+            const creep = creeps[i];
+            if (creep.spawning || creep.memory.lifecycle) continue;
+            if (byRole[creep.memory.role] <= 1) continue; // never the last of a role
+
+            const fullCost = this._fullCost(room, creep, roads);
+            if (!fullCost) continue;
+
+            const bodyCost = BodyUtil.cost(creep.body.map(p => p.type));
+            if (bodyCost < fullCost * OBSOLETE_RATIO) {
+                this._flag(creep, RECYCLE);
+                return;
+            }
+        }
+    },
+
+    /**
+     * Cost of the body the spawn queue would build for this creep's role right
+     * now: the role's pattern at room capacity, under the same repeat cap the
+     * creep was spawned with. Capped roles (miners, route-sized haulers) stop
+     * growing well below capacity, so capacity itself is the wrong yardstick.
+     *
+     * @param {Room} room
+     * @param {Creep} creep
+     * @param {boolean} roads - room has road-ratio bodies
+     * @returns {number} 0 when the role has no body pattern
+     * @private
+     */
+    _fullCost(room, creep, roads) {
+        const role = creep.memory.role;
+        const pattern = role && Config.SPAWN.BODY_PATTERN[role.toLowerCase()];
+        if (!pattern) return 0;
+
+        const opts = { roads };
+        if (creep.memory.maxRepeats) opts.maxRepeats = creep.memory.maxRepeats;
+
+        const body = BodyUtil.build(pattern, room.energyCapacityAvailable, opts);
+        return body ? BodyUtil.cost(body) : 0;
+    },
+
+    /**
+     * @param {Creep} creep
+     * @param {string} mode
+     * @private
+     */
+    _flag(creep, mode) {
+        creep.memory.lifecycle = mode;
+        delete creep.memory.lifecycleSpawn;
+        console.log(`[Lifecycle] ${mode} ${creep.name} (${creep.memory.role}) in ${creep.room.name}`);
+    }
+};
+
+module.exports = LifecycleManager;
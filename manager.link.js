@@ -0,0 +1,213 @@
+// manager.link.js
+// Operate planned links: source links feed the controller link, overflow goes to the storage link (emptied by haulers).
+
+const Config = require("config");
+
+const LinkConfig = Config.LINKS || {};
+
+const CONTROLLER_TARGET = LinkConfig.CONTROLLER_TARGET || 600;
+const MIN_TRANSFER      = LinkConfig.MIN_TRANSFER || 100;
+
+/**
+ * Find the built link at a planned layout position.
+ *
+ * @param {Room} room
+ * @param {{x:number,y:number}|undefined} def
+ * @returns {StructureLink|null}
+ */
+function linkAt(room, def) {
+    if (!def) return null;
+    const link = room.lookForAt(LOOK_STRUCTURES, def.x, def.y)
+        .find(s => s.structureType === STRUCTURE_LINK);
+    return /** @type {StructureLink|null} */ (link || null);
+}
+
+/**
+ * Largest amount we can send so that what arrives (after the link loss)
+ * still fits into `free`.
+ *
+ * @param {number} available
+ * @param {number} free
+ * @returns {number}
+ */
+function sendableAmount(available, free) {
+    let amount = Math.min(available, Math.floor(free / (1 - LINK_LOSS_RATIO)));
+    while (amount > 0 && amount - Math.ceil(amount * LINK_LOSS_RATIO) > free) {
+        amount--;
+    }
+    return amount;
+}
+
+/**
+ * Link network operator. Links are classified by their role in
+ * Memory.storageLayout[room].links (controller / storage / sources).
+ */
+const LinkManager = {
+    /**
+     * Run link transfers for a room. Call once per tick.
+     *
+     * @param {Room} room
+     */
+    run(room) {
+        const links = this.classify(room);
+        if (!links || (links.sources.length === 0 && !links.storage)) return;
+
+        // Energy already on its way to a link this tick
+        /** @type {Record<string, number>} */
+        const incoming = Object.create(null);
+
+        // 1) Source links → controller link first, storage link with the rest
+        for (let i = 0; i < links.sources.length; i++) {
+            const link = links.sources[i];
+            if (link.cooldown > 0 || link.store[RESOURCE_ENERGY] < MIN_TRANSFER) continue;
+
+            const target = this._chooseTarget(links, incoming);
+            if (!target) break;
+
+            this._send(link, target, incoming);
+        }
+
+        // 2) Storage link tops up the controller link for upgraders
+        const storageLink = links.storage;
+        const controllerLink = links.controller;
+        if (
+            storageLink &&
+            controllerLink &&
+            storageLink.cooldown === 0 &&
+            storageLink.store[RESOURCE_ENERGY] >= MIN_TRANSFER &&
+            this._energyOf(controllerLink, incoming) < CONTROLLER_TARGET
+        ) {
+            this._send(storageLink, controllerLink, incoming);
+        }
+    },
+
+    /**
+     * Classify built links by their planned role.
+     *
+     * @param {Room} room
+     * @returns {{controller:StructureLink|null,storage:StructureLink|null,sources:StructureLink[]}|null}
+     */
+    classify(room) {
+        const layout = Memory.storageLayout && Memory.storageLayout[room.name];
+        if (!layout || !layout.links) return null;
+
+        const sources = [];
+        const sourceDefs = layout.links.sources || {};
+        for (const srcId in sourceDefs) {
+            const link = linkAt(room, sourceDefs[srcId]);
+            if (link) sources.push(link);
+        }
+
+        return {
+            controller: linkAt(room, layout.links.controller),
+            storage: linkAt(room, layout.links.storage),
+            sources
+        };
+    },
+
+    /**
+     * The controller link, if built (used by upgraders to refill).
+     *
+     * @param {Room} room
+     * @returns {StructureLink|null}
+     */
+    getControllerLink(room) {
+        const layout = Memory.storageLayout && Memory.storageLayout[room.name];
+        if (!layout || !layout.links) return null;
+        return linkAt(room, layout.links.controller);
+    },
+
+    /**
+     * The source link planned for a source, if built (used by miners).
+     *
+     * @param {Room} room
+     * @param {string} sourceId
+     * @returns {StructureLink|null}
+     */
+    getSourceLink(room, sourceId) {
+        const layout = Memory.storageLayout && Memory.storageLayout[room.name];
+        if (!layout || !layout.links || !layout.links.sources) return null;
+        return linkAt(room, layout.links.sources[sourceId]);
+    },
+
+    /**
+     * Energy in the storage link beyond what the controller link still needs
+     * to reach CONTROLLER_TARGET. Haulers empty this into the room, otherwise
+     * the storage link fills up and the source links stop sending.
+     *
+     * @param {Room} room
+     * @returns {{link:StructureLink,amount:number}|null} null below MIN_TRANSFER
+     */
+    storageSurplus(room) {
+        const links = this.classify(room);
+        if (!links || !links.storage) return null;
+
+        const controller = links.controller;
+        const reserve = controller
+            ? Math.max(0, CONTROLLER_TARGET - controller.store[RESOURCE_ENERGY])
+            : 0;
+
+        const amount = links.storage.store[RESOURCE_ENERGY] - reserve;
+        return amount >= MIN_TRANSFER ? { link: links.storage, amount } : null;
+    },
+
+    /**
+     * Controller link while it is below target, otherwise the storage link.
+     *
+     * @param {{controller:StructureLink|null,storage:StructureLink|null}} links
+     * @param {Record<string, number>} incoming
+     * @returns {StructureLink|null}
+     * @private
+     */
+    _chooseTarget(links, incoming) {
+        const { controller, storage } = links;
+
+        if (controller && this._energyOf(controller, incoming) < CONTROLLER_TARGET) {
+            return controller;
+        }
+        if (storage && this._freeOf(storage, incoming) > 0) {
+            return storage;
+        }
+        return null;
+    },
+
+    /**
+     * Transfer as much as fits into the target after link loss.
+     *
+     * @param {StructureLink} from
+     * @param {StructureLink} to
+     * @param {Record<string, number>} incoming
+     * @private
+     */
+    _send(from, to, incoming) {
+        const amount = sendableAmount(from.store[RESOURCE_ENERGY], this._freeOf(to, incoming));
+        if (amount < MIN_TRANSFER) return;
+
+        const res = from.transferEnergy(to, amount);
+        if (res === OK) {
+            incoming[to.id] = (incoming[to.id] || 0) + amount - Math.ceil(amount * LINK_LOSS_RATIO);
+        }
+    },
+
+    /**
+     * @param {StructureLink} link
+     * @param {Record<string, number>} incoming
+     * @returns {number}
+     * @private
+     */
+    _energyOf(link, incoming) {
+        return link.store[RESOURCE_ENERGY] + (incoming[link.id] || 0);
+    },
+
+    /**
+     * @param {StructureLink} link
+     * @param {Record<string, number>} incoming
+     * @returns {number}
+     * @private
+     */
+    _freeOf(link, incoming) {
+        return link.store.getFreeCapacity(RESOURCE_ENERGY) - (incoming[link.id] || 0);
+    }
+};
+
+module.exports = LinkManager;
@@ -0,0 +1,236 @@
+// manager.logistics.js
+// Per-room logistics board: structures post energy needs and offers, carriers get matched to them.
+
+const Config    = require("config");
+const Pathing   = require("util.pathing");
+const RoomCache = require("util.cache");
+
+const LogisticsConfig = Config.LOGISTICS || {};
+
+const PRIORITY               = LogisticsConfig.PRIORITY || {};
+const TERMINAL_ENERGY_TARGET = LogisticsConfig.TERMINAL_ENERGY_TARGET || 20000;
+const MIN_CONTAINER_FILL     = LogisticsConfig.MIN_CONTAINER_FILL || 200;
+const MIN_DROP               = LogisticsConfig.MIN_DROP || 20;
+
+/**
+ * Boards are rebuilt at most once per tick per room (heap only).
+ * @type {Record<string, {tick:number,board:Object}>}
+ */
+const boards = {};
+
+/**
+ * Logistics board.
+ *
+ * needs  - "need N energy": spawn/extensions, towers (raised during an
+ *          attack), controller container, labs, terminal, storage and
+ *          loose containers, each with a priority (lower = sooner)
+ * offers - "have N energy": storage, containers, dropped energy,
+ *          tombstones and ruins
+ *
+ * Carriers remember their delivery in memory.deliveryId; energy already on
+ * its way to a need is subtracted before matching the next carrier.
+ */
+const LogisticsManager = {
+    PRIORITY,
+
+    /**
+     * The room's board for this tick.
+     *
+     * @param {Room} room
+     * @returns {{needs:Array<{id:string,type:string,priority:number,amount:number,target:Structure}>,offers:Array<{id:string,type:string,amount:number,target:Structure|Resource|Tombstone|Ruin}>,assigned:Record<string, number>,underAttack:boolean}}
+     */
+    getBoard(room) {
+        const cached = boards[room.name];
+        if (cached && cached.tick === Game.time) return cached.board;
+
+        const board = this._build(room);
+        boards[room.name] = { tick: Game.time, board };
+        return board;
+    },
+
+    /**
+     * Match a carrier to the best open need: lowest priority first, then
+     * closest; needs already covered by other carriers are skipped. The
+     * carrier keeps its delivery while it is still open.
+     *
+     * @param {Creep} creep
+     * @param {Object} [options]
+     * @param {number} [options.maxPriority] - ignore needs below this priority
+     * @param {string[]} [options.types] - only these need types
+     * @returns {Structure|null}
+     */
+    findDelivery(creep, options = {}) {
+        const board = this.getBoard(creep.room);
+        const carried = creep.store[RESOURCE_ENERGY];
+        if (carried === 0) return null;
+
+        const allowed = need =>
+            (options.maxPriority === undefined || need.priority <= options.maxPriority) &&
+            (!options.types || options.types.indexOf(need.type) !== -1);
+
+        // Sticky: keep the current delivery while it is open
+        const currentId = creep.memory.deliveryId;
+        if (currentId) {
+            const current = board.needs.find(n => n.id === currentId);
+            if (current && allowed(current)) return current.target;
+            this.releaseDelivery(creep);
+        }
+
+        let best = null;
+        let bestScore = Infinity;
+        for (let i = 0; i < board.needs.length; i++) {
+            const need = board.needs[i];
+            if (!allowed(need)) continue;
+            if (need.amount - (board.assigned[need.id] || 0) <= 0) continue;
+
+            const score = need.priority * 100 + creep.pos.getRangeTo(need.target);
+            if (score < bestScore) {
+                bestScore = score;
+                best = need;
+            }
+        }
+        if (!best) return null;
+
+        creep.memory.deliveryId = best.id;
+        board.assigned[best.id] = (board.assigned[best.id] || 0) + carried;
+        return best.target;
+    },
+
+    /**
+     * Find a delivery and work it: transfer when adjacent, otherwise move.
+     *
+     * @param {Creep} creep
+     * @param {Object} [options] - see findDelivery
+     * @returns {boolean} true if the creep has a delivery (acted this tick)
+     */
+    deliver(creep, options = {}) {
+        const target = this.findDelivery(creep, options);
+        if (!target) return false;
+
+        const res = creep.transfer(target, RESOURCE_ENERGY);
+        if (res === ERR_NOT_IN_RANGE) {
+            Pathing.moveTo(creep, target);
+        } else {
+            // Delivered (or target filled up meanwhile): pick afresh next time
+            this.releaseDelivery(creep);
+        }
+        return true;
+    },
+
+    /**
+     * Forget this creep's delivery.
+     *
+     * @param {Creep} creep
+     */
+    releaseDelivery(creep) {
+        delete creep.memory.deliveryId;
+    },
+
+    /**
+     * Build the board from one pass over the room's structures.
+     *
+     * @param {Room} room
+     * @private
+     */
+    _build(room) {
+        const layout = Memory.storageLayout && Memory.storageLayout[room.name];
+        const underAttack = RoomCache.hostiles(room).length > 0;
+
+        // Containers that are producers, not sinks
+        const producers = new Set();
+        const controllerSpot = layout && layout.controllerContainer
+            ? `${layout.controllerContainer.x},${layout.controllerContainer.y}`
+            : null;
+        if (layout) {
+            for (const srcId in (layout.sourceContainers || {})) {
+                const def = layout.sourceContainers[srcId];
+                producers.add(`${def.x},${def.y}`);
+            }
+            if (layout.mineralContainer) {
+                producers.add(`${layout.mineralContainer.x},${layout.mineralContainer.y}`);
+            }
+        }
+
+        const needs = [];
+        const offers = [];
+
+        const need = (target, type, priority, amount) => {
+            if (amount > 0) needs.push({ id: target.id, type, priority, amount, target });
+        };
+        const offer = (target, type, amount) => {
+            if (amount > 0) offers.push({ id: target.id, type, amount, target });
+        };
+
+        const structures = RoomCache.structures(room);
+        for (let i = 0; i < structures.length; i++) {
+            const s = /** @type {any} */ (structures[i]);
+            if (!s.store) continue;
+            if (s.owner && !s.my) continue;
+
+            const energy = s.store[RESOURCE_ENERGY] || 0;
+            const free = s.store.getFreeCapacity(RESOURCE_ENERGY) || 0;
+
+            switch (s.structureType) {
+                case STRUCTURE_SPAWN:
+                case STRUCTURE_EXTENSION:
+                    need(s, s.structureType, PRIORITY.SPAWN, free);
+                    break;
+
+                case STRUCTURE_TOWER:
+                    need(s, s.structureType, underAttack ? PRIORITY.TOWER_ATTACK : PRIORITY.TOWER, free);
+                    break;
+
+                case STRUCTURE_LAB:
+                    need(s, s.structureType, PRIORITY.LAB, free);
+                    break;
+
+                case STRUCTURE_TERMINAL:
+                    need(s, s.structureType, PRIORITY.TERMINAL, Math.min(free, TERMINAL_ENERGY_TARGET - energy));
+                    break;
+
+                case STRUCTURE_STORAGE:
+                    need(s, s.structureType, PRIORITY.STORAGE, free);
+                    offer(s, s.structureType, energy);
+                    break;
+
+                case STRUCTURE_CONTAINER: {
+                    const spot = `${s.pos.x},${s.pos.y}`;
+                    if (spot === controllerSpot) {
+                        // Keep upgraders fed, but don't top it off a trickle at a time
+                        if (free >= MIN_CONTAINER_FILL) need(s, "controller", PRIORITY.CONTROLLER, free);
+                    } else if (!producers.has(spot)) {
+                        need(s, s.structureType, PRIORITY.CONTAINER, free);
+                    }
+                    offer(s, s.structureType, energy);
+                    break;
+                }
+            }
+        }
+
+        const drops = RoomCache.dropped(room, RESOURCE_ENERGY);
+        for (let i = 0; i < drops.length; i++) {
+            if (drops[i].amount > MIN_DROP) {
+                offer(drops[i], "dropped", drops[i].amount);
+            }
+        }
+
+        const remains = [].concat(room.find(FIND_TOMBSTONES), room.find(FIND_RUINS));
+        for (let i = 0; i < remains.length; i++) {
+            const r = remains[i];
+            offer(r, r.deathTime !== undefined ? "tombstone" : "ruin", r.store[RESOURCE_ENERGY] || 0);
+        }
+
+        // Energy already carried towards each need
+        /** @type {Record<string, number>} */
+        const assigned = Object.create(null);
+        const carriers = RoomCache.creeps(room).filter(c => c.memory.deliveryId);
+        for (let i = 0; i < carriers.length; i++) {
+            const c = carriers[i];
+            assigned[c.memory.deliveryId] = (assigned[c.memory.deliveryId] || 0) + c.store[RESOURCE_ENERGY];
+        }
+
+        return { needs, offers, assigned, underAttack };
+    }
+};
+
+module.exports = LogisticsManager;
@@ -3,7 +3,13 @@
 
 const SpawnManager = require("manager.spawn");
 const TowerManager = require("manager.tower");
+const LinkManager  = require("manager.link");
+const LifecycleManager = require("manager.lifecycle");
 const MemoryUtil   = require("util.memory");
+const EnergyLedger = require("util.ledger");
+const SourceUtil   = require("util.sources");
+const RoomCache    = require("util.cache");
+const RoomIntel    = require("util.intel");
 const RoomManager = {
     /**
      * Main entry point, call once per tick.
@@ -13,22 +19,31 @@ const RoomManager = {
         const isLogTick   = Game.time % 50 === 0;
         const isCacheTick = Game.time % 20 === 0;
 
+        // Remember every room we can see, owned or not, for route planning
+        RoomIntel.run();
+
         for (let i = 0; i < roomNames.length; i++) {
             const room = Game.rooms[roomNames[i]];
             if (!room || !room.controller || !room.controller.my) continue;
 
             // Pre-fetch creeps for this room once and reuse
-            const creeps = room.find(FIND_MY_CREEPS);
+            const creeps = RoomCache.creeps(room);
 
-            // Run spawn logic for all spawns in the room
-            const spawns = room.find(FIND_MY_SPAWNS);
-            for (let j = 0; j < spawns.length; j++) {
-                SpawnManager.run(spawns[j], creeps);
-            }
+            // Book last tick's energy flow before anything spends this tick
+            EnergyLedger.collect(room);
+
+            // Queue spawn requests and hand them to free spawns
+            SpawnManager.run(room, creeps);
 
             // Operate towers (defense/repairs)
             TowerManager.run(room);
 
+            // Move energy through the link network
+            LinkManager.run(room);
+
+            // Renew / recycle decisions
+            LifecycleManager.run(room, creeps);
+
             // Periodic logging and memory updates
             if (isLogTick) {
                 this._logRoomStatus(room, creeps);
@@ -37,6 +52,9 @@ const RoomManager = {
             // Cache structures periodically for faster lookups
             if (isCacheTick) {
                 MemoryUtil.cacheRoomStructures(room);
+
+                // Spread harvesters back out after deaths / new spawns
+                SourceUtil.rebalance(room, creeps);
             }
         }
 
@@ -56,12 +74,15 @@ const RoomManager = {
         const energy    = room.energyAvailable;
         const capacity  = room.energyCapacityAvailable;
         const creepCount = creepsInRoom.length;
+        const flow      = EnergyLedger.get(room.name, "short");
+        const net       = flow ? ` | Net ${flow.net >= 0 ? "+" : ""}${flow.net.toFixed(1)}/t (in ${flow.income.toFixed(1)})` : "";
 
         console.log(
             `[Room ${room.name}] ` +
             `RCL ${rcl} | ` +
             `Energy ${energy}/${capacity} | ` +
-            `Creeps ${creepCount}`
+            `Creeps ${creepCount}` +
+            net
         );
     }
 };
@@ -1,28 +1,28 @@
 // manager.spawn.js
-// Handles spawn decisions per spawn.
+// Handles spawn decisions per room; actual spawning goes through the room spawn queue.
 
-const Config = require("config");
-const UpgradeConfig = Config.UPGRADE || {};
+const Config       = require("config");
+const SpawnQueue   = require("manager.spawn.queue");
+const BodyUtil     = require("util.body");
+const EnergyUtil   = require("util.energy");
+const Lifecycle    = require("util.lifecycle");
+const Economy      = require("util.economy");
+const RoleRegistry = require("role.registry");
+const RoomCache    = require("util.cache");
 
-/**
- * Calculate the total energy cost of a body array.
- * @param {BodyPartConstant[]} body
- * @returns {number}
- */
-function bodyCost(body) {
-    return body.reduce((sum, part) => sum + BODYPART_COST[part], 0);
-}
+// Requests pushed by the economy logic are re-pushed every tick while needed
+const ECON_REQUEST_TTL = 5;
+const ECON_KEY_PREFIX  = "econ:";
 
 /**
  * Count creeps by role.
  * @param {Creep[]} creeps
  */
 function countByRole(creeps) {
-    const counts = {
-        [Config.ROLES.HARVESTER]: 0,
-        [Config.ROLES.UPGRADER]:  0,
-        [Config.ROLES.BUILDER]:   0
-    };
+    const counts = {};
+    for (const key in Config.ROLES) {
+        counts[Config.ROLES[key]] = 0;
+    }
 
     for (let i = 0; i < creeps.length; i++) {
         const role = creeps[i].memory.role;
@@ -35,179 +35,234 @@ function countByRole(creeps) {
 }
 
 /**
- * Try to spawn a body for a role, respecting room capacity.
- * If the standard body is too expensive, fall back to emergency (if defined).
+ * Keep an economy request for a role in the queue while it has a deficit,
+ * and withdraw it as soon as the deficit is gone.
  *
- * @param {StructureSpawn} spawn
+ * @param {Room} room
  * @param {string} role
+ * @param {number} deficit
+ * @param {Object} [extra] - extra request fields (urgency, budget, ...)
+ * @returns {boolean} true if the request is queued
  */
-function attemptStandardSpawn(spawn, role) {
-    const room = spawn.room;
-    const energyAvailable = room.energyAvailable;
-    const energyCapacity  = room.energyCapacityAvailable;
-
-    const key = role.toLowerCase();
-    const standardBody = Config.SPAWN.BODY[key];
-    let bodyToUse = standardBody;
-
-    if (!standardBody) {
-        console.log(`[Spawn ${spawn.name}] No standard body defined for role ${role}`);
-        return;
-    }
-
-    let cost = bodyCost(standardBody);
-
-    // If standard body doesn't fit capacity, fall back to emergency (for that role)
-    if (cost > energyCapacity) {
-        const emergencyBody = Config.SPAWN.EMERGENCY_BODY[key];
-        if (emergencyBody) {
-            const emergencyCost = bodyCost(emergencyBody);
-            if (emergencyCost <= energyCapacity) {
-                bodyToUse = emergencyBody;
-                cost = emergencyCost;
-            } else {
-                // Even emergency body doesn't fit; bail out
-                return;
-            }
-        } else {
-            // No emergency body defined for this role, nothing we can do
-            return;
-        }
-    }
+function requestRole(room, role, deficit, extra = {}) {
+    const key = extra.key || `${ECON_KEY_PREFIX}${role}`;
 
-    // Only spawn if we currently have enough energy to pay for chosen body
-    if (energyAvailable < cost) {
-        return;
+    if (deficit <= 0) {
+        SpawnQueue.remove(room, key);
+        return false;
     }
 
-    const name = `${role}-${Game.time}`;
-    const res = spawn.spawnCreep(bodyToUse, name, {
-        memory: {
-            role,
-            working: false
-        }
-    });
-
-    if (res === OK) {
-        console.log(`[Spawn ${spawn.name}] Spawning ${role} (${name}) in ${room.name}`);
-    } else if (res !== ERR_BUSY && res !== ERR_NOT_ENOUGH_ENERGY) {
-        console.log(`[Spawn ${spawn.name}] Failed to spawn ${role} in ${room.name}: ${res}`);
-    }
+    SpawnQueue.push(room, Object.assign({
+        key,
+        role,
+        demand: deficit,
+        ttl: ECON_REQUEST_TTL,
+        source: "economy"
+    }, extra));
+    return true;
 }
 
 /**
- * Try to spawn an emergency harvester when we have no harvesters/creeps.
+ * Keep an economy request for a WORK-part role while the role is short of
+ * its WORK target. The body is capped to roughly the missing WORK, and a
+ * staffed role isn't topped up for less than MIN_DEFICIT_SHARE of a full body
+ * (no trickle of tiny creeps).
  *
- * @param {StructureSpawn} spawn
+ * @param {Room} room
+ * @param {string} role
+ * @param {number} deficit - missing WORK parts
+ * @param {boolean} staffed - role already has creeps
+ * @param {Object} [extra] - extra request fields
+ * @returns {boolean} true if the request is queued
  */
-function spawnEmergencyHarvester(spawn) {
-    const room = spawn.room;
-    const energyAvailable = room.energyAvailable;
-
-    const key = Config.ROLES.HARVESTER.toLowerCase();
-    const body = Config.SPAWN.EMERGENCY_BODY[key];
-    if (!body) {
-        console.log(`[Spawn ${spawn.name}] No emergency body defined for harvester`);
-        return;
+function requestWork(room, role, deficit, staffed, extra = {}) {
+    const pattern = Config.SPAWN.BODY_PATTERN[role];
+    const unitWork = pattern.unit.filter(p => p === WORK).length;
+    if (deficit <= 0 || unitWork === 0) {
+        return requestRole(room, role, 0, extra);
     }
 
-    const cost = bodyCost(body);
-    if (energyAvailable < cost) {
-        return;
-    }
+    const roads = BodyUtil.hasRoads(room, Config.SPAWN.ROAD_BODY_MIN_ROADS);
+    const full = BodyUtil.build(pattern, room.energyCapacityAvailable, { roads }) || [];
+    const fullWork = Math.max(unitWork, full.filter(p => p === WORK).length);
 
-    const name = `E-harvester-${Game.time}`;
-    const res = spawn.spawnCreep(body, name, {
-        memory: {
-            role: Config.ROLES.HARVESTER,
-            working: false,
-            emergency: true
-        }
-    });
-
-    if (res === OK) {
-        console.log(`[Spawn ${spawn.name}] EMERGENCY harvester (${name}) in ${room.name}`);
-    } else if (res !== ERR_BUSY && res !== ERR_NOT_ENOUGH_ENERGY) {
-        console.log(
-            `[Spawn ${spawn.name}] Failed to spawn emergency harvester in ${room.name}: ${res}`
-        );
+    if (staffed && deficit < fullWork * (Config.ECONOMY.MIN_DEFICIT_SHARE || 0)) {
+        return requestRole(room, role, 0, extra);
     }
+
+    return requestRole(room, role, Math.ceil(deficit / fullWork), Object.assign({
+        maxRepeats: Math.min(pattern.maxRepeats, Math.ceil(deficit / unitWork))
+    }, extra));
 }
 
 const SpawnManager = {
     /**
-     * Per-spawn logic. Called from manager.room with a precomputed creep list.
+     * Per-room logic. Called once per room from manager.room with a
+     * precomputed creep list; pushes economy requests into the room spawn
+     * queue and lets the queue assign them to free spawns.
      *
-     * @param {StructureSpawn} spawn
+     * @param {Room} room
      * @param {Creep[]} creepsInRoom
      */
-    run(spawn, creepsInRoom) {
-        const room = spawn.room;
+    run(room, creepsInRoom) {
         if (!room || !room.controller || !room.controller.my) return;
-        if (spawn.spawning) return;
 
-        const creeps = creepsInRoom || room.find(FIND_MY_CREEPS);
-        const { HARVESTER, UPGRADER, BUILDER } = Config.ROLES;
-        const counts = countByRole(creeps);
+        this._requestEconomy(room, creepsInRoom || RoomCache.creeps(room));
+        SpawnQueue.process(room);
+    },
+
+    /**
+     * Push (or withdraw) economy spawn requests. Each registered role with a
+     * `demand(room, ctx)` function returns the requests it wants queued:
+     *
+     *   { count: n, ...fields }  creeps missing (requestRole)
+     *   { work: n, ...fields }   WORK parts missing (requestWork)
+     *
+     * Extra fields (key, memory, budget, urgency, maxRepeats, priority) go
+     * onto the queued request. Economy requests no role asked for this tick
+     * are withdrawn.
+     *
+     * Roles registered with `defense: true` are asked first, before the
+     * emergency and the population cap, with a partial ctx ({ active, counts }):
+     * a full or collapsed room under attack still gets its defenders.
+     *
+     * @param {Room} room
+     * @param {Creep[]} creeps
+     * @private
+     */
+    _requestEconomy(room, creeps) {
+        const { HARVESTER, MINER, HAULER } = Config.ROLES;
+        // Creeps about to die don't count: their replacements are queued now
+        // so they arrive in time, without tripping the population cap.
+        // Creeps walking off to be recycled are already gone as far as we care.
+        const active    = creeps.filter(c =>
+            !Lifecycle.isRetiring(c) && c.memory.lifecycle !== "recycle");
+        const counts    = countByRole(active);
+        const allCounts = countByRole(creeps);
+
+        const roles = RoleRegistry.all();
+
+        // ---------- DEFENSE: AHEAD OF EVERYTHING ELSE ----------
+        const defenseCtx = { active, counts };
+        for (let i = 0; i < roles.length; i++) {
+            if (roles[i].defense) this._requestDemand(room, roles[i], defenseCtx, counts);
+        }
 
         const rcl       = room.controller.level;
         const maxCreeps = Config.POPULATION.maxCreepsForRCL(rcl);
 
-        const energyAvailable = room.energyAvailable;
-        const criticalEnergy  = energyAvailable < Config.POPULATION.MIN_ROOM_ENERGY_TO_SPAWN;
-        const storageEnergy   = room.storage ? room.storage.store[RESOURCE_ENERGY] : 0;
-        const upgradeThreshold =
-            UpgradeConfig.STORAGE_ENERGY_THRESHOLD !== undefined
-                ? UpgradeConfig.STORAGE_ENERGY_THRESHOLD
-                : Infinity;
-        const wantsUpgradeSurge = room.storage && storageEnergy >= upgradeThreshold;
-
-        // ---------- EMERGENCY: NO HARVESTERS / NO CREEPS ----------
-        if (creeps.length === 0 || counts[HARVESTER] === 0) {
-            if (
-                energyAvailable >= Config.POPULATION.EMERGENCY_MIN_ENERGY &&
-                counts[HARVESTER] < Config.POPULATION.EMERGENCY_HARVESTERS
-            ) {
-                spawnEmergencyHarvester(spawn);
+        const storageEnergy = room.storage ? room.storage.store[RESOURCE_ENERGY] : 0;
+        // Matches the lifecycle manager's surplus-upgrader recycling
+        const storageDry = !!room.storage &&
+            storageEnergy < (Config.LIFECYCLE.STORAGE_DRY || 0);
+
+        // Static mining once every source has its planned container built
+        const sources = RoomCache.sources(room);
+        const spots = EnergyUtil.getSourceContainers(room);
+        const staticEconomy =
+            sources.length > 0 &&
+            spots.length >= sources.length &&
+            spots.every(s => s.container);
+
+        // ---------- EMERGENCY: NOBODY CAN REFILL THE SPAWN ----------
+        const noWorkers = allCounts[HARVESTER] === 0 &&
+            (!staticEconomy || allCounts[MINER] === 0 || allCounts[HAULER] === 0);
+
+        if (creeps.length === 0 || noWorkers) {
+            const emergencyBody = Config.SPAWN.EMERGENCY_BODY[HARVESTER];
+            if (!emergencyBody) {
+                console.log(`[Spawn ${room.name}] No emergency body defined for harvester`);
+                this._withdrawExcept(room, new Set());
+                return;
             }
+
+            const queued = requestRole(
+                room,
+                HARVESTER,
+                Config.POPULATION.EMERGENCY_HARVESTERS - allCounts[HARVESTER],
+                {
+                    body: emergencyBody,
+                    urgency: 9,
+                    memory: { emergency: true },
+                    source: "emergency"
+                }
+            );
+            this._withdrawExcept(room, new Set(queued ? [`${ECON_KEY_PREFIX}${HARVESTER}`] : []));
             return;
         }
 
-        if (creeps.length >= maxCreeps) {
+        if (active.length >= maxCreeps) {
+            this._withdrawExcept(room, new Set());
             return;
         }
 
-        // ---------- NORMAL PRIORITY ----------
-        let roleToSpawn = null;
-
-        if (counts[HARVESTER] < Config.POPULATION.MIN_HARVESTERS) {
-            roleToSpawn = HARVESTER;
-        } else if (counts[UPGRADER] < Config.POPULATION.MIN_UPGRADERS) {
-            roleToSpawn = UPGRADER;
-        } else {
-            const hasConstruction = room.find(FIND_CONSTRUCTION_SITES).length > 0;
-            if (hasConstruction && counts[BUILDER] < Config.POPULATION.MIN_BUILDERS) {
-                roleToSpawn = BUILDER;
-            }
+        // ---------- NORMAL PRIORITY: ASK EVERY ROLE ----------
+        const ctx = {
+            active,
+            counts,
+            work: Economy.workByRole(active),
+            targets: Economy.workTargets(room, { staticEconomy, storageDry }),
+            sources,
+            spots,
+            staticEconomy,
+            storageDry
+        };
+
+        const wanted = new Set();
+        for (let i = 0; i < roles.length; i++) {
+            if (roles[i].defense) continue;
+            const keys = this._requestDemand(room, roles[i], ctx, counts);
+            for (let j = 0; j < keys.length; j++) wanted.add(keys[j]);
         }
 
-        // Extra upgrader pressure when healthy / storage is full
-        if (!roleToSpawn) {
-            const passiveBonus =
-                !criticalEnergy && creeps.length < maxCreeps ? 1 : 0;
-            const surgeBonus =
-                wantsUpgradeSurge ? (UpgradeConfig.MAX_BONUS_UPGRADERS || 0) : 0;
-            const targetUpgraders =
-                Config.POPULATION.MIN_UPGRADERS + passiveBonus + surgeBonus;
-
-            if (counts[UPGRADER] < targetUpgraders) {
-                roleToSpawn = UPGRADER;
-            }
+        this._withdrawExcept(room, wanted);
+    },
+
+    /**
+     * Queue (or withdraw) the requests one role's `demand` returns.
+     *
+     * @param {Room} room
+     * @param {Object} def - role definition
+     * @param {Object} ctx - passed to `demand`
+     * @param {Record<string, number>} counts - active creeps by role
+     * @returns {string[]} keys of the requests now queued
+     * @private
+     */
+    _requestDemand(room, def, ctx, counts) {
+        if (typeof def.demand !== "function") return [];
+
+        const queued = [];
+        const entries = def.demand(room, ctx) || [];
+        for (let j = 0; j < entries.length; j++) {
+            const entry = entries[j];
+            const extra = Object.assign({}, entry);
+            delete extra.count;
+            delete extra.work;
+
+            const ok = entry.work !== undefined
+                ? requestWork(room, def.name, entry.work, counts[def.name] > 0, extra)
+                : requestRole(room, def.name, entry.count, extra);
+
+            if (ok) queued.push(extra.key || `${ECON_KEY_PREFIX}${def.name}`);
         }
+        return queued;
+    },
 
-        if (!roleToSpawn) return;
+    /**
+     * Withdraw every economy request whose key isn't in `keep`.
+     *
+     * @param {Room} room
+     * @param {Set<string>} keep
+     * @private
+     */
+    _withdrawExcept(room, keep) {
+        const stale = SpawnQueue.get(room)
+            .filter(r => r.key.indexOf(ECON_KEY_PREFIX) === 0 && !keep.has(r.key))
+            .map(r => r.key);
 
-        attemptStandardSpawn(spawn, roleToSpawn);
+        for (let i = 0; i < stale.length; i++) {
+            SpawnQueue.remove(room, stale[i]);
+        }
     }
 };
 
@@ -0,0 +1,242 @@
+// manager.spawn.queue.js
+// Room-level spawn queue: scored requests handed to free spawns one at a time.
+
+const Config   = require("config");
+const BodyUtil = require("util.body");
+const EnergyLedger = require("util.ledger");
+const RoomCache = require("util.cache");
+
+const QueueConfig = Config.SPAWN.QUEUE || {};
+
+const DEFAULT_PRIORITY = QueueConfig.DEFAULT_PRIORITY || 5;
+const DEFAULT_TTL      = QueueConfig.DEFAULT_TTL || 50;
+const MAX_DEMAND       = QueueConfig.MAX_DEMAND || 5;
+
+/**
+ * Shared spawn queue for a room, kept in room.memory.spawnQueue.
+ *
+ * Any module can push a request; requests are keyed so callers can re-push
+ * every tick without duplicating work. Once per tick `process` hands the
+ * best-scoring requests to free spawns, so two idle spawns never answer the
+ * same request.
+ *
+ * Request shape:
+ *  - key      unique per room (defaults to role)
+ *  - role     creep role written into memory
+ *  - body     explicit body; otherwise built from Config.SPAWN.BODY_PATTERN
+ *  - budget   "capacity" (default) or "available" energy to size the body
+ *  - maxRepeats cap on pattern repeats (e.g. haulers sized to the route)
+ *  - memory   extra creep memory
+ *  - priority lower spawns first (defaults to Config.SPAWN.PRIORITY[role])
+ *  - urgency  0..n bump within the same priority
+ *  - demand   how many creeps are missing for this request's role
+ *  - ttl      ticks before an un-refreshed request is dropped
+ *  - source   who pushed it (for logging / debugging)
+ */
+const SpawnQueue = {
+    /**
+     * Get (and initialize) the queue array for a room.
+     *
+     * @param {Room|string} room
+     * @returns {Array<Object>}
+     */
+    get(room) {
+        const roomName = typeof room === "string" ? room : room.name;
+        if (!Memory.rooms) Memory.rooms = {};
+        if (!Memory.rooms[roomName]) Memory.rooms[roomName] = {};
+
+        const mem = Memory.rooms[roomName];
+        if (!Array.isArray(mem.spawnQueue)) mem.spawnQueue = [];
+        return mem.spawnQueue;
+    },
+
+    /**
+     * Add or refresh a spawn request.
+     *
+     * @param {Room|string} room
+     * @param {Object} request - see module docs
+     * @returns {Object} the stored request
+     */
+    push(room, request) {
+        const queue = this.get(room);
+        const key = request.key || request.role;
+        const ttl = typeof request.ttl === "number" ? request.ttl : DEFAULT_TTL;
+        // Role priority 0 (defenders) is a real priority, not a missing one
+        const rolePriority = Config.SPAWN.PRIORITY[request.role];
+
+        const entry = {
+            key,
+            role: request.role,
+            body: request.body || null,
+            budget: request.budget || "capacity",
+            maxRepeats: request.maxRepeats || null,
+            memory: request.memory || {},
+            priority: typeof request.priority === "number"
+                ? request.priority
+                : (typeof rolePriority === "number" ? rolePriority : DEFAULT_PRIORITY),
+            urgency: request.urgency || 0,
+            demand: request.demand || 1,
+            source: request.source || "unknown",
+            expires: Game.time + ttl
+        };
+        entry.score = this.score(entry);
+
+        for (let i = 0; i < queue.length; i++) {
+            if (queue[i].key === key) {
+                entry.created = queue[i].created;
+                queue[i] = entry;
+                return entry;
+            }
+        }
+
+        entry.created = Game.time;
+        queue.push(entry);
+        return entry;
+    },
+
+    /**
+     * Remove a request by key.
+     *
+     * @param {Room|string} room
+     * @param {string} key
+     */
+    remove(room, key) {
+        const queue = this.get(room);
+        for (let i = queue.length - 1; i >= 0; i--) {
+            if (queue[i].key === key) queue.splice(i, 1);
+        }
+    },
+
+    /**
+     * Check whether a request with this key is pending.
+     *
+     * @param {Room|string} room
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(room, key) {
+        return this.get(room).some(r => r.key === key);
+    },
+
+    /**
+     * Score a request: priority dominates, then urgency, then demand.
+     *
+     * @param {{priority:number,urgency:number,demand:number}} request
+     * @returns {number}
+     */
+    score(request) {
+        const priorityWeight = QueueConfig.PRIORITY_WEIGHT || 100;
+        const urgencyWeight  = QueueConfig.URGENCY_WEIGHT || 10;
+        const demandWeight   = QueueConfig.DEMAND_WEIGHT || 5;
+
+        return (10 - request.priority) * priorityWeight +
+            request.urgency * urgencyWeight +
+            Math.min(request.demand, MAX_DEMAND) * demandWeight;
+    },
+
+    /**
+     * Hand pending requests to free spawns, best score first.
+     *
+     * If the best request can't be afforded yet we stop and let energy
+     * accumulate rather than letting a cheaper, less important creep jump ahead.
+     *
+     * @param {Room} room
+     */
+    process(room) {
+        const queue = this.get(room);
+
+        // Drop requests nobody refreshed
+        for (let i = queue.length - 1; i >= 0; i--) {
+            if (queue[i].expires < Game.time) queue.splice(i, 1);
+        }
+        if (queue.length === 0) return;
+
+        const freeSpawns = RoomCache.myStructures(room, STRUCTURE_SPAWN).filter(s => !s.spawning);
+        if (freeSpawns.length === 0) return;
+
+        queue.sort((a, b) => b.score - a.score);
+
+        let energyAvailable = room.energyAvailable;
+        let spawnIndex = 0;
+
+        while (spawnIndex < freeSpawns.length && queue.length > 0) {
+            const request = queue[0];
+            const body = this._bodyFor(room, request, energyAvailable);
+
+            if (!body) {
+                console.log(
+                    `[SpawnQueue ${room.name}] Dropping ${request.key}: no affordable body for ${request.role}`
+                );
+                queue.shift();
+                continue;
+            }
+
+            const cost = BodyUtil.cost(body);
+            if (cost > energyAvailable) break;
+
+            const spawn = freeSpawns[spawnIndex];
+            // Room name keeps two rooms spawning the same role this tick apart
+            const name = `${request.role}-${room.name}-${Game.time}` + (spawnIndex > 0 ? `-${spawnIndex}` : "");
+            const memory = Object.assign({ role: request.role, working: false }, request.memory);
+            // Lifecycle compares the body against this cap, not the room's full capacity
+            if (request.maxRepeats) memory.maxRepeats = request.maxRepeats;
+
+            const res = spawn.spawnCreep(body, name, { memory });
+            spawnIndex++;
+
+            if (res === OK) {
+                queue.shift();
+                energyAvailable -= cost;
+                EnergyLedger.record(room, "spawn", cost);
+                console.log(
+                    `[Spawn ${spawn.name}] Spawning ${request.role} (${name}, ${body.length} parts) ` +
+                    `in ${room.name} [${request.source}, score ${request.score}]`
+                );
+            } else if (res !== ERR_BUSY && res !== ERR_NOT_ENOUGH_ENERGY && res !== ERR_NAME_EXISTS) {
+                console.log(`[Spawn ${spawn.name}] Failed to spawn ${request.role} in ${room.name}: ${res}`);
+                queue.shift();
+            }
+        }
+    },
+
+    /**
+     * Resolve the body for a request.
+     *
+     * @param {Room} room
+     * @param {Object} request
+     * @param {number} energyAvailable
+     * @returns {BodyPartConstant[]|null}
+     * @private
+     */
+    _bodyFor(room, request, energyAvailable) {
+        const key = request.role.toLowerCase();
+
+        if (request.body) {
+            return BodyUtil.cost(request.body) <= room.energyCapacityAvailable ? request.body : null;
+        }
+
+        const budget = request.budget === "available" ? energyAvailable : room.energyCapacityAvailable;
+        const pattern = Config.SPAWN.BODY_PATTERN[key];
+        const opts = { roads: BodyUtil.hasRoads(room, Config.SPAWN.ROAD_BODY_MIN_ROADS) };
+        if (request.maxRepeats) opts.maxRepeats = request.maxRepeats;
+
+        let body = pattern ? BodyUtil.build(pattern, budget, opts) : null;
+
+        // Nothing fits what we have right now; size for capacity and wait
+        if (!body && pattern && request.budget === "available") {
+            body = BodyUtil.build(pattern, room.energyCapacityAvailable, opts);
+        }
+
+        // Pattern doesn't fit at all; fall back to emergency (for that role)
+        if (!body) {
+            const emergencyBody = Config.SPAWN.EMERGENCY_BODY[key];
+            if (emergencyBody && BodyUtil.cost(emergencyBody) <= room.energyCapacityAvailable) {
+                body = emergencyBody;
+            }
+        }
+
+        return body;
+    }
+};
+
+module.exports = SpawnQueue;
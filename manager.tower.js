@@ -1,7 +1,8 @@
 // manager.tower.js
 // Operate owned towers: attack, heal and maintain defensive structures.
 
-const Config = require('config');
+const Config    = require('config');
+const RoomCache = require('util.cache');
 
 const DefenseConfig = Config.DEFENSE || {};
 const RepairConfig  = DefenseConfig.REPAIR || {};
@@ -18,14 +19,12 @@ const TowerManager = {
      * @param {Room} room
      */
     run(room) {
-        const towers = /** @type {StructureTower[]} */ (room.find(FIND_MY_STRUCTURES, {
-            filter: s => s.structureType === STRUCTURE_TOWER
-        }));
+        const towers = /** @type {StructureTower[]} */ (RoomCache.myStructures(room, STRUCTURE_TOWER));
 
         if (towers.length === 0) return;
 
-        const hostiles = room.find(FIND_HOSTILE_CREEPS);
-        const wounded  = room.find(FIND_MY_CREEPS, { filter: c => c.hits < c.hitsMax });
+        const hostiles = RoomCache.hostiles(room);
+        const wounded  = RoomCache.creeps(room).filter(c => c.hits < c.hitsMax);
 
         let repairTargets = null;
         if (!hostiles.length) {
@@ -69,19 +68,20 @@ const TowerManager = {
      * @returns {{ ramparts: StructureRampart[], walls: StructureWall[], general: Structure[] }}
      */
     _collectRepairTargets(room) {
-        const ramparts = /** @type {StructureRampart[]} */ (room.find(FIND_STRUCTURES, {
-            filter: s => s.structureType === STRUCTURE_RAMPART && s.hits < RAMPART_TARGET_HITS
-        })).sort((a, b) => a.hits - b.hits);
-
-        const walls = /** @type {StructureWall[]} */ (room.find(FIND_STRUCTURES, {
-            filter: s => s.structureType === STRUCTURE_WALL && s.hits < WALL_TARGET_HITS
-        })).sort((a, b) => a.hits - b.hits);
-
-        const general = room.find(FIND_STRUCTURES, {
-            filter: s => s.structureType !== STRUCTURE_WALL &&
-                        s.structureType !== STRUCTURE_RAMPART &&
-                        s.hits < s.hitsMax * NON_WALL_THRESHOLD
-        }).sort((a, b) => (a.hits / a.hitsMax) - (b.hits / b.hitsMax));
+        // filter() copies, so sorting doesn't touch the shared cache
+        const ramparts = /** @type {StructureRampart[]} */ (RoomCache.structures(room, STRUCTURE_RAMPART)
+            .filter(s => s.hits < RAMPART_TARGET_HITS))
+            .sort((a, b) => a.hits - b.hits);
+
+        const walls = /** @type {StructureWall[]} */ (RoomCache.structures(room, STRUCTURE_WALL)
+            .filter(s => s.hits < WALL_TARGET_HITS))
+            .sort((a, b) => a.hits - b.hits);
+
+        const general = RoomCache.structures(room).filter(s =>
+            s.structureType !== STRUCTURE_WALL &&
+            s.structureType !== STRUCTURE_RAMPART &&
+            s.hits < s.hitsMax * NON_WALL_THRESHOLD
+        ).sort((a, b) => (a.hits / a.hitsMax) - (b.hits / b.hitsMax));
 
         return { ramparts, walls, general };
     },
@@ -0,0 +1,886 @@
+// planner.layout.js
+// Whole-room base blueprint: distance transform + flood fill on terrain, stamps for every structure, RCL1-8.
+
+const Config       = require("config");
+const RoomCache    = require("util.cache");
+const MinCut       = require("util.mincut");
+const Construction = require("manager.construction");
+
+const LayoutConfig  = Config.LAYOUT || {};
+const DefenseConfig = Config.DEFENSE || {};
+
+const EDGE_MARGIN       = LayoutConfig.EDGE_MARGIN || 3;
+const MAX_SITES_PER_RUN = LayoutConfig.MAX_SITES_PER_RUN || 10;
+const RAMPART_BUFFER    = typeof DefenseConfig.RAMPART_BUFFER === "number" ? DefenseConfig.RAMPART_BUFFER : 3;
+const RAMPART_RCL       = DefenseConfig.START_RCL || 3;
+
+// Bump when the algorithm or the stamps change: rooms get a new blueprint
+const LAYOUT_VERSION = 1;
+
+// Roads to sources and the controller are built from the start, like the
+// old static road layout; the mineral road waits for the extractor
+const CONNECTOR_RCL = 1;
+const MINERAL_RCL   = 6;
+
+// Tiles kept free around sources / mineral and the controller for their
+// containers, links and the creeps working them
+const HARVEST_RESERVE    = 1;
+const CONTROLLER_RESERVE = 2;
+
+// Walkable tile inside a stamp that must stay free (filler / manager spot)
+const OPEN = "open";
+
+/**
+ * Stamp legend. Lab "A" are the two reagent labs every other lab reaches.
+ */
+const LEGEND = {
+    r: STRUCTURE_ROAD,
+    S: STRUCTURE_SPAWN,
+    E: STRUCTURE_EXTENSION,
+    T: STRUCTURE_STORAGE,
+    K: STRUCTURE_LINK,
+    X: STRUCTURE_TERMINAL,
+    F: STRUCTURE_FACTORY,
+    P: STRUCTURE_POWER_SPAWN,
+    N: STRUCTURE_NUKER,
+    A: STRUCTURE_LAB,
+    L: STRUCTURE_LAB,
+    ".": OPEN
+};
+
+/**
+ * Stamps as character grids, anchored on their center tile (rounded down).
+ * A space is not part of the stamp.
+ *
+ *  - core: fast filler (left: two spawns and five extensions around a
+ *    filler tile) and storage hub (right: storage, link, terminal, spawn,
+ *    factory, power spawn and nuker around a manager tile), ringed by roads
+ *  - pod: five extensions in a plus inside a road diamond
+ *  - labs: ten labs on a diagonal road, all within range 2 of both "A" labs
+ */
+const STAMPS = {
+    core: [
+        "rrrrrrrrr",
+        "rSESrTKXr",
+        "rE.ErS.Fr",
+        "rErErPrNr",
+        "rrrrrrrrr"
+    ],
+    pod: [
+        "  r  ",
+        " rEr ",
+        "rEEEr",
+        " rEr ",
+        "  r  "
+    ],
+    labs: [
+        "rrrrrr",
+        "r.LLrr",
+        "rLArLr",
+        "rLrALr",
+        "rrLL.r",
+        "rrrrrr"
+    ]
+};
+
+// Storage sits at this offset from the core anchor
+const STORAGE_OFFSET = { dx: 1, dy: -1 };
+
+/**
+ * Parse a stamp grid into tiles relative to its anchor, reagent labs first.
+ *
+ * @param {string[]} rows
+ * @returns {Array<{dx:number,dy:number,type:string}>}
+ */
+function parseStamp(rows) {
+    const oy = Math.floor(rows.length / 2);
+    const ox = Math.floor(rows[0].length / 2);
+    const tiles = [];
+
+    for (let y = 0; y < rows.length; y++) {
+        for (let x = 0; x < rows[y].length; x++) {
+            const c = rows[y][x];
+            if (c === " ") continue;
+            tiles.push({ dx: x - ox, dy: y - oy, type: LEGEND[c], first: c === "A" });
+        }
+    }
+
+    return tiles.sort((a, b) => (b.first ? 1 : 0) - (a.first ? 1 : 0));
+}
+
+const PARSED = {
+    core: parseStamp(STAMPS.core),
+    pod: parseStamp(STAMPS.pod),
+    labs: parseStamp(STAMPS.labs)
+};
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function idx(x, y) {
+    return x * 50 + y;
+}
+
+/**
+ * Chebyshev range between two tiles.
+ *
+ * @param {{x:number,y:number}} a
+ * @param {{x:number,y:number}} b
+ * @returns {number}
+ */
+function range(a, b) {
+    return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+}
+
+/**
+ * Base layout planner.
+ *
+ * `generate` works from terrain and the room's fixed objects only:
+ *  1. distance transform: every tile's range to the nearest wall (tiles
+ *     within Config.LAYOUT.EDGE_MARGIN of an exit count as walls)
+ *  2. core anchor: the tile where the core stamp fits with the best range
+ *     to controller and sources (or where its spawn lands on our existing
+ *     spawn)
+ *  3. flood fill from the anchor; towers, extension pods, labs and the
+ *     observer are placed on the nearest free tiles, each touching the road
+ *     network already planned
+ *  4. roads from the core to sources, controller and mineral, ending just
+ *     outside the tiles kept free for their containers and links
+ *  5. rampart line: the min cut (util.mincut) that seals spawns, storage,
+ *     towers, extensions and the controller, plus Config.DEFENSE.RAMPART_BUFFER
+ *     tiles around them, off from every exit. Ordered by range to the
+ *     nearest tower, so the best covered stretch is built first
+ *
+ * Every structure gets the RCL it unlocks at from its position in build
+ * order (CONTROLLER_STRUCTURES), roads the lowest RCL of what they serve.
+ * The blueprint is stored once in Memory.blueprints[roomName]:
+ *   { version, tick, anchor, storage, structures: { [type]: [[x, y, rcl], ...] } }
+ * and the struct / road / defense planners `materialize` it level by level.
+ */
+const LayoutPlanner = {
+    /**
+     * Make sure a room has a current blueprint. Cheap once it does.
+     *
+     * @param {Room} room
+     * @returns {Object|null} the blueprint, null if no layout fits
+     */
+    plan(room) {
+        if (!Memory.blueprints) Memory.blueprints = {};
+
+        const existing = Memory.blueprints[room.name];
+        if (existing && existing.version === LAYOUT_VERSION) return existing;
+        // Failed attempts are retried only when the version changes
+        if (existing && existing.failed === LAYOUT_VERSION) return null;
+
+        const spawn = room.find(FIND_MY_SPAWNS)[0];
+        const mineral = room.find(FIND_MINERALS)[0];
+
+        const blueprint = this.generate(room.name, room.getTerrain(), {
+            controller: room.controller ? room.controller.pos : null,
+            sources: room.find(FIND_SOURCES).map(s => s.pos),
+            mineral: mineral ? mineral.pos : null,
+            spawn: spawn ? spawn.pos : null
+        });
+
+        if (!blueprint) {
+            console.log(`[LayoutPlanner] No room for the core stamp in ${room.name}`);
+            Memory.blueprints[room.name] = { failed: LAYOUT_VERSION };
+            return null;
+        }
+
+        Memory.blueprints[room.name] = blueprint;
+        console.log(`[LayoutPlanner] Planned v${LAYOUT_VERSION} blueprint in ${room.name} (core at ${blueprint.anchor.x},${blueprint.anchor.y})`);
+        return blueprint;
+    },
+
+    /**
+     * Stored blueprint for a room, if one was planned.
+     *
+     * @param {string} roomName
+     * @returns {Object|null}
+     */
+    get(roomName) {
+        const blueprint = Memory.blueprints && Memory.blueprints[roomName];
+        return blueprint && blueprint.version === LAYOUT_VERSION ? blueprint : null;
+    },
+
+    /**
+     * Drop a room's blueprint so the next `plan` starts over. Console helper:
+     *   require('planner.layout').replan('W1N1')
+     *
+     * @param {string} roomName
+     */
+    replan(roomName) {
+        if (Memory.blueprints) delete Memory.blueprints[roomName];
+    },
+
+    /**
+     * Planned positions of a structure type, in build order.
+     *
+     * @param {string} roomName
+     * @param {string} type
+     * @param {number} [rcl=8] - only what is unlocked at this RCL
+     * @returns {Array<{x:number,y:number,rcl:number}>}
+     */
+    positions(roomName, type, rcl = 8) {
+        return this.entries(this.get(roomName), type, rcl);
+    },
+
+    /**
+     * `positions` for a blueprint object that isn't (or not yet) stored.
+     *
+     * @param {Object|null} blueprint
+     * @param {string} type
+     * @param {number} [rcl=8]
+     * @returns {Array<{x:number,y:number,rcl:number}>}
+     */
+    entries(blueprint, type, rcl = 8) {
+        if (!blueprint || !blueprint.structures[type]) return [];
+
+        return blueprint.structures[type]
+            .filter(e => e[2] <= rcl)
+            .map(e => ({ x: e[0], y: e[1], rcl: e[2] }));
+    },
+
+    /**
+     * The free tile next to `target` closest to `prefer`; the first one found
+     * wins ties. Shared by the container / link / extractor planners so a
+     * dry run picks the same spots they do.
+     *
+     * @param {RoomTerrain} terrain
+     * @param {{x:number,y:number}} target
+     * @param {{x:number,y:number}} prefer
+     * @param {function(number, number): boolean} isFree - whether (x, y) may be used
+     * @returns {{x:number,y:number}|null}
+     */
+    spotNear(terrain, target, prefer, isFree) {
+        let best = null;
+        let bestDist = Infinity;
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                if (dx === 0 && dy === 0) continue;
+
+                const x = target.x + dx;
+                const y = target.y + dy;
+                if (x < 0 || x > 49 || y < 0 || y > 49) continue;
+                if (terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
+                if (!isFree(x, y)) continue;
+
+                const dist = range(prefer, { x, y });
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = { x, y };
+                }
+            }
+        }
+
+        return best;
+    },
+
+    /**
+     * Whether a structure of type `b` can be built on a tile holding `a`.
+     *
+     * @param {string} a
+     * @param {string} b
+     * @returns {boolean}
+     */
+    canShare(a, b) {
+        if (a === STRUCTURE_RAMPART || b === STRUCTURE_RAMPART) return true;
+        const pair = [a, b];
+        return pair.indexOf(STRUCTURE_ROAD) !== -1 && pair.indexOf(STRUCTURE_CONTAINER) !== -1;
+    },
+
+    /**
+     * Request construction sites (manager.construction) for a structure type
+     * from the blueprint, up to what the room's RCL allows. Tiles taken by
+     * something else are skipped.
+     *
+     * @param {Room} room
+     * @param {string} type
+     * @param {Object} [opts]
+     * @param {number} [opts.maxSites=Config.LAYOUT.MAX_SITES_PER_RUN]
+     * @returns {number} sites requested
+     */
+    materialize(room, type, opts = {}) {
+        if (!room.controller || !room.controller.my) return 0;
+
+        const rcl = room.controller.level;
+        const entries = this.positions(room.name, type, rcl);
+        if (entries.length === 0) return 0;
+
+        const allowed = type === STRUCTURE_ROAD
+            ? Infinity
+            : ((CONTROLLER_STRUCTURES[type] || {})[rcl] || 0);
+
+        const existing = RoomCache.structures(room, type).length;
+        const pending = RoomCache.sites(room).filter(s => s.structureType === type).length;
+
+        let remaining = allowed - existing - pending;
+        const maxSites = typeof opts.maxSites === "number" ? opts.maxSites : MAX_SITES_PER_RUN;
+        let created = 0;
+
+        for (let i = 0; i < entries.length && remaining > 0 && created < maxSites; i++) {
+            const { x, y } = entries[i];
+
+            const structures = room.lookForAt(LOOK_STRUCTURES, x, y);
+            if (structures.some(s => s.structureType === type)) continue;
+            if (structures.some(s => !this.canShare(s.structureType, type))) continue;
+            if (room.lookForAt(LOOK_CONSTRUCTION_SITES, x, y).length > 0) continue;
+
+            if (Construction.request(room, x, y, type, { reason: "blueprint" })) {
+                created++;
+                remaining--;
+            }
+        }
+
+        return created;
+    },
+
+    /**
+     * Compute a blueprint from terrain and fixed objects. No vision needed.
+     *
+     * @param {string} roomName
+     * @param {RoomTerrain} terrain
+     * @param {Object} features
+     * @param {RoomPosition|null} features.controller
+     * @param {RoomPosition[]} features.sources
+     * @param {RoomPosition|null} [features.mineral]
+     * @param {RoomPosition|null} [features.spawn] - an existing spawn to build the core around
+     * @returns {Object|null}
+     */
+    generate(roomName, terrain, features) {
+        const ctx = {
+            roomName,
+            terrain,
+            features,
+            /** @type {Map<number, string>} planned tile -> structure type / OPEN */
+            tiles: new Map(),
+            /** @type {Set<number>} tiles kept free for containers, links and upgraders */
+            reserved: new Set(),
+            /** @type {Array<{x:number,y:number,type:string}>} non-road structures, in build order */
+            placed: [],
+            /** @type {Array<{roads:number[],entries:Object[],rcl?:number}>} roads and what they serve */
+            groups: [],
+            /** @type {Array<{x:number,y:number}>} rampart line, in build order */
+            ramparts: [],
+            dt: null,
+            flood: null
+        };
+
+        this._reserve(ctx);
+        ctx.dt = this._distanceTransform(terrain);
+
+        const anchor = this._chooseAnchor(ctx);
+        if (!anchor) return null;
+
+        const core = this._stamp(ctx, PARSED.core, anchor.x, anchor.y);
+        // Our existing spawn is the first one built (RCL1)
+        if (anchor.spawnSlot) {
+            const i = core.entries.findIndex(e => e.x === anchor.spawnSlot.x && e.y === anchor.spawnSlot.y);
+            ctx.placed.unshift(ctx.placed.splice(ctx.placed.indexOf(core.entries[i]), 1)[0]);
+        } else if (features.spawn) {
+            ctx.placed.unshift({ x: features.spawn.x, y: features.spawn.y, type: STRUCTURE_SPAWN });
+        }
+
+        ctx.flood = this._floodFill(terrain, anchor);
+
+        this._placeSingles(ctx, STRUCTURE_TOWER, CONTROLLER_STRUCTURES[STRUCTURE_TOWER][8]);
+
+        const extensions = CONTROLLER_STRUCTURES[STRUCTURE_EXTENSION][8];
+        const count = type => ctx.placed.filter(p => p.type === type).length;
+        while (count(STRUCTURE_EXTENSION) + 5 <= extensions && this._placeNearest(ctx, PARSED.pod)) {
+            // keep adding pods
+        }
+
+        this._placeNearest(ctx, PARSED.labs);
+        this._placeSingles(ctx, STRUCTURE_EXTENSION, extensions - count(STRUCTURE_EXTENSION));
+        this._placeSingles(ctx, STRUCTURE_OBSERVER, 1);
+
+        this._assignRcl(ctx);
+        this._connect(ctx, anchor);
+        this._rampartLine(ctx, anchor);
+
+        return this._serialize(ctx, anchor);
+    },
+
+    /**
+     * Keep tiles around sources, mineral and controller free for their
+     * containers, links and the creeps working them.
+     *
+     * @param {Object} ctx
+     * @private
+     */
+    _reserve(ctx) {
+        const around = (pos, r) => {
+            if (!pos) return;
+            for (let dx = -r; dx <= r; dx++) {
+                for (let dy = -r; dy <= r; dy++) {
+                    const x = pos.x + dx;
+                    const y = pos.y + dy;
+                    if (x >= 0 && x <= 49 && y >= 0 && y <= 49) ctx.reserved.add(idx(x, y));
+                }
+            }
+        };
+
+        const f = ctx.features;
+        (f.sources || []).forEach(s => around(s, HARVEST_RESERVE));
+        around(f.mineral, HARVEST_RESERVE);
+        around(f.controller, CONTROLLER_RESERVE);
+    },
+
+    /**
+     * Range from each tile to the nearest wall or near-exit tile (0 on them).
+     * A square stamp of radius r fits around a tile whose value is > r.
+     *
+     * @param {RoomTerrain} terrain
+     * @returns {Uint8Array}
+     * @private
+     */
+    _distanceTransform(terrain) {
+        const dt = new Uint8Array(2500);
+
+        for (let x = 0; x < 50; x++) {
+            for (let y = 0; y < 50; y++) {
+                const nearEdge = x < EDGE_MARGIN || x > 49 - EDGE_MARGIN ||
+                    y < EDGE_MARGIN || y > 49 - EDGE_MARGIN;
+                dt[idx(x, y)] = nearEdge || terrain.get(x, y) === TERRAIN_MASK_WALL ? 0 : 255;
+            }
+        }
+
+        // Two chamfer passes (x outer, y inner), each reading only the
+        // neighbours its scan order has already settled: the whole previous
+        // column plus the tile above, then the mirror from the bottom-right
+        for (let x = 1; x < 49; x++) {
+            for (let y = 1; y < 49; y++) {
+                const i = idx(x, y);
+                if (dt[i] === 0) continue;
+                dt[i] = Math.min(dt[i],
+                    dt[idx(x - 1, y - 1)] + 1, dt[idx(x - 1, y)] + 1,
+                    dt[idx(x - 1, y + 1)] + 1, dt[idx(x, y - 1)] + 1);
+            }
+        }
+        for (let x = 48; x > 0; x--) {
+            for (let y = 48; y > 0; y--) {
+                const i = idx(x, y);
+                if (dt[i] === 0) continue;
+                dt[i] = Math.min(dt[i],
+                    dt[idx(x + 1, y + 1)] + 1, dt[idx(x + 1, y)] + 1,
+                    dt[idx(x + 1, y - 1)] + 1, dt[idx(x, y + 1)] + 1);
+            }
+        }
+
+        return dt;
+    },
+
+    /**
+     * Walking distance from `origin` to every reachable tile (-1 elsewhere).
+     *
+     * @param {RoomTerrain} terrain
+     * @param {{x:number,y:number}} origin
+     * @returns {Int16Array}
+     * @private
+     */
+    _floodFill(terrain, origin) {
+        const dist = new Int16Array(2500).fill(-1);
+        const queue = [idx(origin.x, origin.y)];
+        dist[queue[0]] = 0;
+
+        for (let head = 0; head < queue.length; head++) {
+            const i = queue[head];
+            const x = Math.floor(i / 50);
+            const y = i % 50;
+
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx > 49 || ny < 0 || ny > 49) continue;
+
+                    const n = idx(nx, ny);
+                    if (dist[n] !== -1 || terrain.get(nx, ny) === TERRAIN_MASK_WALL) continue;
+
+                    dist[n] = dist[i] + 1;
+                    queue.push(n);
+                }
+            }
+        }
+
+        return dist;
+    },
+
+    /**
+     * Core anchor: where the core stamp puts a spawn on our existing spawn,
+     * else the open spot closest to controller and sources.
+     *
+     * @param {Object} ctx
+     * @returns {{x:number,y:number,spawnSlot?:{x:number,y:number}}|null}
+     * @private
+     */
+    _chooseAnchor(ctx) {
+        const f = ctx.features;
+
+        if (f.spawn) {
+            const slots = PARSED.core.filter(t => t.type === STRUCTURE_SPAWN);
+            for (let i = 0; i < slots.length; i++) {
+                const x = f.spawn.x - slots[i].dx;
+                const y = f.spawn.y - slots[i].dy;
+                if (this._fits(ctx, PARSED.core, x, y)) {
+                    return { x, y, spawnSlot: { x: f.spawn.x, y: f.spawn.y } };
+                }
+            }
+        }
+
+        // The core goes elsewhere; keep it off our spawn
+        if (f.spawn) ctx.tiles.set(idx(f.spawn.x, f.spawn.y), STRUCTURE_SPAWN);
+
+        let best = null;
+        let bestScore = Infinity;
+        for (let x = EDGE_MARGIN; x <= 49 - EDGE_MARGIN; x++) {
+            for (let y = EDGE_MARGIN; y <= 49 - EDGE_MARGIN; y++) {
+                // Quick reject: both halves of the core need a 5x5 block
+                if (ctx.dt[idx(x, y)] < 3 || ctx.dt[idx(x - 2, y)] < 3 || ctx.dt[idx(x + 2, y)] < 3) continue;
+                if (!this._fits(ctx, PARSED.core, x, y)) continue;
+
+                const here = { x, y };
+                let score = f.controller ? range(here, f.controller) : 0;
+                for (let i = 0; i < f.sources.length; i++) score += range(here, f.sources[i]);
+                // Prefer open ground: cramped cores can't grow pods around them
+                score -= Math.min(ctx.dt[idx(x, y)], 6);
+
+                if (score < bestScore) {
+                    bestScore = score;
+                    best = here;
+                }
+            }
+        }
+        return best;
+    },
+
+    /**
+     * Whether a stamp fits at (x, y): structures and open tiles on free
+     * buildable ground, roads on walkable ground that is free or road already.
+     * Nothing goes on reserved tiles, roads included.
+     *
+     * @param {Object} ctx
+     * @param {Array<{dx:number,dy:number,type:string}>} stamp
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     * @private
+     */
+    _fits(ctx, stamp, x, y) {
+        for (let i = 0; i < stamp.length; i++) {
+            const tx = x + stamp[i].dx;
+            const ty = y + stamp[i].dy;
+            if (tx < 1 || tx > 48 || ty < 1 || ty > 48) return false;
+            if (ctx.terrain.get(tx, ty) === TERRAIN_MASK_WALL) return false;
+            if (ctx.reserved.has(idx(tx, ty))) return false;
+
+            const current = ctx.tiles.get(idx(tx, ty));
+            if (stamp[i].type === STRUCTURE_ROAD) {
+                if (current && current !== STRUCTURE_ROAD) return false;
+                continue;
+            }
+
+            if (current) return false;
+            if (tx < EDGE_MARGIN || tx > 49 - EDGE_MARGIN || ty < EDGE_MARGIN || ty > 49 - EDGE_MARGIN) return false;
+        }
+        return true;
+    },
+
+    /**
+     * Put a stamp down.
+     *
+     * @param {Object} ctx
+     * @param {Array<{dx:number,dy:number,type:string}>} stamp
+     * @param {number} x
+     * @param {number} y
+     * @returns {{roads:number[],entries:Object[]}} the stamp's road group
+     * @private
+     */
+    _stamp(ctx, stamp, x, y) {
+        const group = { roads: [], entries: [] };
+
+        for (let i = 0; i < stamp.length; i++) {
+            const tx = x + stamp[i].dx;
+            const ty = y + stamp[i].dy;
+            const type = stamp[i].type;
+            ctx.tiles.set(idx(tx, ty), type);
+
+            if (type === STRUCTURE_ROAD) {
+                group.roads.push(idx(tx, ty));
+            } else if (type !== OPEN) {
+                const entry = { x: tx, y: ty, type };
+                ctx.placed.push(entry);
+                group.entries.push(entry);
+            }
+        }
+
+        ctx.groups.push(group);
+        return group;
+    },
+
+    /**
+     * Place a stamp on the reachable spot nearest the core that fits and
+     * touches a road already planned.
+     *
+     * @param {Object} ctx
+     * @param {Array<{dx:number,dy:number,type:string}>} stamp
+     * @returns {boolean} placed
+     * @private
+     */
+    _placeNearest(ctx, stamp) {
+        const roads = stamp.filter(t => t.type === STRUCTURE_ROAD);
+        const candidates = this._byFlood(ctx);
+
+        for (let i = 0; i < candidates.length; i++) {
+            const x = Math.floor(candidates[i] / 50);
+            const y = candidates[i] % 50;
+            if (!this._fits(ctx, stamp, x, y)) continue;
+
+            const connected = roads.some(t => ctx.tiles.get(idx(x + t.dx, y + t.dy)) === STRUCTURE_ROAD);
+            if (!connected) continue;
+
+            this._stamp(ctx, stamp, x, y);
+            return true;
+        }
+        return false;
+    },
+
+    /**
+     * Place single structures on the free tiles nearest the core that are
+     * next to a planned road.
+     *
+     * @param {Object} ctx
+     * @param {string} type
+     * @param {number} count
+     * @private
+     */
+    _placeSingles(ctx, type, count) {
+        const single = [{ dx: 0, dy: 0, type }];
+        const candidates = this._byFlood(ctx);
+
+        for (let i = 0; i < candidates.length && count > 0; i++) {
+            const x = Math.floor(candidates[i] / 50);
+            const y = candidates[i] % 50;
+            if (!this._fits(ctx, single, x, y)) continue;
+
+            let nearRoad = false;
+            for (let dx = -1; dx <= 1 && !nearRoad; dx++) {
+                for (let dy = -1; dy <= 1 && !nearRoad; dy++) {
+                    nearRoad = ctx.tiles.get(idx(x + dx, y + dy)) === STRUCTURE_ROAD;
+                }
+            }
+            if (!nearRoad) continue;
+
+            this._stamp(ctx, single, x, y);
+            count--;
+        }
+    },
+
+    /**
+     * Reachable tiles, nearest to the core first.
+     *
+     * @param {Object} ctx
+     * @returns {number[]}
+     * @private
+     */
+    _byFlood(ctx) {
+        const list = [];
+        for (let i = 0; i < 2500; i++) {
+            if (ctx.flood[i] > 0) list.push(i);
+        }
+        return list.sort((a, b) => ctx.flood[a] - ctx.flood[b]);
+    },
+
+    /**
+     * RCL per structure from its place in build order, and per stamp road
+     * group the lowest RCL among what it serves. Structures past the RCL8
+     * limit are dropped.
+     *
+     * @param {Object} ctx
+     * @private
+     */
+    _assignRcl(ctx) {
+        const seen = {};
+        const kept = [];
+
+        for (let i = 0; i < ctx.placed.length; i++) {
+            const entry = ctx.placed[i];
+            const n = seen[entry.type] = (seen[entry.type] || 0) + 1;
+            const limits = CONTROLLER_STRUCTURES[entry.type] || {};
+
+            for (let rcl = 1; rcl <= 8; rcl++) {
+                if ((limits[rcl] || 0) >= n) {
+                    entry.rcl = rcl;
+                    break;
+                }
+            }
+            if (entry.rcl) kept.push(entry);
+        }
+        ctx.placed = kept;
+
+        for (let i = 0; i < ctx.groups.length; i++) {
+            const group = ctx.groups[i];
+            const levels = group.entries.filter(e => e.rcl).map(e => e.rcl);
+            group.rcl = levels.length > 0 ? Math.min.apply(null, levels) : 8;
+        }
+    },
+
+    /**
+     * Roads from the core to every source, the controller and the mineral,
+     * routed around everything planned. Roads stop just outside the tiles
+     * `_reserve` keeps free, so they never take a container or link spot
+     * (or the source / controller / mineral tile itself). Only when a target
+     * can't be reached that way is the road allowed through reserved tiles.
+     *
+     * @param {Object} ctx
+     * @param {{x:number,y:number}} anchor
+     * @private
+     */
+    _connect(ctx, anchor) {
+        const f = ctx.features;
+        const targets = (f.sources || []).map(pos => ({ pos, rcl: CONNECTOR_RCL, range: HARVEST_RESERVE + 1 }));
+        if (f.controller) targets.push({ pos: f.controller, rcl: CONNECTOR_RCL, range: CONTROLLER_RESERVE + 1 });
+        if (f.mineral) targets.push({ pos: f.mineral, rcl: MINERAL_RCL, range: HARVEST_RESERVE + 1 });
+
+        // Fallback for targets walled in by other reserved tiles: those are
+        // avoided, not blocked, and the road runs up to range 1
+        const fallback = new PathFinder.CostMatrix();
+        for (const i of ctx.reserved) {
+            fallback.set(Math.floor(i / 50), i % 50, 20);
+        }
+        for (const [i, type] of ctx.tiles) {
+            const x = Math.floor(i / 50);
+            const y = i % 50;
+            if (type === STRUCTURE_ROAD) fallback.set(x, y, 1);
+            else if (type === OPEN) fallback.set(x, y, 20);
+            else fallback.set(x, y, 0xff);
+        }
+        for (let t = 0; t < targets.length; t++) {
+            fallback.set(targets[t].pos.x, targets[t].pos.y, 0xff);
+        }
+
+        const matrix = fallback.clone();
+        for (const i of ctx.reserved) {
+            matrix.set(Math.floor(i / 50), i % 50, 0xff);
+        }
+
+        const origin = new RoomPosition(anchor.x, anchor.y, ctx.roomName);
+        const search = (goal, reach, costs) => PathFinder.search(origin, { pos: goal, range: reach }, {
+            plainCost: 2,
+            swampCost: 10,
+            maxRooms: 1,
+            roomCallback: roomName => (roomName === ctx.roomName ? costs : false)
+        });
+
+        for (let t = 0; t < targets.length; t++) {
+            const goal = new RoomPosition(targets[t].pos.x, targets[t].pos.y, ctx.roomName);
+            let result = search(goal, targets[t].range, matrix);
+            if (result.incomplete) result = search(goal, 1, fallback);
+
+            const group = { roads: [], entries: [], rcl: targets[t].rcl };
+            for (let i = 0; i < result.path.length; i++) {
+                const p = result.path[i];
+                if (p.x === 0 || p.x === 49 || p.y === 0 || p.y === 49) continue;
+                const current = ctx.tiles.get(idx(p.x, p.y));
+                if (current && current !== STRUCTURE_ROAD) continue;
+                group.roads.push(idx(p.x, p.y));
+                ctx.tiles.set(idx(p.x, p.y), STRUCTURE_ROAD);
+                matrix.set(p.x, p.y, 1);
+                fallback.set(p.x, p.y, 1);
+            }
+            ctx.groups.push(group);
+        }
+    },
+
+    /**
+     * Min-cut rampart line around the core structures and the controller.
+     * Tiles within RAMPART_BUFFER of them stay inside, so attackers can't
+     * reach them from outside the line.
+     *
+     * @param {Object} ctx
+     * @param {{x:number,y:number}} anchor
+     * @private
+     */
+    _rampartLine(ctx, anchor) {
+        const core = [STRUCTURE_SPAWN, STRUCTURE_STORAGE, STRUCTURE_TOWER, STRUCTURE_EXTENSION];
+        const centers = ctx.placed.filter(p => core.indexOf(p.type) !== -1);
+        if (ctx.features.controller) centers.push(ctx.features.controller);
+
+        const protect = new Map();
+        for (let i = 0; i < centers.length; i++) {
+            const c = centers[i];
+            for (let dx = -RAMPART_BUFFER; dx <= RAMPART_BUFFER; dx++) {
+                for (let dy = -RAMPART_BUFFER; dy <= RAMPART_BUFFER; dy++) {
+                    const x = c.x + dx;
+                    const y = c.y + dy;
+                    if (x < 1 || x > 48 || y < 1 || y > 48) continue;
+                    protect.set(idx(x, y), { x, y });
+                }
+            }
+        }
+
+        const line = MinCut.cut(ctx.terrain, Array.from(protect.values()));
+        if (!line) {
+            console.log(`[LayoutPlanner] No rampart line seals the base in ${ctx.roomName}`);
+            return;
+        }
+
+        const towers = ctx.placed.filter(p => p.type === STRUCTURE_TOWER);
+        const towerRange = t => towers.reduce((best, tower) => Math.min(best, range(t, tower)), Infinity);
+
+        ctx.ramparts = line
+            .map(t => ({ x: t.x, y: t.y, tower: towerRange(t), anchor: range(t, anchor) }))
+            .sort((a, b) => a.tower - b.tower || a.anchor - b.anchor)
+            .map(t => ({ x: t.x, y: t.y }));
+    },
+
+    /**
+     * The blueprint as stored in Memory.
+     *
+     * @param {Object} ctx
+     * @param {{x:number,y:number}} anchor
+     * @returns {Object}
+     * @private
+     */
+    _serialize(ctx, anchor) {
+        const structures = {};
+        for (let i = 0; i < ctx.placed.length; i++) {
+            const e = ctx.placed[i];
+            (structures[e.type] || (structures[e.type] = [])).push([e.x, e.y, e.rcl]);
+        }
+
+        // A road serving several groups is built with the earliest of them
+        const roadRcl = new Map();
+        for (let i = 0; i < ctx.groups.length; i++) {
+            const group = ctx.groups[i];
+            for (let j = 0; j < group.roads.length; j++) {
+                const r = group.roads[j];
+                roadRcl.set(r, Math.min(roadRcl.get(r) || 8, group.rcl));
+            }
+        }
+        structures[STRUCTURE_ROAD] = [];
+        for (const [i, rcl] of roadRcl) {
+            structures[STRUCTURE_ROAD].push([Math.floor(i / 50), i % 50, rcl]);
+        }
+        structures[STRUCTURE_ROAD].sort((a, b) => a[2] - b[2]);
+
+        if (ctx.ramparts.length > 0) {
+            structures[STRUCTURE_RAMPART] = ctx.ramparts.map(t => [t.x, t.y, RAMPART_RCL]);
+        }
+
+        return {
+            version: LAYOUT_VERSION,
+            tick: Game.time,
+            anchor: { x: anchor.x, y: anchor.y },
+            storage: { x: anchor.x + STORAGE_OFFSET.dx, y: anchor.y + STORAGE_OFFSET.dy },
+            structures
+        };
+    }
+};
+
+module.exports = LayoutPlanner;
@@ -0,0 +1,413 @@
+// planner.report.js
+// Layout dry run: everything the storage, road and defense planners would place, validated before any energy is spent.
+
+const LayoutPlanner     = require("planner.layout");
+const StoragePlanner    = require("planner.storage");
+const RoadLayoutPlanner = require("planner.road.layout");
+const DefensePlanner    = require("planner.defense");
+const RoomIntel         = require("util.intel");
+
+// Structures our creeps walk through (our own ramparts included)
+const WALKABLE = [STRUCTURE_ROAD, STRUCTURE_CONTAINER, STRUCTURE_RAMPART];
+
+// How close a creep must get to work each target
+const SOURCE_RANGE     = 1;
+const MINERAL_RANGE    = 1;
+const CONTROLLER_RANGE = 3;
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function idx(x, y) {
+    return x * 50 + y;
+}
+
+/**
+ * Breadth-first search over walkable terrain from `starts`, around `blocked`.
+ *
+ * @param {RoomTerrain} terrain
+ * @param {number[]} starts - tile indices
+ * @param {Set<number>} blocked
+ * @returns {Int16Array} tile -> the tile it was reached from (-1 unreached, itself for starts)
+ */
+function explore(terrain, starts, blocked) {
+    const from = new Int16Array(2500).fill(-1);
+    const queue = [];
+    for (let i = 0; i < starts.length; i++) {
+        from[starts[i]] = starts[i];
+        queue.push(starts[i]);
+    }
+
+    for (let head = 0; head < queue.length; head++) {
+        const t = queue[head];
+        const x = Math.floor(t / 50);
+        const y = t % 50;
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || nx > 49 || ny < 0 || ny > 49) continue;
+
+                const n = idx(nx, ny);
+                if (from[n] !== -1 || blocked.has(n)) continue;
+                if (terrain.get(nx, ny) === TERRAIN_MASK_WALL) continue;
+
+                from[n] = t;
+                queue.push(n);
+            }
+        }
+    }
+
+    return from;
+}
+
+/**
+ * Layout dry run.
+ *
+ * `run` puts a room through StoragePlanner, RoadLayoutPlanner and
+ * DefensePlanner `dryRun` (no intents, no Memory writes) and checks what
+ * they would place:
+ *  - invalid:     structures on walls or exit tiles
+ *  - overlap:     two structures on one tile that can't share it
+ *  - limit:       more of a type by some RCL than CONTROLLER_STRUCTURES allows
+ *  - blocked:     a source, the controller or the mineral walled off from the
+ *                 spawn by planned structures (the ones in the way are listed)
+ *  - unreachable: a structure no creep could get to from the spawn
+ *
+ * Works from terrain alone (Game.map.getRoomTerrain), so rooms can be
+ * reviewed before they are claimed; controller / source / mineral tiles
+ * come from vision or room intel. From the console:
+ *   require('planner.report').print('W1N1')
+ *   require('planner.report').print('W1N1', { rcl: 4 })
+ */
+const LayoutReport = {
+    /**
+     * Dry-run the planners for a room and validate the result.
+     *
+     * @param {string} roomName
+     * @param {Object} [opts]
+     * @param {number} [opts.rcl=8] - plan up to this level
+     * @param {Object} [opts.features] - controller / sources / mineral / spawn, else from vision or intel
+     * @param {Object} [opts.blueprint] - else the stored one, else generated now
+     * @param {RoomTerrain} [opts.terrain]
+     * @returns {{roomName:string,rcl?:number,anchor?:Object,placements?:Object[],counts?:Object,issues?:Object[],ok:boolean,error?:string}}
+     */
+    run(roomName, opts = {}) {
+        const terrain = opts.terrain || Game.map.getRoomTerrain(roomName);
+        const features = opts.features || this._features(roomName);
+        if (!features || !features.controller) {
+            return { roomName, ok: false, error: "controller not known: get vision or pass opts.features" };
+        }
+
+        const blueprint = opts.blueprint ||
+            LayoutPlanner.get(roomName) ||
+            LayoutPlanner.generate(roomName, terrain, features);
+        if (!blueprint) {
+            return { roomName, ok: false, error: "no room for the core stamp" };
+        }
+
+        const rcl = opts.rcl || 8;
+
+        // Tiles holding a blueprint structure nothing else may share
+        const occupied = new Set();
+        for (const type in blueprint.structures) {
+            if (WALKABLE.indexOf(type) !== -1) continue;
+            const entries = blueprint.structures[type];
+            for (let i = 0; i < entries.length; i++) occupied.add(idx(entries[i][0], entries[i][1]));
+        }
+
+        const plan = {
+            roomName,
+            terrain,
+            features,
+            blueprint,
+            rcl,
+            spawn: features.spawn || LayoutPlanner.entries(blueprint, STRUCTURE_SPAWN)[0] || null,
+            occupied: (x, y) => occupied.has(idx(x, y))
+        };
+
+        const tag = (planner, list) => list.map(p => Object.assign({ planner }, p));
+        const placements = [].concat(
+            tag("storage", StoragePlanner.dryRun(plan)),
+            tag("road", RoadLayoutPlanner.dryRun(plan)),
+            tag("defense", DefensePlanner.dryRun(plan))
+        );
+
+        const counts = {};
+        for (let i = 0; i < placements.length; i++) {
+            counts[placements[i].type] = (counts[placements[i].type] || 0) + 1;
+        }
+
+        const issues = [].concat(
+            this._checkTiles(plan, placements),
+            this._checkOverlaps(placements),
+            this._checkLimits(plan, placements),
+            this._checkAccess(plan, placements)
+        );
+
+        return { roomName, rcl, anchor: blueprint.anchor, placements, counts, issues, ok: issues.length === 0 };
+    },
+
+    /**
+     * Print a dry run to the console.
+     *
+     * @param {string} roomName
+     * @param {Object} [opts] - see `run`
+     */
+    print(roomName, opts = {}) {
+        const report = this.run(roomName, opts);
+        if (report.error) {
+            console.log(`[LayoutReport] ${roomName}: ${report.error}`);
+            return;
+        }
+
+        console.log(`=== LAYOUT DRY RUN ${roomName} (RCL ${report.rcl}, core at ${report.anchor.x},${report.anchor.y}) ===`);
+        console.log(Object.keys(report.counts).map(type => `${type} ${report.counts[type]}`).join(" | "));
+
+        if (report.ok) {
+            console.log("no issues");
+            return;
+        }
+
+        console.log(`${report.issues.length} issue(s):`);
+        for (let i = 0; i < report.issues.length; i++) {
+            const issue = report.issues[i];
+            console.log(`[${issue.kind}] ${issue.x},${issue.y} ${issue.detail}`);
+        }
+    },
+
+    /**
+     * Controller / source / mineral (and our spawn) tiles from vision, else
+     * from room intel.
+     *
+     * @param {string} roomName
+     * @returns {Object|null}
+     * @private
+     */
+    _features(roomName) {
+        const room = Game.rooms[roomName];
+        if (!room) return RoomIntel.features(roomName);
+
+        const spawn = room.find(FIND_MY_SPAWNS)[0];
+        const mineral = room.find(FIND_MINERALS)[0];
+        return {
+            controller: room.controller ? room.controller.pos : null,
+            sources: room.find(FIND_SOURCES).map(s => s.pos),
+            mineral: mineral ? mineral.pos : null,
+            spawn: spawn ? spawn.pos : null
+        };
+    },
+
+    /**
+     * Structures on walls (roads may tunnel) or on exit tiles.
+     *
+     * @param {Object} plan
+     * @param {Object[]} placements
+     * @returns {Object[]}
+     * @private
+     */
+    _checkTiles(plan, placements) {
+        const issues = [];
+        for (let i = 0; i < placements.length; i++) {
+            const p = placements[i];
+            if (p.x <= 0 || p.x >= 49 || p.y <= 0 || p.y >= 49) {
+                issues.push({ kind: "invalid", x: p.x, y: p.y, detail: `${p.type} (${p.planner}) on an exit tile` });
+            } else if (p.type !== STRUCTURE_ROAD && plan.terrain.get(p.x, p.y) === TERRAIN_MASK_WALL) {
+                issues.push({ kind: "invalid", x: p.x, y: p.y, detail: `${p.type} (${p.planner}) on a wall` });
+            }
+        }
+        return issues;
+    },
+
+    /**
+     * Tiles two planners (or one, twice) want for structures that can't share.
+     *
+     * @param {Object[]} placements
+     * @returns {Object[]}
+     * @private
+     */
+    _checkOverlaps(placements) {
+        /** @type {Map<number, Object[]>} */
+        const byTile = new Map();
+        for (let i = 0; i < placements.length; i++) {
+            const t = idx(placements[i].x, placements[i].y);
+            if (!byTile.has(t)) byTile.set(t, []);
+            byTile.get(t).push(placements[i]);
+        }
+
+        const issues = [];
+        for (const list of byTile.values()) {
+            for (let i = 0; i < list.length; i++) {
+                for (let j = i + 1; j < list.length; j++) {
+                    const a = list[i];
+                    const b = list[j];
+                    if (a.type !== b.type && LayoutPlanner.canShare(a.type, b.type)) continue;
+                    issues.push({
+                        kind: "overlap",
+                        x: a.x,
+                        y: a.y,
+                        detail: `${b.type} (${b.planner}) on ${a.type} (${a.planner})`
+                    });
+                }
+            }
+        }
+        return issues;
+    },
+
+    /**
+     * Types with more placements by some RCL than the controller allows
+     * then; reported once per type, at the first level that overflows.
+     *
+     * @param {Object} plan
+     * @param {Object[]} placements
+     * @returns {Object[]}
+     * @private
+     */
+    _checkLimits(plan, placements) {
+        const issues = [];
+        const types = new Set(placements.map(p => p.type));
+
+        for (const type of types) {
+            const limits = CONTROLLER_STRUCTURES[type] || {};
+            const ofType = placements.filter(p => p.type === type);
+
+            for (let level = 1; level <= plan.rcl; level++) {
+                const count = ofType.filter(p => p.rcl <= level).length;
+                const allowed = limits[level] || 0;
+                if (count <= allowed) continue;
+
+                const first = ofType.filter(p => p.rcl <= level)[allowed];
+                issues.push({
+                    kind: "limit",
+                    x: first.x,
+                    y: first.y,
+                    detail: `${count} ${type} by RCL ${level}, ${allowed} allowed`
+                });
+                break;
+            }
+        }
+        return issues;
+    },
+
+    /**
+     * Walk from the spawn around every planned obstacle: sources, controller
+     * and mineral must stay in reach, and so must every structure (its own
+     * tile when walkable, a neighbour otherwise).
+     *
+     * @param {Object} plan
+     * @param {Object[]} placements
+     * @returns {Object[]}
+     * @private
+     */
+    _checkAccess(plan, placements) {
+        const { terrain, features } = plan;
+        const issues = [];
+        if (!plan.spawn) return issues;
+
+        // Sources, controller and mineral are solid too
+        const fixed = new Set();
+        const targets = [];
+        for (let i = 0; i < features.sources.length; i++) {
+            fixed.add(idx(features.sources[i].x, features.sources[i].y));
+            targets.push({ pos: features.sources[i], range: SOURCE_RANGE, name: "source" });
+        }
+        fixed.add(idx(features.controller.x, features.controller.y));
+        targets.push({ pos: features.controller, range: CONTROLLER_RANGE, name: "controller" });
+        if (features.mineral) {
+            fixed.add(idx(features.mineral.x, features.mineral.y));
+            if (plan.rcl >= 6) targets.push({ pos: features.mineral, range: MINERAL_RANGE, name: "mineral" });
+        }
+
+        const obstacles = new Set(fixed);
+        for (let i = 0; i < placements.length; i++) {
+            const p = placements[i];
+            if (WALKABLE.indexOf(p.type) === -1) obstacles.add(idx(p.x, p.y));
+        }
+
+        const starts = [];
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const x = plan.spawn.x + dx;
+                const y = plan.spawn.y + dy;
+                if (x < 0 || x > 49 || y < 0 || y > 49) continue;
+                if (terrain.get(x, y) === TERRAIN_MASK_WALL || obstacles.has(idx(x, y))) continue;
+                starts.push(idx(x, y));
+            }
+        }
+        if (starts.length === 0) {
+            issues.push({ kind: "blocked", x: plan.spawn.x, y: plan.spawn.y, detail: "spawn has no free tile around it" });
+            return issues;
+        }
+
+        const reach = explore(terrain, starts, obstacles);
+        // Terrain only: what the planned structures take away
+        const open = explore(terrain, starts, fixed);
+
+        for (let i = 0; i < targets.length; i++) {
+            const target = targets[i];
+            const near = this._tilesInRange(target.pos, target.range);
+            if (near.some(t => reach[t] !== -1)) continue;
+
+            if (!near.some(t => open[t] !== -1)) {
+                issues.push({ kind: "unreachable", x: target.pos.x, y: target.pos.y, detail: `${target.name} can't be reached over terrain` });
+                continue;
+            }
+
+            // The wall: planned obstacles touching both the spawn's side and the target's
+            const inside = explore(terrain, near.filter(t =>
+                !obstacles.has(t) && terrain.get(Math.floor(t / 50), t % 50) !== TERRAIN_MASK_WALL), obstacles);
+            const blockers = [];
+            for (const t of obstacles) {
+                if (fixed.has(t)) continue;
+                const around = this._tilesInRange({ x: Math.floor(t / 50), y: t % 50 }, 1);
+                if (around.some(n => reach[n] !== -1) && around.some(n => inside[n] !== -1)) {
+                    blockers.push(`${Math.floor(t / 50)},${t % 50}`);
+                }
+            }
+            issues.push({
+                kind: "blocked",
+                x: target.pos.x,
+                y: target.pos.y,
+                detail: `${target.name} walled off by ${blockers.length > 0 ? blockers.join(" ") : "planned structures"}`
+            });
+        }
+
+        for (let i = 0; i < placements.length; i++) {
+            const p = placements[i];
+            const reached = WALKABLE.indexOf(p.type) !== -1 && terrain.get(p.x, p.y) !== TERRAIN_MASK_WALL
+                ? reach[idx(p.x, p.y)] !== -1
+                : this._tilesInRange(p, 1).some(t => reach[t] !== -1);
+            if (!reached) {
+                issues.push({ kind: "unreachable", x: p.x, y: p.y, detail: `${p.type} (${p.planner})` });
+            }
+        }
+
+        return issues;
+    },
+
+    /**
+     * Tile indices within `range` of a position (inside the room).
+     *
+     * @param {{x:number,y:number}} pos
+     * @param {number} range
+     * @returns {number[]}
+     * @private
+     */
+    _tilesInRange(pos, range) {
+        const tiles = [];
+        for (let dx = -range; dx <= range; dx++) {
+            for (let dy = -range; dy <= range; dy++) {
+                const x = pos.x + dx;
+                const y = pos.y + dy;
+                if (x < 0 || x > 49 || y < 0 || y > 49) continue;
+                tiles.push(idx(x, y));
+            }
+        }
+        return tiles;
+    }
+};
+
+module.exports = LayoutReport;
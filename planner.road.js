@@ -9,7 +9,7 @@ const RoadLayout = require("planner.road.layout");
  */
 const RoadPlanner = {
     /**
-     * Plan static road layout (spawn <-> sources/controller/storage).
+     * Build the blueprint roads (core, stamps, sources/controller/mineral).
      *
      * @param {Room} room
      */
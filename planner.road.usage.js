@@ -1,7 +1,8 @@
 // planner.road.usage.js
 // Handles movement heatmap + dynamic usage-based road placement
 
-const Config = require("config");
+const Config       = require("config");
+const Construction = require("manager.construction");
 
 /**
  * Dynamic road planner:
@@ -128,19 +129,20 @@ const RoadUsagePlanner = {
 
             const pos = new RoomPosition(x, y, roomName);
 
+            // Only a road (or its site) on the tile resets the count; a queued
+            // request may still expire or be given up by the broker
             const structures = room.lookForAt(LOOK_STRUCTURES, pos);
-            if (structures.some(s => s.structureType === STRUCTURE_ROAD)) {
+            const sites = room.lookForAt(LOOK_CONSTRUCTION_SITES, pos);
+            if (structures.some(s => s.structureType === STRUCTURE_ROAD) ||
+                sites.some(s => s.structureType === STRUCTURE_ROAD)) {
                 delete usage[key];
                 continue;
             }
 
-            const sites = room.lookForAt(LOOK_CONSTRUCTION_SITES, pos);
-            if (sites.some(s => s.structureType === STRUCTURE_ROAD)) continue;
-
-            const res = room.createConstructionSite(pos, STRUCTURE_ROAD);
-            if (res === OK) {
+            // Already queued: refresh it without spending this run's quota
+            const queued = Construction.has(room, x, y, STRUCTURE_ROAD);
+            if (Construction.request(room, x, y, STRUCTURE_ROAD, { reason: "road usage" }) && !queued) {
                 created++;
-                usage[key] = 0;
             }
         }
     }
@@ -1,19 +1,37 @@
 // planner.storage.js
-// High-level planner for non-road structures (containers, storage, extensions, links, extractor)
+// High-level planner for non-road structures (containers, storage, extensions, links, extractor, base blueprint)
 
+const LayoutPlanner     = require("planner.layout");
 const ContainersPlanner = require("planner.struct.containers");
 const StorageStruct     = require("planner.struct.storage");
 const ExtensionsPlanner = require("planner.struct.extensions");
 const LinksPlanner      = require("planner.struct.links");
 const ExtractorPlanner  = require("planner.struct.extractor");
 
+// Blueprint types other planners own: roads (planner.road.layout), ramparts
+// and towers (planner.defense), links (planner.struct.links)
+const NOT_OURS = [STRUCTURE_ROAD, STRUCTURE_RAMPART, STRUCTURE_TOWER, STRUCTURE_LINK];
+
+// Built straight from the blueprint (planner.layout)
+const BLUEPRINT_ONLY = [
+    STRUCTURE_SPAWN,
+    STRUCTURE_TERMINAL,
+    STRUCTURE_LAB,
+    STRUCTURE_FACTORY,
+    STRUCTURE_POWER_SPAWN,
+    STRUCTURE_NUKER,
+    STRUCTURE_OBSERVER
+];
+
 /**
  * High-level structure planner for a room:
+ *  - Base blueprint (planner.layout), planned once
  *  - Source / controller containers
  *  - Storage
  *  - Extensions
  *  - Links
  *  - Extractor
+ *  - Everything else in the blueprint (spawns, labs, terminal, ...)
  */
 const StoragePlanner = {
     /**
@@ -50,13 +68,51 @@ const StoragePlanner = {
         }
 
         // Order matters: things that others depend on come first
+        LayoutPlanner.plan(room);
         ContainersPlanner.plan(room, layout);
         StorageStruct.plan(room, layout, rcl);
         ExtensionsPlanner.plan(room, layout, rcl);
         LinksPlanner.plan(room, layout, rcl);
         ExtractorPlanner.plan(room, layout, rcl);
 
+        // Blueprint structures no dedicated planner handles
+        for (let i = 0; i < BLUEPRINT_ONLY.length; i++) {
+            LayoutPlanner.materialize(room, BLUEPRINT_ONLY[i]);
+        }
+
         Memory.storageLayout[room.name] = layout;
+    },
+
+    /**
+     * Everything `planLayout` would place up to `plan.rcl`, without intents
+     * or Memory writes (see planner.report).
+     *
+     * @param {Object} plan
+     * @returns {Array<{type:string,x:number,y:number,rcl:number}>}
+     */
+    dryRun(plan) {
+        const layout = {
+            storagePos: plan.blueprint.storage,
+            sourceContainers: {},
+            controllerContainer: null,
+            links: {}
+        };
+
+        let placements = [];
+        for (const type in plan.blueprint.structures) {
+            if (NOT_OURS.indexOf(type) !== -1) continue;
+            const entries = LayoutPlanner.entries(plan.blueprint, type, plan.rcl);
+            for (let i = 0; i < entries.length; i++) {
+                placements.push({ type, x: entries[i].x, y: entries[i].y, rcl: entries[i].rcl });
+            }
+        }
+
+        placements = placements.concat(
+            ContainersPlanner.dryRun(plan, layout),
+            LinksPlanner.dryRun(plan, layout),
+            ExtractorPlanner.dryRun(plan, layout)
+        );
+        return placements;
     }
 };
 
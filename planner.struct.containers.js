@@ -1,6 +1,12 @@
 // planner.struct.containers.js
 // Handles source + controller containers
 
+const LayoutPlanner = require("planner.layout");
+const Construction  = require("manager.construction");
+
+// Tile types a container may share
+const SHAREABLE = [STRUCTURE_ROAD, STRUCTURE_CONTAINER, STRUCTURE_RAMPART];
+
 /**
  * Container placement around sources and controller.
  * Stores positions in Memory.storageLayout[roomName].
@@ -29,51 +35,15 @@ const ContainersPlanner = {
          * @returns {RoomPosition|null}
          */
         const chooseContainerPos = (targetPos, preferPos) => {
-            let best = null;
-            let bestDist = Infinity;
-
-            for (let dx = -1; dx <= 1; dx++) {
-                for (let dy = -1; dy <= 1; dy++) {
-                    if (dx === 0 && dy === 0) continue;
-
-                    const x = targetPos.x + dx;
-                    const y = targetPos.y + dy;
-
-                    if (x < 0 || x > 49 || y < 0 || y > 49) continue;
-                    if (terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
-
-                    const pos = new RoomPosition(x, y, room.name);
-
-                    // Structures: allow empty / road / container / rampart
-                    const structures = room.lookForAt(LOOK_STRUCTURES, pos);
-                    if (structures.some(s =>
-                        s.structureType !== STRUCTURE_ROAD &&
-                        s.structureType !== STRUCTURE_CONTAINER &&
-                        s.structureType !== STRUCTURE_RAMPART
-                    )) {
-                        continue;
-                    }
-
-                    // Sites: allow only road/container/rampart
-                    const sites = room.lookForAt(LOOK_CONSTRUCTION_SITES, pos);
-                    if (sites.some(s =>
-                        s.structureType !== STRUCTURE_ROAD &&
-                        s.structureType !== STRUCTURE_CONTAINER &&
-                        s.structureType !== STRUCTURE_RAMPART
-                    )) {
-                        continue;
-                    }
-
-                    const ref = preferPos || spawn.pos;
-                    const dist = ref.getRangeTo(pos);
-                    if (dist < bestDist) {
-                        bestDist = dist;
-                        best = pos;
-                    }
-                }
-            }
-
-            return best;
+            const spot = LayoutPlanner.spotNear(terrain, targetPos, preferPos || spawn.pos, (x, y) => {
+                // Structures / sites: allow empty / road / container / rampart
+                const structures = room.lookForAt(LOOK_STRUCTURES, x, y);
+                if (structures.some(s => SHAREABLE.indexOf(s.structureType) === -1)) return false;
+
+                const sites = room.lookForAt(LOOK_CONSTRUCTION_SITES, x, y);
+                return !sites.some(s => SHAREABLE.indexOf(s.structureType) === -1);
+            });
+            return spot && new RoomPosition(spot.x, spot.y, room.name);
         };
 
         // ---------------- SOURCE CONTAINERS ----------------
@@ -93,7 +63,9 @@ const ContainersPlanner = {
                 const hasSite = sites.some(s => s.structureType === STRUCTURE_CONTAINER);
 
                 if (!hasContainer && !hasSite) {
-                    room.createConstructionSite(posObj, STRUCTURE_CONTAINER);
+                    Construction.request(room, posObj.x, posObj.y, STRUCTURE_CONTAINER, {
+                        reason: "source container"
+                    });
                 }
                 continue;
             }
@@ -106,7 +78,9 @@ const ContainersPlanner = {
                 x: containerPos.x,
                 y: containerPos.y
             };
-            room.createConstructionSite(containerPos, STRUCTURE_CONTAINER);
+            Construction.request(room, containerPos.x, containerPos.y, STRUCTURE_CONTAINER, {
+                reason: "source container"
+            });
         }
 
         // ---------------- CONTROLLER CONTAINER ----------------
@@ -124,7 +98,9 @@ const ContainersPlanner = {
             const hasSite = sites.some(s => s.structureType === STRUCTURE_CONTAINER);
 
             if (!hasContainer && !hasSite) {
-                room.createConstructionSite(posObj, STRUCTURE_CONTAINER);
+                Construction.request(room, posObj.x, posObj.y, STRUCTURE_CONTAINER, {
+                    reason: "controller container"
+                });
             }
         } else {
             const ctrlPos = room.controller.pos;
@@ -135,8 +111,46 @@ const ContainersPlanner = {
                 x: ctrlContainerPos.x,
                 y: ctrlContainerPos.y
             };
-            room.createConstructionSite(ctrlContainerPos, STRUCTURE_CONTAINER);
+            Construction.request(room, ctrlContainerPos.x, ctrlContainerPos.y, STRUCTURE_CONTAINER, {
+                reason: "controller container"
+            });
         }
+    },
+
+    /**
+     * Dry run of `plan` for a room that may not be ours yet: the same spots,
+     * with the blueprint standing in for what is built. Fills `layout` like
+     * `plan` does (sources keyed by index).
+     *
+     * @param {Object} plan - see planner.report
+     * @param {object} layout - scratch storage layout
+     * @returns {Array<{type:string,x:number,y:number,rcl:number}>}
+     */
+    dryRun(plan, layout) {
+        const { terrain, features } = plan;
+        const spawn = plan.spawn;
+        if (!spawn) return [];
+
+        const isFree = (x, y) => !plan.occupied(x, y);
+        const placements = [];
+        layout.sourceContainers = layout.sourceContainers || {};
+
+        for (let i = 0; i < features.sources.length; i++) {
+            const spot = LayoutPlanner.spotNear(terrain, features.sources[i], spawn, isFree);
+            if (!spot) continue;
+            layout.sourceContainers[i] = spot;
+            placements.push({ type: STRUCTURE_CONTAINER, x: spot.x, y: spot.y, rcl: 1 });
+        }
+
+        if (features.controller) {
+            const spot = LayoutPlanner.spotNear(terrain, features.controller, spawn, isFree);
+            if (spot) {
+                layout.controllerContainer = spot;
+                placements.push({ type: STRUCTURE_CONTAINER, x: spot.x, y: spot.y, rcl: 1 });
+            }
+        }
+
+        return placements;
     }
 };
 
@@ -1,8 +1,23 @@
 // planner.struct.extractor.js
-// Handles extractor on mineral (RCL6+)
+// Handles extractor + mineral container on mineral (RCL6+)
+
+const LayoutPlanner = require("planner.layout");
+const Construction  = require("manager.construction");
+
+/**
+ * Whether a mineral container fits on (x, y): off the exit rows and columns.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+function insideEdges(x, y) {
+    return x >= 1 && x <= 48 && y >= 1 && y <= 48;
+}
 
 /**
- * Extractor planner: places a single extractor on the room's mineral (RCL 6+).
+ * Extractor planner: places a single extractor on the room's mineral (RCL 6+),
+ * plus a container next to it for the mineral miner to drop into.
  */
 const ExtractorPlanner = {
     /**
@@ -25,8 +40,79 @@ const ExtractorPlanner = {
             .some(s => s.structureType === STRUCTURE_EXTRACTOR);
 
         if (!hasExtractor && !hasSite) {
-            room.createConstructionSite(pos, STRUCTURE_EXTRACTOR);
+            Construction.request(room, pos.x, pos.y, STRUCTURE_EXTRACTOR, { reason: "extractor" });
         }
+
+        this._planMineralContainer(room, layout, mineral);
+    },
+
+    /**
+     * Keep a container next to the mineral, biased toward storage (or spawn).
+     *
+     * @param {Room} room
+     * @param {object} layout
+     * @param {Mineral} mineral
+     * @private
+     */
+    _planMineralContainer(room, layout, mineral) {
+        if (!layout.mineralContainer) {
+            const spawn = room.find(FIND_MY_SPAWNS)[0];
+            const ref = layout.storagePos
+                ? new RoomPosition(layout.storagePos.x, layout.storagePos.y, room.name)
+                : spawn && spawn.pos;
+            if (!ref) return;
+
+            const best = LayoutPlanner.spotNear(room.getTerrain(), mineral.pos, ref, (x, y) => {
+                if (!insideEdges(x, y)) return false;
+
+                // Allow empty / road / rampart only
+                const structures = room.lookForAt(LOOK_STRUCTURES, x, y);
+                return !structures.some(s =>
+                    s.structureType !== STRUCTURE_ROAD &&
+                    s.structureType !== STRUCTURE_RAMPART
+                );
+            });
+
+            if (!best) return;
+            layout.mineralContainer = best;
+        }
+
+        const posObj = new RoomPosition(layout.mineralContainer.x, layout.mineralContainer.y, room.name);
+
+        const hasContainer = room.lookForAt(LOOK_STRUCTURES, posObj)
+            .some(s => s.structureType === STRUCTURE_CONTAINER);
+        const hasSite = room.lookForAt(LOOK_CONSTRUCTION_SITES, posObj)
+            .some(s => s.structureType === STRUCTURE_CONTAINER);
+
+        if (!hasContainer && !hasSite) {
+            Construction.request(room, posObj.x, posObj.y, STRUCTURE_CONTAINER, {
+                reason: "mineral container"
+            });
+        }
+    },
+
+    /**
+     * Dry run of `plan`: extractor and mineral container from RCL 6.
+     *
+     * @param {Object} plan - see planner.report
+     * @param {object} layout - scratch storage layout
+     * @returns {Array<{type:string,x:number,y:number,rcl:number}>}
+     */
+    dryRun(plan, layout) {
+        const mineral = plan.features.mineral;
+        if (plan.rcl < 6 || !mineral) return [];
+
+        const placements = [{ type: STRUCTURE_EXTRACTOR, x: mineral.x, y: mineral.y, rcl: 6 }];
+
+        const ref = layout.storagePos || plan.spawn;
+        const spot = ref && LayoutPlanner.spotNear(plan.terrain, mineral, ref,
+            (x, y) => insideEdges(x, y) && !plan.occupied(x, y));
+        if (spot) {
+            layout.mineralContainer = spot;
+            placements.push({ type: STRUCTURE_CONTAINER, x: spot.x, y: spot.y, rcl: 6 });
+        }
+
+        return placements;
     }
 };
 
@@ -1,11 +1,17 @@
 // planner.struct.links.js
 // Handles controller/storage/source links (RCL5+)
 
+const LayoutPlanner = require("planner.layout");
+const Construction  = require("manager.construction");
+
 /**
  * Links planner:
  *  - One link near controller
  *  - One link near storage
  *  - One link near each source container (if allowed)
+ *
+ * A chosen spot is kept in the layout and requested from the construction
+ * broker until its link is built; a spot the broker gave up on is chosen anew.
  */
 const LinksPlanner = {
     /**
@@ -60,92 +66,125 @@ const LinksPlanner = {
             return true;
         };
 
+        /**
+         * Request the link for a chosen spot unless it is built or sited.
+         *
+         * @param {{x:number,y:number}} spot
+         * @param {string} reason
+         * @returns {boolean} false if the broker won't take it (pick another spot)
+         */
+        const request = (spot, reason) => {
+            if (room.lookForAt(LOOK_STRUCTURES, spot.x, spot.y)
+                .some(s => s.structureType === STRUCTURE_LINK)) return true;
+            if (room.lookForAt(LOOK_CONSTRUCTION_SITES, spot.x, spot.y)
+                .some(s => s.structureType === STRUCTURE_LINK)) return true;
+            if (remaining <= 0) return true;
+
+            if (!Construction.request(room, spot.x, spot.y, STRUCTURE_LINK, { reason })) return false;
+            remaining--;
+            return true;
+        };
+
         /**
          * Choose a position around a target (3x3) for a link, biased toward spawn.
          *
          * @param {RoomPosition} targetPos
-         * @returns {RoomPosition|null}
+         * @returns {{x:number,y:number}|null}
          */
-        const chooseNear = targetPos => {
-            let best = null;
-            let bestDist = Infinity;
-
-            for (let dx = -1; dx <= 1; dx++) {
-                for (let dy = -1; dy <= 1; dy++) {
-                    if (dx === 0 && dy === 0) continue;
-
-                    const pos = new RoomPosition(
-                        targetPos.x + dx,
-                        targetPos.y + dy,
-                        room.name
-                    );
-
-                    if (!validSpot(pos)) continue;
-
-                    const d = spawn.pos.getRangeTo(pos);
-                    if (d < bestDist) {
-                        bestDist = d;
-                        best = pos;
-                    }
-                }
-            }
-
-            return best;
-        };
+        const chooseNear = targetPos => LayoutPlanner.spotNear(terrain, targetPos, spawn.pos,
+            (x, y) => validSpot(new RoomPosition(x, y, room.name)));
 
         // ---------- 1) CONTROLLER LINK ----------
-        if (remaining > 0 && room.controller) {
-            if (!layout.links.controller) {
+        if (room.controller) {
+            if (!layout.links.controller && remaining > 0) {
                 const basePos = layout.controllerContainer
                     ? new RoomPosition(layout.controllerContainer.x, layout.controllerContainer.y, room.name)
                     : room.controller.pos;
 
                 const pos = chooseNear(basePos);
-                if (pos) {
-                    const res = room.createConstructionSite(pos, STRUCTURE_LINK);
-                    if (res === OK) {
-                        remaining--;
-                        layout.links.controller = { x: pos.x, y: pos.y };
-                    }
-                }
+                if (pos) layout.links.controller = { x: pos.x, y: pos.y };
+            }
+            if (layout.links.controller && !request(layout.links.controller, "controller link")) {
+                delete layout.links.controller;
             }
         }
 
         // ---------- 2) STORAGE LINK ----------
-        if (remaining > 0 && layout.storagePos) {
-            if (!layout.links.storage) {
+        if (layout.storagePos) {
+            if (!layout.links.storage && remaining > 0) {
+                // The blueprint's hub link, else any free tile by storage
+                const planned = LayoutPlanner.positions(room.name, STRUCTURE_LINK)[0];
+                const plannedPos = planned && new RoomPosition(planned.x, planned.y, room.name);
                 const basePos = new RoomPosition(layout.storagePos.x, layout.storagePos.y, room.name);
-                const pos = chooseNear(basePos);
-                if (pos) {
-                    const res = room.createConstructionSite(pos, STRUCTURE_LINK);
-                    if (res === OK) {
-                        remaining--;
-                        layout.links.storage = { x: pos.x, y: pos.y };
-                    }
-                }
+                const pos = plannedPos && validSpot(plannedPos) ? plannedPos : chooseNear(basePos);
+                if (pos) layout.links.storage = { x: pos.x, y: pos.y };
+            }
+            if (layout.links.storage && !request(layout.links.storage, "storage link")) {
+                delete layout.links.storage;
             }
         }
 
         // ---------- 3) SOURCE LINKS ----------
-        if (remaining > 0 && layout.sourceContainers) {
+        if (layout.sourceContainers) {
             layout.links.sources = layout.links.sources || {};
 
             for (const srcId in layout.sourceContainers) {
-                if (remaining <= 0) break;
-                if (layout.links.sources[srcId]) continue;
-
-                const cPos = layout.sourceContainers[srcId];
-                const basePos = new RoomPosition(cPos.x, cPos.y, room.name);
-                const pos = chooseNear(basePos);
-                if (!pos) continue;
-
-                const res = room.createConstructionSite(pos, STRUCTURE_LINK);
-                if (res === OK) {
-                    remaining--;
-                    layout.links.sources[srcId] = { x: pos.x, y: pos.y };
+                if (!layout.links.sources[srcId] && remaining > 0) {
+                    const cPos = layout.sourceContainers[srcId];
+                    const basePos = new RoomPosition(cPos.x, cPos.y, room.name);
+                    const pos = chooseNear(basePos);
+                    if (pos) layout.links.sources[srcId] = { x: pos.x, y: pos.y };
+                }
+                const spot = layout.links.sources[srcId];
+                if (spot && !request(spot, "source link")) {
+                    delete layout.links.sources[srcId];
                 }
             }
         }
+    },
+
+    /**
+     * Dry run of `plan`: controller, storage and source links in the same
+     * order and spots, each with the RCL that unlocks it.
+     *
+     * @param {Object} plan - see planner.report
+     * @param {object} layout - scratch storage layout (containers already planned)
+     * @returns {Array<{type:string,x:number,y:number,rcl:number}>}
+     */
+    dryRun(plan, layout) {
+        const { terrain, features, rcl } = plan;
+        if (!plan.spawn || rcl < 5) return [];
+
+        const limits = CONTROLLER_STRUCTURES[STRUCTURE_LINK];
+        const placements = [];
+        const taken = new Set();
+
+        const isFree = (x, y) => !plan.occupied(x, y) && !taken.has(`${x}:${y}`);
+        const add = spot => {
+            if (!spot) return;
+            const n = placements.length + 1;
+            let unlock = 1;
+            while (unlock < 8 && (limits[unlock] || 0) < n) unlock++;
+            if (unlock > rcl || (limits[unlock] || 0) < n) return;
+
+            taken.add(`${spot.x}:${spot.y}`);
+            placements.push({ type: STRUCTURE_LINK, x: spot.x, y: spot.y, rcl: unlock });
+        };
+
+        if (features.controller) {
+            add(LayoutPlanner.spotNear(terrain, layout.controllerContainer || features.controller, plan.spawn, isFree));
+        }
+
+        if (layout.storagePos) {
+            const planned = LayoutPlanner.entries(plan.blueprint, STRUCTURE_LINK)[0];
+            add(planned || LayoutPlanner.spotNear(terrain, layout.storagePos, plan.spawn, isFree));
+        }
+
+        for (const key in layout.sourceContainers || {}) {
+            add(LayoutPlanner.spotNear(terrain, layout.sourceContainers[key], plan.spawn, isFree));
+        }
+
+        return placements;
     }
 };
 
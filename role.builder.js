@@ -4,59 +4,139 @@ const Pathing    = require('util.pathing');
 const Fallback   = require('behavior.fallback');
 const EnergyUtil = require('util.energy');
 const BuilderUtil = require('util.builder');
+const RoomCache  = require('util.cache');
+const Traffic    = require('util.traffic');
+const StateMachine = require('util.state');
+const RoleRegistry = require('role.registry');
 
-module.exports = {
-    run(creep) {
+/**
+ * Refill state: storage/containers/drops first, then harvest directly.
+ *
+ * @param {Creep} creep
+ * @returns {string|undefined} next state
+ */
+function refill(creep) {
+    const src = EnergyUtil.findEnergySource(creep) ||
+                creep.pos.findClosestByPath(FIND_SOURCES_ACTIVE);
+
+    if (!src) {
+        // Nothing left to pick up: spend what we carry
+        if (creep.store[RESOURCE_ENERGY] > 0) return 'build';
+        return;
+    }
+
+    const res = EnergyUtil.getEnergyFrom(creep, src);
+    if (res === ERR_NOT_IN_RANGE) Pathing.moveTo(creep, src);
+}
+
+/**
+ * Build state: construction, then helping other builders, then repairs,
+ * then generic worker behavior.
+ *
+ * @param {Creep} creep
+ */
+function build(creep) {
+    // --- ACTIVE CONSTRUCTION ---
+    const sites = RoomCache.sites(creep.room);
 
-        // --- ENERGY ACQUISITION ---
-        if (EnergyUtil.needsEnergy(creep)) {
-            const src = EnergyUtil.findEnergySource(creep) ||
-                        creep.pos.findClosestByPath(FIND_SOURCES_ACTIVE);
+    if (sites.length) {
+        const target = BuilderUtil.findBuildTarget(creep);
 
-            if (!src) return;
+        if (target) {
+            creep.memory.buildTarget = target.id;
 
-            const res = EnergyUtil.getEnergyFrom(creep, src);
-            if (res === ERR_NOT_IN_RANGE) Pathing.moveTo(creep, src);
+            const res = creep.build(target);
+            if (res === ERR_NOT_IN_RANGE) Pathing.moveTo(creep, target);
+
+            // Team building hint
+            if (res === OK) {
+                Traffic.pin(creep, target, 3);
+                const nearby = BuilderUtil.getNearbyBuilders(creep, target);
+                if (nearby.length > 0) creep.say('🔨');
+            }
             return;
         }
+    }
 
-        // --- ACTIVE CONSTRUCTION ---
-        const sites = creep.room.find(FIND_CONSTRUCTION_SITES);
+    // --- HELP OTHER BUILDERS ---
+    if (BuilderUtil.shouldHelpOtherBuilder(creep)) {
+        const help = BuilderUtil.getMostHelpfulSite(creep);
 
-        if (sites.length) {
-            const target = BuilderUtil.findBuildTarget(creep);
+        if (help) {
+            creep.memory.buildTarget = help.id;
 
-            if (target) {
-                creep.memory.buildTarget = target.id;
+            const res = creep.build(help);
+            if (res === ERR_NOT_IN_RANGE) Pathing.moveTo(creep, help);
+            else if (res === OK) Traffic.pin(creep, help, 3);
+            return;
+        }
+    }
 
-                const res = creep.build(target);
-                if (res === ERR_NOT_IN_RANGE) Pathing.moveTo(creep, target);
+    delete creep.memory.buildTarget;
 
-                // Team building hint
-                if (res === OK) {
-                    const nearby = BuilderUtil.getNearbyBuilders(creep, target);
-                    if (nearby.length > 0) creep.say('🔨');
-                }
-                return;
-            }
-        }
+    // --- REPAIRS (builders are sized for repair debt too) ---
+    const repair = BuilderUtil.findRepairTarget(creep);
+    if (repair) {
+        creep.memory.repairTarget = repair.id;
 
-        // --- HELP OTHER BUILDERS ---
-        if (BuilderUtil.shouldHelpOtherBuilder(creep)) {
-            const help = BuilderUtil.getMostHelpfulSite(creep);
+        const res = creep.repair(repair);
+        if (res === ERR_NOT_IN_RANGE) Pathing.moveTo(creep, repair, { range: 3 });
+        else if (res === OK) Traffic.pin(creep, repair, 3);
+        return;
+    }
+    delete creep.memory.repairTarget;
 
-            if (help) {
-                creep.memory.buildTarget = help.id;
+    // --- FALLBACK (upgrade/supply) ---
+    Fallback.run(creep);
+}
 
-                const res = creep.build(help);
-                if (res === ERR_NOT_IN_RANGE) Pathing.moveTo(creep, help);
-                return;
-            }
+const Machine = StateMachine.define('builder', {
+    initial: creep => (EnergyUtil.needsEnergy(creep) ? 'refill' : 'build'),
+    states: {
+        refill: {
+            exit(creep) {
+                EnergyUtil.release(creep);
+            },
+            run: refill,
+            transitions: [
+                { to: 'build', when: creep => EnergyUtil.isFull(creep), reason: 'full' }
+            ]
+        },
+        build: {
+            exit(creep) {
+                delete creep.memory.buildTarget;
+                delete creep.memory.repairTarget;
+            },
+            run: build,
+            transitions: [
+                { to: 'refill', when: creep => EnergyUtil.needsEnergy(creep), reason: 'empty' }
+            ]
         }
+    }
+});
 
-        delete creep.memory.buildTarget;
+module.exports = RoleRegistry.register({
+    name: 'builder',
+    key: 'BUILDER',
+    body: Object.freeze({
+        base: [],
+        unit: [WORK, CARRY],
+        maxRepeats: 5,
+        moveRatio: { road: 0.5, offRoad: 1 }
+    }),
+    priority: 3,
 
-        // --- FALLBACK (upgrade/supply) ---
-        Fallback.run(creep);
+    /**
+     * Builders are sized for construction backlog + repair debt (util.economy).
+     *
+     * @param {Room} room
+     * @param {Object} ctx - see manager.spawn
+     */
+    demand(room, ctx) {
+        return [{ work: ctx.targets.builder - (ctx.work[this.name] || 0) }];
+    },
+
+    run(creep) {
+        StateMachine.run(Machine, creep);
     }
-};
+});
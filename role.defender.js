@@ -1,6 +1,75 @@
-// roles/defender.js
+// role.defender.js
+// Defender: melee/ranged guard, requested while hostiles are in the room.
+
+const Pathing      = require('util.pathing');
+const RoomCache    = require('util.cache');
+const Traffic      = require('util.traffic');
+const RoleRegistry = require('role.registry');
+
+const DEFENDER_REQUEST_KEY = 'defense:defender';
+
+/**
+ * Rough threat score of a group of hostiles: combat and heal parts weigh most.
+ *
+ * @param {Creep[]} hostiles
+ * @returns {number}
+ */
+function threatScore(hostiles) {
+    let score = 0;
+    for (const hostile of hostiles) {
+        for (const part of hostile.body) {
+            if (part.type === ATTACK || part.type === RANGED_ATTACK) score += 3;
+            else if (part.type === HEAL) score += 4;
+            else if (part.type === TOUGH) score += 1;
+            else score += 0.5;
+        }
+    }
+    return score;
+}
+
+module.exports = RoleRegistry.register({
+    name: 'defender',
+    key: 'DEFENDER',
+    body: Object.freeze({
+        base: [TOUGH, TOUGH],
+        unit: [ATTACK, ATTACK],
+        maxRepeats: 8,
+        // One MOVE per two other parts, on or off road
+        moveRatio: { road: 0.5, offRoad: 0.5 }
+    }),
+    priority: 0,
+    defense: true,
+
+    /**
+     * One to three defenders while hostiles are in the room, by threat score.
+     * Defenders jump ahead of the economy (and its population cap); the queue
+     * hands each to one spawn.
+     *
+     * @param {Room} room
+     * @param {Object} ctx - see manager.spawn
+     */
+    demand(room, ctx) {
+        const threat = threatScore(RoomCache.hostiles(room));
+
+        let wanted = 0;
+        if (threat > 0) wanted = threat < 40 ? 1 : (threat < 80 ? 2 : 3);
+
+        const none = ctx.counts[this.name] === 0;
+
+        return [{
+            key: DEFENDER_REQUEST_KEY,
+            count: wanted - ctx.counts[this.name],
+            // The first defender goes out with what we have right now
+            budget: none ? 'available' : 'capacity',
+            urgency: Math.min(9, Math.ceil(threat / 10)),
+            source: 'defense',
+            memory: {
+                home: room.name,
+                targetRoom: room.name
+            }
+        }];
+    },
 
-module.exports = {
     run(creep) {
         if (creep.fatigue > 0) return;
 
@@ -10,36 +79,48 @@ module.exports = {
         if (creep.room.name !== room.name) {
             const exitDir = creep.room.findExitTo(room.name);
             const exitPos = creep.pos.findClosestByRange(exitDir);
-            if (exitPos) creep.moveTo(exitPos, { reusePath: 10, range: 0 });
+            if (exitPos) Pathing.moveTo(creep, exitPos, { reusePath: 10, range: 0 });
             return;
         }
 
         // 2. Attack hostiles
-        const hostile = creep.pos.findClosestByRange(FIND_HOSTILE_CREEPS);
+        const hostile = creep.pos.findClosestByRange(RoomCache.hostiles(creep.room));
         if (hostile) {
+            const rangedOnly = creep.getActiveBodyparts(RANGED_ATTACK) > 0 &&
+                creep.getActiveBodyparts(ATTACK) === 0;
+
+            // Kite: ranged-only defenders shoot and keep out of melee reach
+            if (rangedOnly && creep.pos.inRangeTo(hostile, 3)) {
+                creep.rangedAttack(hostile);
+                if (hostile.getActiveBodyparts(ATTACK) > 0 && creep.pos.inRangeTo(hostile, 2)) {
+                    Pathing.flee(creep, [{ pos: hostile.pos, range: 3 }]);
+                }
+                return;
+            }
+
             if (creep.pos.inRangeTo(hostile, 1)) {
                 creep.attack(hostile);
             } else if (creep.pos.inRangeTo(hostile, 3) && creep.getActiveBodyparts(RANGED_ATTACK) > 0) {
                 creep.rangedAttack(hostile);
-                creep.moveTo(hostile, { reusePath: 5, range: 3 });
+                Pathing.moveTo(creep, hostile, { reusePath: 5, range: 3, matrix: 'combat' });
             } else {
-                creep.moveTo(hostile, { reusePath: 5, range: 1 });
+                Pathing.moveTo(creep, hostile, { reusePath: 5, range: 1, matrix: 'combat' });
             }
             return;
         }
 
         // 3. Fallback: patrol near important objects
-        const anchor = room.controller || _.first(room.find(FIND_MY_SPAWNS));
+        const anchor = room.controller || RoomCache.myStructures(room, STRUCTURE_SPAWN)[0];
         if (anchor) {
             if (!creep.pos.inRangeTo(anchor, 4)) {
-                creep.moveTo(anchor, { reusePath: 10, range: 3 });
+                Pathing.moveTo(creep, anchor, { reusePath: 10, range: 3 });
             }
         } else {
             // Lazy random walk
             if (Game.time % 10 === 0) {
                 const dir = Math.floor(Math.random() * 8) + 1;
-                creep.move(dir);
+                Traffic.move(creep, /** @type {DirectionConstant} */ (dir));
             }
         }
     }
-};
+});
@@ -4,133 +4,176 @@
 const Fallback    = require('behavior.fallback');
 const Pathing     = require('util.pathing');
 const BuilderUtil = require('util.builder');
+const Lifecycle   = require('util.lifecycle');
+const SourceUtil  = require('util.sources');
+const Logistics   = require('manager.logistics');
+const RoomCache   = require('util.cache');
+const Traffic     = require('util.traffic');
+const StateMachine = require('util.state');
+const RoleRegistry = require('role.registry');
+
+/**
+ * Harvest state: work the assigned source from our own slot.
+ *
+ * @param {Creep} creep
+ * @returns {string|undefined} next state
+ */
+function harvest(creep) {
+    if (creep.fatigue > 0) return;
+
+    const room = creep.room;
+    SourceUtil.assign(creep);
+    const source = /** @type {Source|null} */ (Game.getObjectById(creep.memory.sourceId));
+
+    if (!source) {
+        // No source assigned / visible → generic worker behavior
+        Fallback.run(creep);
+        return;
+    }
 
-module.exports = {
-    run(creep) {
-
-        // --- STATE MACHINE: harvesting vs delivering ---
-        if (creep.memory.working && creep.store[RESOURCE_ENERGY] === 0)
-            creep.memory.working = false;
-
-        if (!creep.memory.working &&
-            creep.store.getFreeCapacity(RESOURCE_ENERGY) === 0)
-            creep.memory.working = true;
-
-        if (creep.fatigue > 0) return;
-
-        const room = creep.room;
+    // Assigned source is dry: deliver what we have rather than wait
+    if (source.energy === 0) {
+        if (creep.store[RESOURCE_ENERGY] > 0) return 'deliver';
+        return;
+    }
 
-        // ----------------------------
-        //  HARVEST MODE
-        // ----------------------------
-        if (!creep.memory.working) {
-            const source = creep.pos.findClosestByPath(FIND_SOURCES_ACTIVE);
+    // Walk to our own slot; harvest from wherever we are once adjacent
+    const slot = creep.memory.slot;
+    if (slot && !creep.pos.isNearTo(source)) {
+        Pathing.moveTo(creep, new RoomPosition(slot.x, slot.y, room.name), { range: 0 });
+        return;
+    }
 
-            if (source) {
-                const res = creep.harvest(source);
-                if (res === ERR_NOT_IN_RANGE) Pathing.moveTo(creep, source);
-            } else {
-                // No sources available → generic worker behavior
-                Fallback.run(creep);
+    const res = creep.harvest(source);
+    if (res === ERR_NOT_IN_RANGE) {
+        Pathing.moveTo(creep, source);
+    } else if (res === OK) {
+        Lifecycle.markArrived(creep);
+        Traffic.pin(creep, source, 1);
+    }
+}
+
+/**
+ * Deliver state: feed the logistics board, then assist builders, then fall
+ * back to generic worker behavior.
+ *
+ * @param {Creep} creep
+ */
+function deliver(creep) {
+    if (creep.fatigue > 0) return;
+
+    const room = creep.room;
+
+    // Logistics board: spawn/extensions, towers, then buffers
+    // (controller container, labs, terminal, storage, containers)
+    if (Logistics.deliver(creep)) return;
+
+    // At this point:
+    // - Harvester is full
+    // - Nothing on the logistics board needs energy
+    // → they would be "just standing by" without this next section.
+
+    // ----------------------------
+    //  COOPERATIVE BUILDER ASSIST
+    //  (only if builders exist + there are sites)
+    // ----------------------------
+    const sites = RoomCache.sites(room);
+    if (sites.length > 0) {
+        const builders = RoomCache.creeps(room, 'builder');
+
+        if (builders.length > 0) {
+            // Use the SAME cooperative logic as real builders
+            let target = BuilderUtil.findBuildTarget(creep);
+
+            // If builder logic says "help others", use that
+            if (!target && BuilderUtil.shouldHelpOtherBuilder(creep)) {
+                target = BuilderUtil.getMostHelpfulSite(creep);
             }
-            return;
-        }
 
-        // ----------------------------
-        //  DELIVERY MODE (primary job)
-        // ----------------------------
-
-        // 1) CORE FIRST: spawn + extensions
-        const coreTargets = room.find(FIND_STRUCTURES, {
-            filter: s =>
-                (s.structureType === STRUCTURE_SPAWN ||
-                 s.structureType === STRUCTURE_EXTENSION) &&
-                s.store.getFreeCapacity(RESOURCE_ENERGY) > 0
-        });
-
-        if (coreTargets.length > 0) {
-            const target = creep.pos.findClosestByPath(coreTargets);
-            const res = creep.transfer(target, RESOURCE_ENERGY);
-            if (res === ERR_NOT_IN_RANGE) Pathing.moveTo(creep, target);
-            return;
-        }
-
-        // 1b) Keep towers charged so defense/healing always works
-        const towerTargets = room.find(FIND_MY_STRUCTURES, {
-            filter: s =>
-                s.structureType === STRUCTURE_TOWER &&
-                s.store.getFreeCapacity(RESOURCE_ENERGY) > 0
-        });
-
-        if (towerTargets.length > 0) {
-            const target = creep.pos.findClosestByPath(towerTargets);
-            const res = creep.transfer(target, RESOURCE_ENERGY);
-            if (res === ERR_NOT_IN_RANGE) Pathing.moveTo(creep, target);
-            return;
-        }
-
-        // 2) ECONOMY BUFFERS: containers + storage
-        const econTargets = room.find(FIND_STRUCTURES, {
-            filter: s =>
-                (s.structureType === STRUCTURE_CONTAINER ||
-                 s.structureType === STRUCTURE_STORAGE) &&
-                s.store.getFreeCapacity(RESOURCE_ENERGY) > 0
-        });
-
-        if (econTargets.length > 0) {
-            const target = creep.pos.findClosestByPath(econTargets);
-            const res = creep.transfer(target, RESOURCE_ENERGY);
-            if (res === ERR_NOT_IN_RANGE) Pathing.moveTo(creep, target);
-            return;
-        }
-
-        // At this point:
-        // - Harvester is full
-        // - Spawn/extensions do NOT need energy
-        // - Containers/storage do NOT need energy
-        // → they would be "just standing by" without this next section.
-
-        // ----------------------------
-        //  COOPERATIVE BUILDER ASSIST
-        //  (only if builders exist + there are sites)
-        // ----------------------------
-        const sites = room.find(FIND_CONSTRUCTION_SITES);
-        if (sites.length > 0) {
-            const builders = room.find(FIND_MY_CREEPS, {
-                filter: c => c.memory.role === 'builder'
-            });
-
-            if (builders.length > 0) {
-                // Use the SAME cooperative logic as real builders
-                let target = BuilderUtil.findBuildTarget(creep);
-
-                // If builder logic says "help others", use that
-                if (!target && BuilderUtil.shouldHelpOtherBuilder(creep)) {
-                    target = BuilderUtil.getMostHelpfulSite(creep);
-                }
-
-                // Fallback: still do *something* if there are sites
-                if (!target) {
-                    target = creep.pos.findClosestByPath(sites) || sites[0];
-                }
+            // Fallback: still do *something* if there are sites
+            if (!target) {
+                target = creep.pos.findClosestByPath(sites) || sites[0];
+            }
 
-                if (target) {
-                    creep.memory.buildTarget = target.id;
+            if (target) {
+                creep.memory.buildTarget = target.id;
 
-                    const res = creep.build(target);
-                    if (res === ERR_NOT_IN_RANGE) {
-                        Pathing.moveTo(creep, target, { range: 1 });
-                    } else if (res === OK) {
-                        creep.say('🛠 assist');
-                    }
-                    return;
+                const res = creep.build(target);
+                if (res === ERR_NOT_IN_RANGE) {
+                    Pathing.moveTo(creep, target, { range: 1 });
+                } else if (res === OK) {
+                    creep.say('🛠 assist');
                 }
+                return;
             }
         }
+    }
 
-        // No core to feed, no econ to fill, no sites (or no builders) →
-        // Let generic worker logic handle upgrade, etc.
-        delete creep.memory.buildTarget;
-        Fallback.run(creep);
+    // No core to feed, no econ to fill, no sites (or no builders) →
+    // Let generic worker logic handle upgrade, etc.
+    delete creep.memory.buildTarget;
+    Fallback.run(creep);
+}
+
+const Machine = StateMachine.define('harvester', {
+    initial: creep => StateMachine.fromWorking(creep, 'deliver', 'harvest'),
+    states: {
+        harvest: {
+            run: harvest,
+            transitions: [
+                { to: 'deliver', when: creep => creep.store.getFreeCapacity(RESOURCE_ENERGY) === 0, reason: 'full' }
+            ]
+        },
+        deliver: {
+            exit(creep) {
+                delete creep.memory.buildTarget;
+                Logistics.releaseDelivery(creep);
+            },
+            run: deliver,
+            transitions: [
+                { to: 'harvest', when: creep => creep.store[RESOURCE_ENERGY] === 0, reason: 'empty' }
+            ]
+        }
+    }
+});
+
+module.exports = RoleRegistry.register({
+    name: 'harvester',
+    key: 'HARVESTER',
+    body: Object.freeze({
+        base: [],
+        unit: [WORK, WORK, CARRY],
+        maxRepeats: 3,
+        moveRatio: { road: 0.5, offRoad: 1 }
+    }),
+    priority: 1,
+    prespawn: true,
+    emergencyBody: Object.freeze([WORK, CARRY, MOVE]), // 200 energy
+
+    /**
+     * Walking harvesters only run the classic economy; miners + haulers
+     * replace them once every source has its container.
+     *
+     * @param {Room} room
+     * @param {Object} ctx - see manager.spawn
+     */
+    demand(room, ctx) {
+        if (ctx.staticEconomy) return [];
+
+        // No point adding harvesters once every source is saturated
+        const work = ctx.work[this.name] || 0;
+        const low = work < ctx.targets.harvester / 2;
+        const deficit = SourceUtil.isSaturated(room, ctx.active) ? 0 : ctx.targets.harvester - work;
+
+        return [{
+            work: deficit,
+            // Don't wait for full extensions while the economy is short-handed
+            budget: low ? 'available' : 'capacity',
+            urgency: low ? 5 : 0
+        }];
+    },
+
+    run(creep) {
+        StateMachine.run(Machine, creep);
     }
-};
+});
@@ -0,0 +1,314 @@
+// role.hauler.js
+// Haulers: empty source containers and the storage link into whatever the logistics board needs most,
+// and bring mineral output to the terminal or storage.
+
+const Config       = require('config');
+const Pathing      = require('util.pathing');
+const EnergyUtil   = require('util.energy');
+const MineralMiner = require('role.mineralminer');
+const Lifecycle    = require('util.lifecycle');
+const Logistics    = require('manager.logistics');
+const LinkManager  = require('manager.link');
+const BodyUtil     = require('util.body');
+const RoomCache    = require('util.cache');
+const RoleRegistry = require('role.registry');
+
+const MineralConfig = Config.MINERALS || {};
+const MINERAL_HAUL_THRESHOLD = MineralConfig.HAUL_THRESHOLD || 500;
+
+/**
+ * Energy a hauler may take from the storage link: what the controller link
+ * doesn't need, less what other creeps already reserved.
+ *
+ * @param {Creep} creep
+ * @returns {{link:StructureLink,amount:number}|null}
+ */
+function linkPickup(creep) {
+    const surplus = LinkManager.storageSurplus(creep.room);
+    if (!surplus) return null;
+
+    const amount = Math.min(surplus.amount, EnergyUtil.availableEnergy(surplus.link, creep));
+    return amount > 0 ? { link: surplus.link, amount } : null;
+}
+
+/**
+ * Pick the source container (or the storage link's surplus) with the most
+ * energy not already reserved by other creeps on their way to it.
+ *
+ * @param {Creep} creep
+ * @returns {StructureContainer|StructureLink|null}
+ */
+function choosePickup(creep) {
+    const room = creep.room;
+    const spots = EnergyUtil.getSourceContainers(room).filter(c => c.container);
+
+    let best = null;
+    let bestAmount = 0;
+    for (let i = 0; i < spots.length; i++) {
+        const container = spots[i].container;
+        const amount = EnergyUtil.availableEnergy(container, creep);
+        if (amount > bestAmount) {
+            bestAmount = amount;
+            best = container;
+        }
+    }
+
+    const link = linkPickup(creep);
+    if (link && link.amount > bestAmount) best = link.link;
+
+    return best;
+}
+
+/**
+ * The mineral container, if it holds enough to be worth a trip and no other
+ * hauler is already on its way.
+ *
+ * @param {Creep} creep
+ * @returns {StructureContainer|null}
+ */
+function chooseMineralPickup(creep) {
+    const container = MineralMiner.getContainer(creep.room);
+    if (!container) return null;
+
+    const minerals = container.store.getUsedCapacity() - container.store[RESOURCE_ENERGY];
+    if (minerals < MINERAL_HAUL_THRESHOLD) return null;
+
+    const taken = RoomCache.creeps(creep.room, creep.memory.role)
+        .some(c => c.name !== creep.name && c.memory.pickupId === container.id);
+
+    return taken ? null : container;
+}
+
+/**
+ * Where non-energy cargo goes: terminal first, then storage.
+ *
+ * @param {Creep} creep
+ * @returns {StructureTerminal|StructureStorage|null}
+ */
+function chooseMineralDelivery(creep) {
+    const room = creep.room;
+    const amount = creep.store.getUsedCapacity() - creep.store[RESOURCE_ENERGY];
+
+    if (room.terminal && room.terminal.store.getFreeCapacity() >= amount) return room.terminal;
+    if (room.storage && room.storage.store.getFreeCapacity() >= amount) return room.storage;
+    return null;
+}
+
+/**
+ * First non-energy resource type a creep is carrying.
+ *
+ * @param {Creep} creep
+ * @returns {ResourceConstant|null}
+ */
+function carriedMineral(creep) {
+    for (const type in creep.store) {
+        if (type !== RESOURCE_ENERGY && creep.store[type] > 0) {
+            return /** @type {ResourceConstant} */ (type);
+        }
+    }
+    return null;
+}
+
+/**
+ * Path length from the room's drop-off point (storage, planned storage or
+ * spawn) to a source container. Cached in room memory per container spot.
+ *
+ * @param {Room} room
+ * @param {{sourceId:string,pos:RoomPosition}} spot
+ * @returns {number}
+ */
+function haulDistance(room, spot) {
+    if (!room.memory.haulPaths) room.memory.haulPaths = {};
+
+    const cached = room.memory.haulPaths[spot.sourceId];
+    if (cached && cached.x === spot.pos.x && cached.y === spot.pos.y) {
+        return cached.length;
+    }
+
+    const layout = Memory.storageLayout && Memory.storageLayout[room.name];
+    let origin = null;
+    if (room.storage) {
+        origin = room.storage.pos;
+    } else if (layout && layout.storagePos) {
+        origin = new RoomPosition(layout.storagePos.x, layout.storagePos.y, room.name);
+    } else {
+        const spawn = RoomCache.myStructures(room, STRUCTURE_SPAWN)[0];
+        origin = spawn ? spawn.pos : null;
+    }
+    if (!origin) return 0;
+
+    const result = PathFinder.search(origin, { pos: spot.pos, range: 1 }, {
+        plainCost: 2,
+        swampCost: 10,
+        maxOps: Config.PATHING.MAX_OPS
+    });
+
+    const length = result.path.length;
+    room.memory.haulPaths[spot.sourceId] = { x: spot.pos.x, y: spot.pos.y, length };
+    return length;
+}
+
+/**
+ * Size the hauler fleet: enough CARRY to move each source's output over its
+ * round trip, split over as few haulers as the room's capacity allows.
+ *
+ * @param {Room} room
+ * @param {Array<{sourceId:string,pos:RoomPosition}>} spots
+ * @param {{unit:BodyPartConstant[]}} pattern - hauler body pattern
+ * @returns {{count:number,maxRepeats:number}}
+ */
+function planHaulers(room, spots, pattern) {
+    const carryPerUnit = pattern.unit.filter(p => p === CARRY).length;
+    const sourceRate = SOURCE_ENERGY_CAPACITY / ENERGY_REGEN_TIME;
+
+    let neededCarry = 0;
+    for (let i = 0; i < spots.length; i++) {
+        const trip = 2 * haulDistance(room, spots[i]) + Config.POPULATION.HAULER_TRIP_OVERHEAD;
+        neededCarry += (sourceRate * trip) / CARRY_CAPACITY;
+    }
+    neededCarry = Math.ceil(neededCarry);
+
+    const roads = BodyUtil.hasRoads(room, Config.SPAWN.ROAD_BODY_MIN_ROADS);
+    const biggest = BodyUtil.build(pattern, room.energyCapacityAvailable, { roads }) || [];
+    const maxCarry = Math.max(carryPerUnit, biggest.filter(p => p === CARRY).length);
+
+    const count = Math.max(Config.POPULATION.MIN_HAULERS, Math.ceil(neededCarry / maxCarry));
+    const carryEach = Math.ceil(neededCarry / count);
+
+    return {
+        count,
+        maxRepeats: Math.max(1, Math.ceil(carryEach / carryPerUnit))
+    };
+}
+
+module.exports = RoleRegistry.register({
+    name: 'hauler',
+    key: 'HAULER',
+    body: Object.freeze({
+        base: [],
+        unit: [CARRY, CARRY],
+        maxRepeats: 16,
+        moveRatio: { road: 0.5, offRoad: 1 }
+    }),
+    priority: 1,
+    prespawn: true,
+
+    /**
+     * Enough hauling capacity for every source container (static economy only).
+     *
+     * @param {Room} room
+     * @param {Object} ctx - see manager.spawn
+     */
+    demand(room, ctx) {
+        if (!ctx.staticEconomy) return [];
+
+        const haulers = planHaulers(room, ctx.spots, this.body);
+        const count = ctx.counts[this.name];
+        const none = count === 0;
+
+        return [{
+            count: haulers.count - count,
+            maxRepeats: haulers.maxRepeats,
+            // Without a hauler nothing reaches the spawn; take what we can get
+            budget: none ? 'available' : 'capacity',
+            urgency: none ? 5 : 0
+        }];
+    },
+
+    run(creep) {
+
+        // --- STATE MACHINE: collecting vs delivering ---
+        if (creep.memory.working && creep.store.getUsedCapacity() === 0) {
+            creep.memory.working = false;
+        }
+
+        if (!creep.memory.working && creep.store.getFreeCapacity() === 0) {
+            creep.memory.working = true;
+            delete creep.memory.pickupId;
+        }
+
+        if (creep.fatigue > 0) return;
+
+        // ----------------------------
+        //  COLLECT MODE
+        // ----------------------------
+        if (!creep.memory.working) {
+            // Grab drops next to us first (miners overflow onto the ground)
+            const drop = creep.pos.findInRange(FIND_DROPPED_RESOURCES, 1, {
+                filter: r => r.resourceType === RESOURCE_ENERGY
+            })[0];
+            if (drop) {
+                creep.pickup(drop);
+                return;
+            }
+
+            let pickup = /** @type {StructureContainer|StructureLink|null} */ (Game.getObjectById(creep.memory.pickupId));
+            // The storage link's surplus may be gone (sent on to the controller link)
+            if (pickup && pickup.structureType === STRUCTURE_LINK && !linkPickup(creep)) pickup = null;
+            if (!pickup || pickup.store.getUsedCapacity() === 0) {
+                pickup = chooseMineralPickup(creep);
+                if (!pickup) {
+                    pickup = choosePickup(creep);
+                    if (pickup) EnergyUtil.reserve(creep, pickup, creep.store.getFreeCapacity());
+                }
+            }
+
+            if (!pickup) {
+                // Nothing to haul; partly-filled haulers go deliver what they have
+                delete creep.memory.pickupId;
+                EnergyUtil.release(creep);
+                if (creep.store.getUsedCapacity() > 0) creep.memory.working = true;
+                return;
+            }
+
+            creep.memory.pickupId = pickup.id;
+
+            // Mineral container: take whatever it holds that isn't energy
+            let resource = RESOURCE_ENERGY;
+            for (const type in pickup.store) {
+                if (type !== RESOURCE_ENERGY && pickup.store[type] > 0) {
+                    resource = /** @type {ResourceConstant} */ (type);
+                    break;
+                }
+            }
+
+            // The storage link only gives what the controller link doesn't need
+            const link = pickup.structureType === STRUCTURE_LINK ? linkPickup(creep) : null;
+            const res = link
+                ? creep.withdraw(pickup, RESOURCE_ENERGY, Math.min(creep.store.getFreeCapacity(), link.amount))
+                : creep.withdraw(pickup, resource);
+            if (res === ERR_NOT_IN_RANGE) {
+                Pathing.moveTo(creep, pickup);
+            } else if (res === OK) {
+                Lifecycle.markArrived(creep);
+                delete creep.memory.pickupId;
+                EnergyUtil.release(creep);
+            }
+            return;
+        }
+
+        // ----------------------------
+        //  DELIVERY MODE
+        // ----------------------------
+
+        // Minerals first, so they never ride along into a spawn run
+        const mineral = carriedMineral(creep);
+        if (mineral) {
+            const store = chooseMineralDelivery(creep);
+            if (store) {
+                const res = creep.transfer(store, mineral);
+                if (res === ERR_NOT_IN_RANGE) Pathing.moveTo(creep, store);
+                return;
+            }
+        }
+
+        // Energy goes wherever the logistics board needs it most
+        if (Logistics.deliver(creep)) return;
+
+        // Everything is full → wait near spawn, just outside the plaza
+        const spawn = RoomCache.myStructures(creep.room, STRUCTURE_SPAWN)[0];
+        if (spawn && !creep.pos.inRangeTo(spawn, 3)) {
+            Pathing.moveTo(creep, spawn, { range: 3 });
+        }
+    }
+});
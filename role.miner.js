@@ -0,0 +1,97 @@
+// role.miner.js
+// Static drop-miner: parks on its source's planned container and harvests nonstop.
+
+const Pathing     = require('util.pathing');
+const EnergyUtil  = require('util.energy');
+const LinkManager = require('manager.link');
+const Lifecycle   = require('util.lifecycle');
+const Traffic     = require('util.traffic');
+const RoleRegistry = require('role.registry');
+
+module.exports = RoleRegistry.register({
+    name: 'miner',
+    key: 'MINER',
+    // 5 WORK drains a source exactly; miners walk once, so slow is fine.
+    // The CARRY lets them feed a source link once one is built.
+    body: Object.freeze({
+        base: [CARRY],
+        unit: [WORK],
+        maxRepeats: 5,
+        moveRatio: { road: 0.5, offRoad: 0.5 }
+    }),
+    priority: 1,
+    prespawn: true,
+
+    /**
+     * One miner per source in the static economy.
+     *
+     * @param {Room} room
+     * @param {Object} ctx - see manager.spawn
+     */
+    demand(room, ctx) {
+        if (!ctx.staticEconomy) return [];
+
+        const mined = new Set();
+        for (let i = 0; i < ctx.active.length; i++) {
+            if (ctx.active[i].memory.role === this.name) mined.add(ctx.active[i].memory.sourceId);
+        }
+
+        return ctx.sources
+            .filter(s => !mined.has(s.id))
+            .map(s => ({ count: 1, key: `econ:${this.name}:${s.id}`, memory: { sourceId: s.id } }));
+    },
+
+    run(creep) {
+        const source = /** @type {Source|null} */ (Game.getObjectById(creep.memory.sourceId));
+        if (!source) {
+            // Assignment lost (or source not visible); nothing sensible to do
+            creep.say('no src');
+            return;
+        }
+
+        if (creep.fatigue > 0) return;
+
+        const spot = EnergyUtil.getSourceContainers(creep.room)
+            .find(c => c.sourceId === source.id);
+
+        // --- GET INTO POSITION ---
+        if (spot && !creep.pos.isEqualTo(spot.pos)) {
+            const occupied = spot.pos.lookFor(LOOK_CREEPS).length > 0;
+
+            // Someone else is parked on the container: harvest from next to it
+            if (occupied && creep.pos.isNearTo(source)) {
+                Lifecycle.markArrived(creep);
+                Traffic.pin(creep, source, 1);
+                creep.harvest(source);
+                return;
+            }
+
+            if (occupied) {
+                Pathing.moveTo(creep, source, { range: 1 });
+            } else {
+                Pathing.moveTo(creep, spot.pos, { range: 0 });
+            }
+            return;
+        }
+
+        if (!spot && !creep.pos.isNearTo(source)) {
+            Pathing.moveTo(creep, source);
+            return;
+        }
+
+        // --- HARVEST (energy drops into the container below us) ---
+        Lifecycle.markArrived(creep);
+        Traffic.pin(creep, creep.pos);
+        creep.harvest(source);
+
+        // --- FEED THE SOURCE LINK (needs a CARRY part to hold energy) ---
+        if (creep.store.getCapacity(RESOURCE_ENERGY) > 0 &&
+            creep.store.getFreeCapacity(RESOURCE_ENERGY) === 0) {
+            const link = LinkManager.getSourceLink(creep.room, source.id);
+            if (link && creep.pos.isNearTo(link) &&
+                link.store.getFreeCapacity(RESOURCE_ENERGY) > 0) {
+                creep.transfer(link, RESOURCE_ENERGY);
+            }
+        }
+    }
+});
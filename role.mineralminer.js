@@ -0,0 +1,122 @@
+// role.mineralminer.js
+// Mineral miner: parks on the mineral container and works the extractor until the mineral runs dry.
+
+const Pathing   = require('util.pathing');
+const Lifecycle = require('util.lifecycle');
+const Traffic   = require('util.traffic');
+const Config    = require('config');
+const RoomCache = require('util.cache');
+const RoleRegistry = require('role.registry');
+
+const MineralConfig = Config.MINERALS || {};
+
+module.exports = RoleRegistry.register({
+    name: 'mineralminer',
+    key: 'MINERAL_MINER',
+    body: Object.freeze({
+        base: [],
+        unit: [WORK, WORK],
+        maxRepeats: 12,
+        moveRatio: { road: 0.5, offRoad: 0.5 }
+    }),
+    priority: 5,
+    prespawn: true,
+
+    /**
+     * One mineral miner while there is something to mine. Mineral output is
+     * only hauled in the static (hauler) economy.
+     *
+     * @param {Room} room
+     * @param {Object} ctx - see manager.spawn
+     */
+    demand(room, ctx) {
+        if (!ctx.staticEconomy || !this.wantsMiner(room)) return [];
+        return [{ count: 1 - ctx.counts[this.name] }];
+    },
+
+    run(creep) {
+        const room = creep.room;
+        const mineral = RoomCache.mineral(room);
+        if (!mineral) return;
+
+        if (creep.fatigue > 0) return;
+
+        // --- STAND DOWN WHILE THE MINERAL REGENERATES ---
+        if (mineral.mineralAmount === 0) {
+            const rest = room.storage || RoomCache.myStructures(room, STRUCTURE_SPAWN)[0];
+            if (rest && !creep.pos.inRangeTo(rest, 3)) {
+                Pathing.moveTo(creep, rest, { range: 3 });
+            }
+            return;
+        }
+
+        // --- GET INTO POSITION ---
+        const container = this.getContainer(room);
+        const spot = container ? container.pos : null;
+
+        if (spot && !creep.pos.isEqualTo(spot)) {
+            Pathing.moveTo(creep, spot, { range: 0 });
+            return;
+        }
+        if (!spot && !creep.pos.isNearTo(mineral)) {
+            Pathing.moveTo(creep, mineral);
+            return;
+        }
+
+        // --- HARVEST (output drops into the container below us) ---
+        Lifecycle.markArrived(creep);
+        Traffic.pin(creep, creep.pos);
+
+        const extractor = room.lookForAt(LOOK_STRUCTURES, mineral.pos)
+            .find(s => s.structureType === STRUCTURE_EXTRACTOR);
+        if (!extractor || extractor.cooldown > 0) return;
+
+        // Container full: wait for a hauler rather than spill on the ground
+        if (container && container.store.getFreeCapacity() === 0) return;
+
+        creep.harvest(mineral);
+    },
+
+    /**
+     * Whether the room should be mining its mineral right now: extractor built,
+     * mineral not regenerating, and somewhere to put the output.
+     *
+     * @param {Room} room
+     * @returns {boolean}
+     */
+    wantsMiner(room) {
+        if (room.controller.level < (MineralConfig.START_RCL || 6)) return false;
+
+        const mineral = RoomCache.mineral(room);
+        if (!mineral || mineral.mineralAmount === 0) return false;
+
+        const hasExtractor = room.lookForAt(LOOK_STRUCTURES, mineral.pos)
+            .some(s => s.structureType === STRUCTURE_EXTRACTOR);
+        if (!hasExtractor || !this.getContainer(room)) return false;
+
+        const minFree = MineralConfig.MIN_FREE_SPACE || 0;
+        const terminalFree = room.terminal ? room.terminal.store.getFreeCapacity() : 0;
+        const storageFree  = room.storage ? room.storage.store.getFreeCapacity() : 0;
+
+        return terminalFree >= minFree || storageFree >= minFree;
+    },
+
+    /**
+     * The built mineral container planned by planner.struct.extractor.
+     *
+     * @param {Room} room
+     * @returns {StructureContainer|null}
+     */
+    getContainer(room) {
+        const layout = Memory.storageLayout && Memory.storageLayout[room.name];
+        if (!layout || !layout.mineralContainer) return null;
+
+        const container = room.lookForAt(
+            LOOK_STRUCTURES,
+            layout.mineralContainer.x,
+            layout.mineralContainer.y
+        ).find(s => s.structureType === STRUCTURE_CONTAINER);
+
+        return /** @type {StructureContainer|null} */ (container || null);
+    }
+});
@@ -0,0 +1,188 @@
+// role.registry.js
+// Role registry: every role module registers itself; the main loop, spawn logic and Config read from here.
+
+/**
+ * Role modules loaded by the registry. Adding a role = writing the module
+ * (which calls RoleRegistry.register) and listing it here: Screeps can't
+ * list its modules, so this is the one place roles are loaded from. A
+ * creep whose role is missing here makes `get` throw rather than quietly
+ * falling back.
+ */
+const ROLE_MODULES = [
+    "role.harvester",
+    "role.upgrader",
+    "role.builder",
+    "role.miner",
+    "role.hauler",
+    "role.mineralminer",
+    "role.defender"
+];
+
+/** @type {Record<string, Object>} */
+const roles = Object.create(null);
+
+let loaded = false;
+
+/** @type {Record<string, any>} */
+let cache = {};
+
+/**
+ * Role definition:
+ *  - name          memory.role value ("harvester")
+ *  - key           constant name in Config.ROLES ("HARVESTER")
+ *  - body          body pattern for util.body ({ base, unit, maxRepeats, moveRatio })
+ *  - priority      spawn queue priority (lower = spawned first)
+ *  - prespawn      queue the replacement before the creep dies
+ *  - emergencyBody cheap body used when the economy has collapsed
+ *  - demand(room, ctx) economy spawn requests, see manager.spawn
+ *  - defense       demand is asked before the population cap and emergency
+ *  - run(creep)    per-tick behavior
+ *
+ * Nothing here may require config (config reads the registry).
+ */
+const RoleRegistry = {
+    /**
+     * Register a role. Returns the definition so modules can export it.
+     *
+     * @template T
+     * @param {T & {name:string,key:string,run:function(Creep):void}} def
+     * @returns {T}
+     */
+    register(def) {
+        if (!def || !def.name || !def.key || typeof def.run !== "function") {
+            throw new Error(`[RoleRegistry] Invalid role definition: ${def && def.name}`);
+        }
+
+        roles[def.name] = def;
+        cache = {};
+        return def;
+    },
+
+    /**
+     * Require every listed role module (each registers itself). Cheap after
+     * the first call.
+     */
+    load() {
+        if (loaded) return;
+        loaded = true;
+
+        for (let i = 0; i < ROLE_MODULES.length; i++) {
+            // Role modules export what they registered
+            const def = require(ROLE_MODULES[i]);
+            if (!def || roles[def.name] !== def) {
+                throw new Error(`[RoleRegistry] ${ROLE_MODULES[i]} did not register a role`);
+            }
+        }
+    },
+
+    /**
+     * Definition of a registered role. Throws for a name no module
+     * registered (usually a role module missing from ROLE_MODULES).
+     *
+     * @param {string} name
+     * @returns {Object}
+     */
+    get(name) {
+        this.load();
+        const def = roles[name];
+        if (!def) {
+            throw new Error(`[RoleRegistry] Unknown role "${name}": is its module listed in ROLE_MODULES?`);
+        }
+        return def;
+    },
+
+    /**
+     * All registered roles, in registration order.
+     *
+     * @returns {Object[]}
+     */
+    all() {
+        this.load();
+        return Object.keys(roles).map(name => roles[name]);
+    },
+
+    /**
+     * Run a creep's role. Returns false for a creep without a role; throws
+     * (see `get`) for a role that isn't registered.
+     *
+     * @param {Creep} creep
+     * @returns {boolean}
+     */
+    run(creep) {
+        if (!creep.memory.role) return false;
+
+        this.get(creep.memory.role).run(creep);
+        return true;
+    },
+
+    /**
+     * { HARVESTER: "harvester", ... } for Config.ROLES.
+     *
+     * @returns {Record<string, string>}
+     */
+    roleNames() {
+        return this._collect("roleNames", def => [def.key, def.name]);
+    },
+
+    /**
+     * { harvester: { base, unit, ... }, ... } for Config.SPAWN.BODY_PATTERN.
+     *
+     * @returns {Record<string, Object>}
+     */
+    bodyPatterns() {
+        return this._collect("bodyPatterns", def => def.body && [def.name, def.body]);
+    },
+
+    /**
+     * { harvester: 1, ... } for Config.SPAWN.PRIORITY.
+     *
+     * @returns {Record<string, number>}
+     */
+    priorities() {
+        return this._collect("priorities", def => def.priority !== undefined && [def.name, def.priority]);
+    },
+
+    /**
+     * { harvester: [WORK, CARRY, MOVE] } for Config.SPAWN.EMERGENCY_BODY.
+     *
+     * @returns {Record<string, BodyPartConstant[]>}
+     */
+    emergencyBodies() {
+        return this._collect("emergencyBodies", def => def.emergencyBody && [def.name, def.emergencyBody]);
+    },
+
+    /**
+     * Role names whose replacements are pre-spawned.
+     *
+     * @returns {string[]}
+     */
+    prespawnRoles() {
+        if (!cache.prespawnRoles) {
+            cache.prespawnRoles = Object.freeze(this.all().filter(def => def.prespawn).map(def => def.name));
+        }
+        return cache.prespawnRoles;
+    },
+
+    /**
+     * Build (and cache) a frozen map from each role definition.
+     *
+     * @param {string} cacheKey
+     * @param {function(Object): (Array|false|undefined)} entry - [key, value] or falsy to skip
+     * @returns {Record<string, any>}
+     * @private
+     */
+    _collect(cacheKey, entry) {
+        if (!cache[cacheKey]) {
+            const map = {};
+            const defs = this.all();
+            for (let i = 0; i < defs.length; i++) {
+                const kv = entry(defs[i]);
+                if (kv) map[kv[0]] = kv[1];
+            }
+            cache[cacheKey] = Object.freeze(map);
+        }
+        return cache[cacheKey];
+    }
+};
+
+module.exports = RoleRegistry;
@@ -3,53 +3,109 @@
 const Fallback   = require('behavior.fallback');
 const Pathing    = require('util.pathing');
 const EnergyUtil = require('util.energy');
+const LinkManager = require('manager.link');
+const Traffic    = require('util.traffic');
+const StateMachine = require('util.state');
+const RoleRegistry = require('role.registry');
 
-module.exports = {
-    run(creep) {
-        const room = creep.room;
+/**
+ * Upgrade state.
+ *
+ * @param {Creep} creep
+ * @returns {string|undefined} next state
+ */
+function upgrade(creep) {
+    if (creep.fatigue > 0) return;
 
-        // --- STATE MACHINE (upgrade vs refill) ---
-        if (creep.memory.working && EnergyUtil.needsEnergy(creep)) {
-            creep.memory.working = false;
-        }
+    const controller = creep.room.controller;
+    if (!controller) {
+        // no controller? just do generic worker stuff
+        Fallback.run(creep);
+        return;
+    }
 
-        if (!creep.memory.working && EnergyUtil.isFull(creep)) {
-            creep.memory.working = true;
-        }
+    const res = creep.upgradeController(controller);
+    if (res === ERR_NOT_IN_RANGE) {
+        Pathing.moveTo(creep, controller);
+    } else if (res === OK) {
+        Traffic.pin(creep, controller, 3);
+    } else if (res === ERR_NOT_ENOUGH_RESOURCES) {
+        // somehow ran dry mid-upgrade → go refill
+        return 'refill';
+    }
+}
 
-        if (creep.fatigue > 0) return;
-
-        // --- UPGRADE MODE ---
-        if (creep.memory.working) {
-            if (room.controller) {
-                const res = creep.upgradeController(room.controller);
-                if (res === ERR_NOT_IN_RANGE) {
-                    Pathing.moveTo(creep, room.controller);
-                } else if (res === ERR_NOT_ENOUGH_RESOURCES) {
-                    // somehow ran dry mid-upgrade → go refill
-                    creep.memory.working = false;
-                }
-            } else {
-                // no controller? just do generic worker stuff
-                Fallback.run(creep);
-            }
-            return;
-        }
+/**
+ * Refill state: get energy WITHOUT touching spawn/extensions directly.
+ *
+ * @param {Creep} creep
+ */
+function refill(creep) {
+    if (creep.fatigue > 0) return;
 
-        // --- REFILL MODE (get energy WITHOUT touching spawn/ext directly) ---
-        const src = EnergyUtil.findEnergySource(creep);
-        if (src) {
-            const res = EnergyUtil.getEnergyFrom(creep, src);
-
-            if (res === ERR_NOT_IN_RANGE) {
-                Pathing.moveTo(creep, src);
-            } else if (res === ERR_NOT_ENOUGH_RESOURCES) {
-                // source/container empty → fall back to generic worker behavior
-                Fallback.run(creep);
-            }
-        } else {
-            // no energy sources – do *something* useful instead of idle
+    // Controller link first: it sits right next to where we work
+    const link = LinkManager.getControllerLink(creep.room);
+    const src = link && link.store[RESOURCE_ENERGY] > 0
+        ? link
+        : EnergyUtil.findEnergySource(creep);
+    if (src) {
+        const res = EnergyUtil.getEnergyFrom(creep, src);
+
+        if (res === ERR_NOT_IN_RANGE) {
+            Pathing.moveTo(creep, src);
+        } else if (res === ERR_NOT_ENOUGH_RESOURCES) {
+            // source/container empty → fall back to generic worker behavior
             Fallback.run(creep);
         }
+    } else {
+        // no energy sources – do *something* useful instead of idle
+        Fallback.run(creep);
+    }
+}
+
+const Machine = StateMachine.define('upgrader', {
+    initial: creep => StateMachine.fromWorking(creep, 'upgrade', 'refill'),
+    states: {
+        refill: {
+            exit(creep) {
+                EnergyUtil.release(creep);
+            },
+            run: refill,
+            transitions: [
+                { to: 'upgrade', when: creep => EnergyUtil.isFull(creep), reason: 'full' }
+            ]
+        },
+        upgrade: {
+            run: upgrade,
+            transitions: [
+                { to: 'refill', when: creep => EnergyUtil.needsEnergy(creep), reason: 'empty' }
+            ]
+        }
+    }
+});
+
+module.exports = RoleRegistry.register({
+    name: 'upgrader',
+    key: 'UPGRADER',
+    body: Object.freeze({
+        base: [],
+        unit: [WORK, CARRY],
+        maxRepeats: 8,
+        moveRatio: { road: 0.5, offRoad: 1 }
+    }),
+    priority: 2,
+
+    /**
+     * Upgraders take whatever budget the economy model has left.
+     *
+     * @param {Room} room
+     * @param {Object} ctx - see manager.spawn
+     */
+    demand(room, ctx) {
+        return [{ work: ctx.targets.upgrader - (ctx.work[this.name] || 0) }];
+    },
+
+    run(creep) {
+        StateMachine.run(Machine, creep);
     }
-};
+});
@@ -0,0 +1,119 @@
+// util.body.js
+// Energy-scaled body generation from per-role body patterns.
+
+const RoomCache = require('util.cache');
+
+/**
+ * Order in which parts appear in a generated body. Damage soakers go first,
+ * MOVE near the end so a damaged creep keeps moving, HEAL last.
+ */
+const PART_ORDER = [TOUGH, WORK, CARRY, CLAIM, ATTACK, RANGED_ATTACK, MOVE, HEAL];
+
+/**
+ * Body generator:
+ *  - A pattern is `base` parts plus `unit` parts repeated up to `maxRepeats`
+ *  - MOVE parts are added on top, per non-MOVE part, using `moveRatio.road`
+ *    or `moveRatio.offRoad`
+ *  - The largest body that fits the energy budget (and 50 parts) is returned
+ */
+const BodyUtil = {
+    /**
+     * Calculate the total energy cost of a body array.
+     *
+     * @param {BodyPartConstant[]} body
+     * @returns {number}
+     */
+    cost(body) {
+        let sum = 0;
+        for (let i = 0; i < body.length; i++) {
+            sum += BODYPART_COST[body[i]];
+        }
+        return sum;
+    },
+
+    /**
+     * Build the largest body for a pattern that costs at most `energy`.
+     *
+     * If not even one unit fits with the requested MOVE ratio, a single-unit
+     * body with one MOVE part is tried so early rooms still get a worker.
+     *
+     * @param {{base?:BodyPartConstant[],unit:BodyPartConstant[],maxRepeats?:number,moveRatio?:{road:number,offRoad:number}}} pattern
+     * @param {number} energy
+     * @param {Object} [opts]
+     * @param {boolean} [opts.roads=false] - use the (cheaper) road MOVE ratio
+     * @param {number} [opts.maxRepeats]  - tighter cap than the pattern's own
+     * @returns {BodyPartConstant[]|null}
+     */
+    build(pattern, energy, opts = {}) {
+        if (!pattern || !pattern.unit || pattern.unit.length === 0) return null;
+
+        const ratios = pattern.moveRatio || { road: 0.5, offRoad: 1 };
+        const ratio = opts.roads ? ratios.road : ratios.offRoad;
+
+        let maxRepeats = pattern.maxRepeats || Infinity;
+        if (typeof opts.maxRepeats === 'number') {
+            maxRepeats = Math.min(maxRepeats, opts.maxRepeats);
+        }
+
+        let best = null;
+        for (let repeats = 1; repeats <= maxRepeats; repeats++) {
+            const body = this._assemble(pattern, repeats, ratio);
+            if (body.length > MAX_CREEP_SIZE || this.cost(body) > energy) break;
+            best = body;
+        }
+
+        if (!best && maxRepeats >= 1) {
+            const minimal = this._assemble(pattern, 1, 0);
+            if (minimal.length <= MAX_CREEP_SIZE && this.cost(minimal) <= energy) {
+                best = minimal;
+            }
+        }
+
+        return best;
+    },
+
+    /**
+     * Whether a room has enough road network for road-ratio bodies.
+     *
+     * @param {Room} room
+     * @param {number} minRoads
+     * @returns {boolean}
+     */
+    hasRoads(room, minRoads) {
+        return RoomCache.structures(room, STRUCTURE_ROAD).length >= minRoads;
+    },
+
+    /**
+     * Expand a pattern into a sorted body.
+     *
+     * @param {{base?:BodyPartConstant[],unit:BodyPartConstant[]}} pattern
+     * @param {number} repeats
+     * @param {number} ratio - MOVE parts per non-MOVE part (0 = one MOVE total)
+     * @returns {BodyPartConstant[]}
+     * @private
+     */
+    _assemble(pattern, repeats, ratio) {
+        const parts = (pattern.base || []).slice();
+        for (let i = 0; i < repeats; i++) {
+            for (let j = 0; j < pattern.unit.length; j++) {
+                parts.push(pattern.unit[j]);
+            }
+        }
+
+        let moves = 0;
+        let nonMove = 0;
+        for (let i = 0; i < parts.length; i++) {
+            if (parts[i] === MOVE) moves++;
+            else nonMove++;
+        }
+
+        const wantedMoves = Math.max(1, Math.ceil(nonMove * ratio));
+        for (let i = moves; i < wantedMoves; i++) {
+            parts.push(MOVE);
+        }
+
+        return parts.sort((a, b) => PART_ORDER.indexOf(a) - PART_ORDER.indexOf(b));
+    }
+};
+
+module.exports = BodyUtil;
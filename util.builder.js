@@ -1,11 +1,48 @@
 // util.builder.js
 // Cooperative builder assistance and task coordination
 
+const Economy   = require('util.economy');
+const RoomCache = require('util.cache');
+
 /**
  * Utility helpers for coordinating builder creeps.
  * All functions are pure (no Memory writes) and safe to call frequently.
  */
 const BuilderUtil = {
+    /**
+     * Find a structure worth repairing (same thresholds the economy model
+     * counts as repair debt). Preference order:
+     *  1. Current repair target, until it is back above threshold
+     *  2. Most damaged non-wall structure (by hits ratio)
+     *  3. Weakest rampart / wall below its target hits
+     *
+     * @param {Creep} creep
+     * @returns {Structure|null}
+     */
+    findRepairTarget(creep) {
+        const current = /** @type {Structure|null} */ (Game.getObjectById(creep.memory.repairTarget));
+        if (current && current.hits < current.hitsMax && Economy.needsRepair(current)) {
+            return current;
+        }
+
+        const damaged = RoomCache.structures(creep.room)
+            .filter(s => s.hitsMax && Economy.needsRepair(s));
+        if (damaged.length === 0) return null;
+
+        let best = null;
+        let bestWall = null;
+        for (let i = 0; i < damaged.length; i++) {
+            const s = damaged[i];
+            if (s.structureType === STRUCTURE_RAMPART || s.structureType === STRUCTURE_WALL) {
+                if (!bestWall || s.hits < bestWall.hits) bestWall = s;
+            } else if (!best || s.hits / s.hitsMax < best.hits / best.hitsMax) {
+                best = s;
+            }
+        }
+
+        return best || bestWall;
+    },
+
     /**
      * Find the best construction site for this builder.
      * Preference order:
@@ -17,14 +54,13 @@ const BuilderUtil = {
      */
     findBuildTarget(creep) {
         const room = creep.room;
-        const sites = /** @type {ConstructionSite[]} */ (room.find(FIND_CONSTRUCTION_SITES));
+        const sites = RoomCache.sites(room);
 
         if (sites.length === 0) return null;
 
         // Get other builders in the room once
-        const builders = /** @type {Creep[]} */ (room.find(FIND_MY_CREEPS, {
-            filter: c => c.memory.role === 'builder' && c.name !== creep.name
-        }));
+        const builders = RoomCache.creeps(room, 'builder')
+            .filter(c => c.name !== creep.name);
 
         if (builders.length === 0) {
             // No other builders, just find closest site
@@ -90,15 +126,10 @@ const BuilderUtil = {
     getNearbyBuilders(creep, targetSite, range = 5) {
         if (!targetSite) return [];
 
-        const builders = /** @type {Creep[]} */ (creep.room.find(FIND_MY_CREEPS, {
-            filter: c =>
-                c.memory.role === 'builder' &&
-                c.name !== creep.name &&
-                c.memory.buildTarget === targetSite.id &&
-                c.pos.inRangeTo(targetSite, range)
-        }));
-
-        return builders;
+        return RoomCache.creeps(creep.room, 'builder').filter(c =>
+            c.name !== creep.name &&
+            c.memory.buildTarget === targetSite.id &&
+            c.pos.inRangeTo(targetSite, range));
     },
 
     /**
@@ -134,12 +165,10 @@ const BuilderUtil = {
      */
     getPrioritizedSites(creep) {
         const room = creep.room;
-        const sites = /** @type {ConstructionSite[]} */ (room.find(FIND_CONSTRUCTION_SITES));
+        const sites = RoomCache.sites(room);
         if (sites.length === 0) return [];
 
-        const builders = /** @type {Creep[]} */ (room.find(FIND_MY_CREEPS, {
-            filter: c => c.memory.role === 'builder'
-        }));
+        const builders = RoomCache.creeps(room, 'builder');
 
         /** @type {Record<string, number>} */
         const targetCounts = Object.create(null);
@@ -181,9 +210,8 @@ const BuilderUtil = {
      */
     shouldHelpOtherBuilder(creep) {
         const room = creep.room;
-        const builders = /** @type {Creep[]} */ (room.find(FIND_MY_CREEPS, {
-            filter: c => c.memory.role === 'builder' && c.name !== creep.name
-        }));
+        const builders = RoomCache.creeps(room, 'builder')
+            .filter(c => c.name !== creep.name);
 
         if (builders.length === 0) return false;
 
@@ -212,12 +240,11 @@ const BuilderUtil = {
      */
     getMostHelpfulSite(creep) {
         const room = creep.room;
-        const sites = /** @type {ConstructionSite[]} */ (room.find(FIND_CONSTRUCTION_SITES));
+        const sites = RoomCache.sites(room);
         if (sites.length === 0) return null;
 
-        const builders = /** @type {Creep[]} */ (room.find(FIND_MY_CREEPS, {
-            filter: c => c.memory.role === 'builder' && c.name !== creep.name
-        }));
+        const builders = RoomCache.creeps(room, 'builder')
+            .filter(c => c.name !== creep.name);
 
         /** @type {Record<string, number>} */
         const targetCounts = Object.create(null);
@@ -0,0 +1,167 @@
+// util.cache.js
+// Per-tick room query cache: each room.find() runs once per room per tick and is shared by every module.
+
+const Profiler = require("util.profiler");
+
+/** @type {any[]} */
+const EMPTY = Object.freeze([]);
+
+/**
+ * Cached queries per room; dropped as soon as Game.time moves on.
+ * @type {Record<string, {tick:number,entries:Record<string, any>}>}
+ */
+const rooms = {};
+
+/**
+ * Build count and total build CPU per query, for the average cost of a miss.
+ * @type {Record<string, {builds:number,cpu:number}>}
+ */
+const buildCost = {};
+
+/**
+ * Group a list into { all, by } using `keyOf`.
+ *
+ * @template T
+ * @param {T[]} list
+ * @param {function(T): string} keyOf
+ * @returns {{all:T[],by:Record<string, T[]>}}
+ */
+function group(list, keyOf) {
+    /** @type {Record<string, T[]>} */
+    const by = Object.create(null);
+    for (let i = 0; i < list.length; i++) {
+        const key = keyOf(list[i]);
+        (by[key] || (by[key] = [])).push(list[i]);
+    }
+    return { all: list, by };
+}
+
+/**
+ * Room query cache.
+ *
+ * Each query is built lazily the first time it is asked for in a tick and
+ * then served from the heap until the tick ends:
+ *  - structures(room, type?)   FIND_STRUCTURES, grouped by structureType
+ *  - myStructures(room, type?) the owned subset of the above
+ *  - sites(room)               FIND_MY_CONSTRUCTION_SITES
+ *  - creeps(room, role?)       FIND_MY_CREEPS, grouped by memory.role
+ *  - hostiles(room)            FIND_HOSTILE_CREEPS
+ *  - dropped(room, resource?)  FIND_DROPPED_RESOURCES, grouped by resourceType
+ *  - sources(room) / mineral(room)
+ *
+ * Returned arrays are shared: filter or slice them, never sort or push in
+ * place. Every cache hit is credited to the profiler with the CPU the query
+ * cost when it was built, so `Profiler.report()` shows what was saved.
+ */
+const RoomCache = {
+    /**
+     * @param {Room} room
+     * @param {StructureConstant} [type]
+     * @returns {Structure[]}
+     */
+    structures(room, type) {
+        const grouped = this._get(room, "structures", () =>
+            group(room.find(FIND_STRUCTURES), s => s.structureType));
+        return type ? (grouped.by[type] || EMPTY) : grouped.all;
+    },
+
+    /**
+     * @param {Room} room
+     * @param {StructureConstant} [type]
+     * @returns {Structure[]}
+     */
+    myStructures(room, type) {
+        const grouped = this._get(room, "myStructures", () =>
+            group(this.structures(room).filter(s => /** @type {any} */ (s).my), s => s.structureType));
+        return type ? (grouped.by[type] || EMPTY) : grouped.all;
+    },
+
+    /**
+     * @param {Room} room
+     * @returns {ConstructionSite[]}
+     */
+    sites(room) {
+        return this._get(room, "sites", () => room.find(FIND_MY_CONSTRUCTION_SITES));
+    },
+
+    /**
+     * @param {Room} room
+     * @param {string} [role] - memory.role
+     * @returns {Creep[]}
+     */
+    creeps(room, role) {
+        const grouped = this._get(room, "creeps", () =>
+            group(room.find(FIND_MY_CREEPS), c => c.memory.role));
+        return role ? (grouped.by[role] || EMPTY) : grouped.all;
+    },
+
+    /**
+     * @param {Room} room
+     * @returns {Creep[]}
+     */
+    hostiles(room) {
+        return this._get(room, "hostiles", () => room.find(FIND_HOSTILE_CREEPS));
+    },
+
+    /**
+     * @param {Room} room
+     * @param {ResourceConstant} [resourceType]
+     * @returns {Resource[]}
+     */
+    dropped(room, resourceType) {
+        const grouped = this._get(room, "dropped", () =>
+            group(room.find(FIND_DROPPED_RESOURCES), r => r.resourceType));
+        return resourceType ? (grouped.by[resourceType] || EMPTY) : grouped.all;
+    },
+
+    /**
+     * @param {Room} room
+     * @returns {Source[]}
+     */
+    sources(room) {
+        return this._get(room, "sources", () => room.find(FIND_SOURCES));
+    },
+
+    /**
+     * @param {Room} room
+     * @returns {Mineral|null}
+     */
+    mineral(room) {
+        return this._get(room, "mineral", () => room.find(FIND_MINERALS)[0] || null);
+    },
+
+    /**
+     * Cached value for this room and tick, building it on the first call.
+     *
+     * @template T
+     * @param {Room} room
+     * @param {string} query
+     * @param {function(): T} build
+     * @returns {T}
+     * @private
+     */
+    _get(room, query, build) {
+        let cache = rooms[room.name];
+        if (!cache || cache.tick !== Game.time) {
+            cache = rooms[room.name] = { tick: Game.time, entries: Object.create(null) };
+        }
+
+        const cost = buildCost[query] || (buildCost[query] = { builds: 0, cpu: 0 });
+
+        if (query in cache.entries) {
+            // A hit saves what building the query costs on average
+            Profiler.saved(`cache:${query}`, cost.builds > 0 ? cost.cpu / cost.builds : 0);
+            return cache.entries[query];
+        }
+
+        const start = Game.cpu.getUsed();
+        const value = build();
+        cost.builds++;
+        cost.cpu += Game.cpu.getUsed() - start;
+
+        cache.entries[query] = value;
+        return value;
+    }
+};
+
+module.exports = RoomCache;
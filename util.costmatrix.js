@@ -0,0 +1,295 @@
+// util.costmatrix.js
+// Heap-cached PathFinder cost matrices per room: static structures, per-tick creep overlay, combat variant.
+
+const Config    = require('config');
+const RoomCache = require('util.cache');
+const Traffic   = require('util.traffic');
+
+const PathingConfig = Config.PATHING || {};
+
+const REFRESH_TICKS        = PathingConfig.MATRIX_REFRESH_TICKS || 1000;
+const COMBAT_TOWER_RANGE   = PathingConfig.COMBAT_TOWER_RANGE || 10;
+const COMBAT_TOWER_COST    = PathingConfig.COMBAT_TOWER_COST || 40;
+const COMBAT_RAMPART_RANGE = PathingConfig.COMBAT_RAMPART_RANGE || 3;
+const COMBAT_RAMPART_COST  = PathingConfig.COMBAT_RAMPART_COST || 30;
+const SAFE_TOWER_RANGE     = PathingConfig.SAFE_TOWER_RANGE || 10;
+const SAFE_EXPOSED_COST    = PathingConfig.SAFE_EXPOSED_COST || 4;
+
+// Terrain costs every search in util.pathing runs with (plainCost / swampCost)
+const PLAIN_COST = 2;
+const SWAMP_COST = 10;
+
+/** Matrix variants for Pathing.moveTo `opts.matrix`. */
+const VARIANTS = Object.freeze({
+    DEFAULT: 'default',             // structures + creeps that can't be moved aside
+    IGNORE_CREEPS: 'ignoreCreeps',  // structures only (long-haul routing)
+    COMBAT: 'combat',               // DEFAULT + hostile tower / rampart danger zones
+    SAFE: 'safe'                    // COMBAT + our ramparts and tower cover preferred (fleeing)
+});
+
+/**
+ * Static matrices per room. Kept when vision is lost, so routes through
+ * rooms we saw earlier still know their roads and walls.
+ * @type {Record<string, {signature:string,tick:number,matrix:CostMatrix,combat:CostMatrix|null,safe:CostMatrix|null}>}
+ */
+const statics = {};
+
+/**
+ * This tick's matrices with creeps on top, per room and variant.
+ * @type {{tick:number,matrices:Record<string, CostMatrix>}}
+ */
+let overlays = { tick: -1, matrices: {} };
+
+/**
+ * Whether our creeps can stand on this structure / construction site.
+ *
+ * @param {Structure|ConstructionSite} s
+ * @returns {boolean}
+ */
+function walkable(s) {
+    if (s.structureType === STRUCTURE_ROAD || s.structureType === STRUCTURE_CONTAINER) return true;
+    return s.structureType === STRUCTURE_RAMPART && /** @type {any} */ (s).my;
+}
+
+/**
+ * Raise every tile within `range` of (x, y) to at least `cost`, leaving
+ * impassable tiles alone.
+ *
+ * @param {CostMatrix} matrix
+ * @param {number} x
+ * @param {number} y
+ * @param {number} range
+ * @param {number} cost
+ */
+function raiseAround(matrix, x, y, range, cost) {
+    for (let dx = -range; dx <= range; dx++) {
+        for (let dy = -range; dy <= range; dy++) {
+            const tx = x + dx;
+            const ty = y + dy;
+            if (tx < 0 || tx > 49 || ty < 0 || ty > 49) continue;
+
+            const current = matrix.get(tx, ty);
+            if (current !== 0xff && current < cost) matrix.set(tx, ty, cost);
+        }
+    }
+}
+
+/**
+ * Cost matrix cache.
+ *
+ *  - static matrix: roads cheap, obstacle structures and our own obstacle
+ *    construction sites blocked. Rebuilt when the room's structure or site
+ *    count changes (something was built, destroyed or placed), or every
+ *    Config.PATHING.MATRIX_REFRESH_TICKS as a safety net; `invalidate`
+ *    forces it
+ *  - creep overlay: a per-tick clone of the static matrix with strangers
+ *    and creeps pinned in place blocked. Our other creeps are left to the
+ *    traffic manager
+ *  - combat: static matrix plus costs around hostile towers and ramparts
+ *  - safe: combat matrix with our ramparts cheapest and tiles outside our
+ *    towers' cover dearer, for creeps running from hostiles
+ */
+const CostMatrices = {
+    VARIANTS,
+
+    /**
+     * Matrix for PathFinder's roomCallback. Undefined (terrain only) for rooms
+     * never seen.
+     *
+     * @param {string} roomName
+     * @param {string} [variant=VARIANTS.DEFAULT]
+     * @returns {CostMatrix|undefined}
+     */
+    get(roomName, variant = VARIANTS.DEFAULT) {
+        const room = Game.rooms[roomName];
+        const entry = this._static(roomName, room);
+        if (!entry) return undefined;
+
+        if (variant === VARIANTS.IGNORE_CREEPS) return entry.matrix;
+
+        let base = entry.matrix;
+        if (variant === VARIANTS.COMBAT) base = entry.combat || entry.matrix;
+        else if (variant === VARIANTS.SAFE) base = entry.safe || entry.combat || entry.matrix;
+        if (!room) return base;
+
+        if (overlays.tick !== Game.time) overlays = { tick: Game.time, matrices: {} };
+        const overlayKey = `${roomName}:${variant}`;
+        if (!overlays.matrices[overlayKey]) {
+            overlays.matrices[overlayKey] = this._withCreeps(room, base);
+        }
+        return overlays.matrices[overlayKey];
+    },
+
+    /**
+     * Drop a room's static matrix (e.g. after placing construction sites).
+     *
+     * @param {string} roomName
+     */
+    invalidate(roomName) {
+        delete statics[roomName];
+        if (overlays.tick === Game.time) {
+            for (const overlayKey in overlays.matrices) {
+                if (overlayKey.indexOf(`${roomName}:`) === 0) delete overlays.matrices[overlayKey];
+            }
+        }
+    },
+
+    /**
+     * The room's static entry, rebuilt when it is stale.
+     *
+     * @param {string} roomName
+     * @param {Room|undefined} room
+     * @returns {{signature:string,tick:number,matrix:CostMatrix,combat:CostMatrix|null,safe:CostMatrix|null}|undefined}
+     * @private
+     */
+    _static(roomName, room) {
+        const entry = statics[roomName];
+        if (!room) return entry;
+
+        const signature = `${RoomCache.structures(room).length}:${RoomCache.sites(room).length}`;
+        if (entry && entry.signature === signature && Game.time - entry.tick < REFRESH_TICKS) {
+            return entry;
+        }
+
+        const matrix = this._build(room);
+        const combat = this._buildCombat(room, matrix);
+        statics[roomName] = {
+            signature,
+            tick: Game.time,
+            matrix,
+            combat,
+            safe: this._buildSafe(room, combat || matrix)
+        };
+        return statics[roomName];
+    },
+
+    /**
+     * Roads and obstacles.
+     *
+     * @param {Room} room
+     * @returns {CostMatrix}
+     * @private
+     */
+    _build(room) {
+        const matrix = new PathFinder.CostMatrix();
+
+        const structures = RoomCache.structures(room);
+        for (let i = 0; i < structures.length; i++) {
+            const s = structures[i];
+            if (s.structureType === STRUCTURE_ROAD) {
+                if (matrix.get(s.pos.x, s.pos.y) === 0) matrix.set(s.pos.x, s.pos.y, 1);
+            } else if (!walkable(s)) {
+                matrix.set(s.pos.x, s.pos.y, 0xff);
+            }
+        }
+
+        const sites = RoomCache.sites(room);
+        for (let i = 0; i < sites.length; i++) {
+            if (!walkable(sites[i])) matrix.set(sites[i].pos.x, sites[i].pos.y, 0xff);
+        }
+
+        return matrix;
+    },
+
+    /**
+     * Static matrix plus hostile tower and rampart danger zones. Null when
+     * the room has neither (callers fall back to the static matrix).
+     *
+     * @param {Room} room
+     * @param {CostMatrix} matrix
+     * @returns {CostMatrix|null}
+     * @private
+     */
+    _buildCombat(room, matrix) {
+        const hostile = RoomCache.structures(room).filter(s => {
+            const owned = /** @type {any} */ (s);
+            return owned.owner && !owned.my &&
+                (s.structureType === STRUCTURE_TOWER || s.structureType === STRUCTURE_RAMPART);
+        });
+        if (hostile.length === 0) return null;
+
+        const combat = matrix.clone();
+        for (let i = 0; i < hostile.length; i++) {
+            const s = hostile[i];
+            if (s.structureType === STRUCTURE_TOWER) {
+                raiseAround(combat, s.pos.x, s.pos.y, COMBAT_TOWER_RANGE, COMBAT_TOWER_COST);
+            } else {
+                raiseAround(combat, s.pos.x, s.pos.y, COMBAT_RAMPART_RANGE, COMBAT_RAMPART_COST);
+            }
+        }
+        return combat;
+    },
+
+    /**
+     * `base` with our ramparts at cost 1 and, when we have towers, walkable
+     * tiles outside their cover raised to Config.PATHING.SAFE_EXPOSED_COST
+     * (never lowered: exposed swamp keeps its terrain cost).
+     * Null when the room has neither (callers fall back to `base`).
+     *
+     * @param {Room} room
+     * @param {CostMatrix} base
+     * @returns {CostMatrix|null}
+     * @private
+     */
+    _buildSafe(room, base) {
+        const ramparts = RoomCache.myStructures(room, STRUCTURE_RAMPART);
+        const towers = RoomCache.myStructures(room, STRUCTURE_TOWER);
+        if (ramparts.length === 0 && towers.length === 0) return null;
+
+        const safe = base.clone();
+
+        if (towers.length > 0) {
+            const terrain = room.getTerrain();
+            for (let x = 0; x < 50; x++) {
+                for (let y = 0; y < 50; y++) {
+                    if (safe.get(x, y) !== 0) continue;
+
+                    // 0 means terrain cost; only raise tiles the exposed cost is above
+                    const mask = terrain.get(x, y);
+                    if (mask === TERRAIN_MASK_WALL) continue;
+                    if (SAFE_EXPOSED_COST <= (mask === TERRAIN_MASK_SWAMP ? SWAMP_COST : PLAIN_COST)) continue;
+
+                    const covered = towers.some(t =>
+                        Math.max(Math.abs(t.pos.x - x), Math.abs(t.pos.y - y)) <= SAFE_TOWER_RANGE);
+                    if (!covered) safe.set(x, y, SAFE_EXPOSED_COST);
+                }
+            }
+        }
+
+        // Ramparts over a spawn / tower / ... stay blocked
+        for (let i = 0; i < ramparts.length; i++) {
+            const pos = ramparts[i].pos;
+            if (safe.get(pos.x, pos.y) !== 0xff) safe.set(pos.x, pos.y, 1);
+        }
+
+        return safe;
+    },
+
+    /**
+     * Clone of `base` with creeps that won't make way blocked: strangers and
+     * our creeps pinned to their tile (see util.traffic).
+     *
+     * @param {Room} room
+     * @param {CostMatrix} base
+     * @returns {CostMatrix}
+     * @private
+     */
+    _withCreeps(room, base) {
+        const matrix = base.clone();
+
+        const hostiles = RoomCache.hostiles(room);
+        for (let i = 0; i < hostiles.length; i++) {
+            matrix.set(hostiles[i].pos.x, hostiles[i].pos.y, 0xff);
+        }
+
+        const creeps = RoomCache.creeps(room);
+        for (let i = 0; i < creeps.length; i++) {
+            const pin = Traffic.getPin(creeps[i]);
+            if (pin && pin.range === 0) matrix.set(creeps[i].pos.x, creeps[i].pos.y, 0xff);
+        }
+
+        return matrix;
+    }
+};
+
+module.exports = CostMatrices;
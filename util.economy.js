@@ -0,0 +1,184 @@
+// util.economy.js
+// Economy model: target WORK parts per role from source output, backlog, repair debt and storage.
+
+const Config       = require("config");
+const EnergyLedger = require("util.ledger");
+const RoomCache    = require("util.cache");
+
+const EconomyConfig = Config.ECONOMY || {};
+const RepairConfig  = (Config.DEFENSE && Config.DEFENSE.REPAIR) || {};
+
+const HARVESTER_DUTY      = EconomyConfig.HARVESTER_DUTY || 0.5;
+const WORKER_DUTY         = EconomyConfig.WORKER_DUTY || 0.5;
+const SPAWN_UPKEEP_SHARE  = EconomyConfig.SPAWN_UPKEEP_SHARE || 0.2;
+const BACKLOG_TICKS       = EconomyConfig.BACKLOG_TICKS || 1500;
+const MIN_UPGRADER_WORK   = EconomyConfig.MIN_UPGRADER_WORK || 1;
+const STORAGE_TARGET      = EconomyConfig.STORAGE_TARGET || 50000;
+const STORAGE_DRAIN_TICKS = EconomyConfig.STORAGE_DRAIN_TICKS || 5000;
+
+const NON_WALL_THRESHOLD  = RepairConfig.NON_WALL_THRESHOLD || 0.8;
+const RAMPART_TARGET_HITS = RepairConfig.RAMPART_TARGET_HITS || 150000;
+const WALL_TARGET_HITS    = RepairConfig.WALL_TARGET_HITS || 250000;
+
+/**
+ * Economy model used by the spawn manager. Everything is expressed in
+ * energy per tick and converted to WORK parts using each role's power and
+ * an assumed duty cycle (share of its life spent working, not walking).
+ */
+const Economy = {
+    /**
+     * Energy per tick the room's sources regenerate.
+     *
+     * @param {Room} room
+     * @returns {number}
+     */
+    sourceOutput(room) {
+        const sources = RoomCache.sources(room);
+        let output = 0;
+        for (let i = 0; i < sources.length; i++) {
+            output += sources[i].energyCapacity / ENERGY_REGEN_TIME;
+        }
+        return output;
+    },
+
+    /**
+     * Energy still needed to finish every construction site in the room.
+     *
+     * @param {Room} room
+     * @returns {number}
+     */
+    constructionBacklog(room) {
+        const sites = RoomCache.sites(room);
+        let backlog = 0;
+        for (let i = 0; i < sites.length; i++) {
+            backlog += sites[i].progressTotal - sites[i].progress;
+        }
+        return backlog;
+    },
+
+    /**
+     * Whether a structure is owed repairs, using the tower repair thresholds.
+     *
+     * @param {Structure} s
+     * @returns {boolean}
+     */
+    needsRepair(s) {
+        if (s.structureType === STRUCTURE_RAMPART) return s.hits < RAMPART_TARGET_HITS;
+        if (s.structureType === STRUCTURE_WALL) return s.hits < WALL_TARGET_HITS;
+        return s.hits < s.hitsMax * NON_WALL_THRESHOLD;
+    },
+
+    /**
+     * Energy needed to bring every damaged structure back to its repair target.
+     *
+     * @param {Room} room
+     * @returns {number}
+     */
+    repairDebt(room) {
+        const damaged = RoomCache.structures(room).filter(s => s.hitsMax && this.needsRepair(s));
+
+        let hits = 0;
+        for (let i = 0; i < damaged.length; i++) {
+            const s = damaged[i];
+            const target =
+                s.structureType === STRUCTURE_RAMPART ? Math.min(RAMPART_TARGET_HITS, s.hitsMax) :
+                s.structureType === STRUCTURE_WALL ? Math.min(WALL_TARGET_HITS, s.hitsMax) :
+                s.hitsMax;
+            hits += Math.max(0, target - s.hits);
+        }
+        return hits * REPAIR_COST;
+    },
+
+    /**
+     * Target WORK parts per role.
+     *
+     *  - harvester: enough to drain every source (classic economy only)
+     *  - builder: clear construction backlog + repair debt within BACKLOG_TICKS
+     *  - upgrader: whatever the budget has left, plus storage above STORAGE_TARGET
+     *
+     * The budget is measured income (ledger, once it has history) minus
+     * spawn and tower upkeep, falling back to source output.
+     *
+     * @param {Room} room
+     * @param {{staticEconomy?:boolean,storageDry?:boolean}} [opts]
+     * @returns {{harvester:number,builder:number,upgrader:number,budget:number}}
+     */
+    workTargets(room, opts = {}) {
+        const output = this.sourceOutput(room);
+
+        const flow = EnergyLedger.get(room.name, "medium");
+        const measured = !!flow && flow.samples >= (Config.LEDGER.MIN_SAMPLES || 0);
+
+        const income = measured ? flow.income : output;
+        const upkeep = measured ? flow.spawn + flow.tower : income * SPAWN_UPKEEP_SHARE;
+
+        let storageBonus = 0;
+        if (room.storage && !opts.storageDry) {
+            const surplus = room.storage.store[RESOURCE_ENERGY] - STORAGE_TARGET;
+            storageBonus = Math.max(0, surplus) / STORAGE_DRAIN_TICKS;
+        }
+
+        const budget = Math.max(0, income - upkeep) + storageBonus;
+
+        // Builders first, capped by the budget
+        let buildSpend  = this.constructionBacklog(room) / BACKLOG_TICKS;
+        let repairSpend = this.repairDebt(room) / BACKLOG_TICKS;
+        const wanted = buildSpend + repairSpend;
+        if (wanted > budget && wanted > 0) {
+            buildSpend  *= budget / wanted;
+            repairSpend *= budget / wanted;
+        }
+
+        const builder = Math.ceil(
+            buildSpend / (BUILD_POWER * WORKER_DUTY) +
+            repairSpend / (REPAIR_POWER * REPAIR_COST * WORKER_DUTY)
+        );
+
+        // Upgraders take the rest (at least enough to hold the controller)
+        const upgradeSpend = Math.max(0, budget - buildSpend - repairSpend);
+        let upgrader = Math.max(
+            MIN_UPGRADER_WORK,
+            Math.floor(upgradeSpend / (UPGRADE_CONTROLLER_POWER * WORKER_DUTY))
+        );
+        if (room.controller.level === 8) {
+            upgrader = Math.min(upgrader, CONTROLLER_MAX_UPGRADE_PER_TICK);
+        }
+
+        const harvester = opts.staticEconomy
+            ? 0
+            : Math.ceil(output / (HARVEST_POWER * HARVESTER_DUTY));
+
+        return { harvester, builder, upgrader, budget };
+    },
+
+    /**
+     * WORK parts per role across a list of creeps.
+     *
+     * @param {Creep[]} creeps
+     * @returns {Record<string, number>}
+     */
+    workByRole(creeps) {
+        const work = {};
+        for (let i = 0; i < creeps.length; i++) {
+            const role = creeps[i].memory.role;
+            work[role] = (work[role] || 0) + this.workOf(creeps[i]);
+        }
+        return work;
+    },
+
+    /**
+     * WORK parts in a creep's body (damaged or not).
+     *
+     * @param {Creep} creep
+     * @returns {number}
+     */
+    workOf(creep) {
+        let work = 0;
+        for (let i = 0; i < creep.body.length; i++) {
+            if (creep.body[i].type === WORK) work++;
+        }
+        return work;
+    }
+};
+
+module.exports = Economy;
@@ -1,15 +1,28 @@
 // util.energy.js
 // Centralized energy source finding logic to reduce code duplication
 
+const Logistics = require('manager.logistics');
+const RoomCache = require('util.cache');
+
+// Smallest pickup worth a trip when a creep needs more than this
+const MIN_PICKUP = 50;
+
+// Reservations older than this are assumed abandoned
+const RESERVATION_TTL = 100;
+
 /**
  * Energy helper utilities:
  *  - Find optimal sources for withdrawing/harvesting
  *  - Find optimal targets for delivering energy
  *  - Simple state checks for worker "needsEnergy" / "isFull"
+ *  - Pickup reservations (Memory.energyReservations[targetId][creepName]),
+ *    so creeps don't all race for the same container
  */
 const EnergyUtil = {
     /**
      * Find energy source prioritizing: storage > containers > dropped > sources.
+     * Only targets with enough unreserved energy are considered; the chosen
+     * target is reserved for this creep (sources are never reserved).
      *
      * @param {Creep} creep
      * @param {Object} [options]
@@ -19,48 +32,64 @@ const EnergyUtil = {
     findEnergySource(creep, options = {}) {
         const room = creep.room;
         const includeDropped = options.includeDropped !== false;
+        const need = creep.store.getFreeCapacity(RESOURCE_ENERGY);
+        const enough = Math.min(need, MIN_PICKUP);
+
+        // 0) Keep our current reservation while it is still good
+        const reserved = /** @type {Structure|Resource|null} */ (Game.getObjectById(creep.memory.reservedFrom));
+        if (reserved && this.availableEnergy(reserved, creep) >= enough) {
+            return reserved;
+        }
+
+        // Offers on the logistics board with enough unreserved energy;
+        // small piles count if we can take all of what is left
+        const offers = Logistics.getBoard(room).offers;
+        const offered = (types, partial) => offers
+            .filter(o =>
+                types.indexOf(o.type) !== -1 &&
+                this.availableEnergy(o.target, creep) >= (partial ? Math.min(enough, o.amount) : enough))
+            .map(o => o.target);
 
         // 1) Storage first (if it exists and has energy)
-        if (room.storage && room.storage.store[RESOURCE_ENERGY] > 0) {
+        if (room.storage && this.availableEnergy(room.storage, creep) >= enough) {
+            this.reserve(creep, room.storage, need);
             return room.storage;
         }
 
         // 2) Containers with energy
-        const containers = /** @type {StructureContainer[]} */ (room.find(FIND_STRUCTURES, {
-            filter: s =>
-                s.structureType === STRUCTURE_CONTAINER &&
-                s.store &&
-                s.store[RESOURCE_ENERGY] > 0
-        }));
+        const containers = offered([STRUCTURE_CONTAINER], false);
 
         if (containers.length > 0) {
             const closestContainer = creep.pos.findClosestByPath(containers);
-            if (closestContainer) return closestContainer;
+            if (closestContainer) {
+                this.reserve(creep, closestContainer, need);
+                return closestContainer;
+            }
         }
 
-        // 3) Dropped energy (optional, often useful for haulers / builders)
+        // 3) Dropped energy, tombstones, ruins (optional, often useful for haulers / builders)
         if (includeDropped) {
-            const drops = /** @type {Resource[]} */ (room.find(FIND_DROPPED_RESOURCES, {
-                filter: r => r.resourceType === RESOURCE_ENERGY && r.amount > 20
-            }));
+            const drops = offered(['dropped', 'tombstone', 'ruin'], true);
             if (drops.length > 0) {
                 const closestDrop = creep.pos.findClosestByPath(drops);
-                if (closestDrop) return closestDrop;
+                if (closestDrop) {
+                    this.reserve(creep, closestDrop, need);
+                    return closestDrop;
+                }
             }
         }
 
+        this.release(creep);
+
         // 4) Finally, active sources
-        const source = /** @type {Source|null} */ (creep.pos.findClosestByPath(FIND_SOURCES_ACTIVE));
+        const active = RoomCache.sources(room).filter(s => s.energy > 0);
+        const source = /** @type {Source|null} */ (creep.pos.findClosestByPath(active));
         return source || null;
     },
 
     /**
-     * Find energy delivery target (spawn/extensions/containers/storage).
-     *
-     * Priority:
-     *  - Spawns & extensions
-     *  - Containers
-     *  - Storage
+     * Find energy delivery target (spawn/extensions/containers/storage)
+     * from the room's logistics board, in board priority order.
      *
      * @param {Creep} creep
      * @param {Object} [options]
@@ -70,32 +99,12 @@ const EnergyUtil = {
      * @returns {Structure|null}
      */
     findEnergyTarget(creep, options = {}) {
-        const room = creep.room;
-        const includeSpawn = options.includeSpawn !== false;
-        const includeContainers = options.includeContainers !== false;
-        const includeStorage = options.includeStorage !== false;
-
-        /** @type {Structure[]} */
-        const candidates = room.find(FIND_STRUCTURES, {
-            filter: s => {
-                if (!s.store || s.store.getFreeCapacity(RESOURCE_ENERGY) <= 0) return false;
-
-                if (includeSpawn &&
-                    (s.structureType === STRUCTURE_SPAWN || s.structureType === STRUCTURE_EXTENSION)) {
-                    return true;
-                }
-                if (includeContainers && s.structureType === STRUCTURE_CONTAINER) {
-                    return true;
-                }
-                if (includeStorage && s.structureType === STRUCTURE_STORAGE) {
-                    return true;
-                }
-                return false;
-            }
-        });
+        const types = [];
+        if (options.includeSpawn !== false) types.push(STRUCTURE_SPAWN, STRUCTURE_EXTENSION);
+        if (options.includeContainers !== false) types.push(STRUCTURE_CONTAINER, 'controller');
+        if (options.includeStorage !== false) types.push(STRUCTURE_STORAGE);
 
-        if (candidates.length === 0) return null;
-        return creep.pos.findClosestByPath(candidates) || candidates[0] || null;
+        return Logistics.findDelivery(creep, { types });
     },
 
     /**
@@ -118,6 +127,32 @@ const EnergyUtil = {
         return creep.store.getFreeCapacity(RESOURCE_ENERGY) === 0;
     },
 
+    /**
+     * Planned source containers for a room (from Memory.storageLayout),
+     * with the built container if it exists yet.
+     *
+     * @param {Room} room
+     * @returns {Array<{sourceId:string,pos:RoomPosition,container:StructureContainer|null}>}
+     */
+    getSourceContainers(room) {
+        const layout = Memory.storageLayout && Memory.storageLayout[room.name];
+        if (!layout || !layout.sourceContainers) return [];
+
+        const containers = RoomCache.structures(room, STRUCTURE_CONTAINER);
+        const result = [];
+        for (const sourceId in layout.sourceContainers) {
+            const def = layout.sourceContainers[sourceId];
+            const pos = new RoomPosition(def.x, def.y, room.name);
+            const container = /** @type {StructureContainer|undefined} */ (
+                containers.find(s => s.pos.x === def.x && s.pos.y === def.y)
+            );
+
+            result.push({ sourceId, pos, container: container || null });
+        }
+
+        return result;
+    },
+
     /**
      * Attempt to obtain energy from a target.
      *
@@ -126,6 +161,10 @@ const EnergyUtil = {
      *  - picking up dropped resources
      *  - harvesting sources
      *
+     * Energy reserved by other creeps is left alone (ERR_NOT_ENOUGH_ENERGY
+     * when nothing unreserved is left); the creep's own reservation is
+     * released once it has taken its share.
+     *
      * @param {Creep} creep
      * @param {Structure|Source|Resource|null} target
      * @returns {number} Screeps return code
@@ -136,16 +175,131 @@ const EnergyUtil = {
         // Dropped resource
         if (target instanceof Resource) {
             if (target.resourceType !== RESOURCE_ENERGY) return ERR_INVALID_TARGET;
-            return creep.pickup(target);
+            if (this.availableEnergy(target, creep) <= 0) {
+                this.release(creep);
+                return ERR_NOT_ENOUGH_ENERGY;
+            }
+
+            const res = creep.pickup(target);
+            if (res === OK) this.release(creep);
+            return res;
         }
 
         // Structure with store
         if ('store' in target && target.store && target.store[RESOURCE_ENERGY] !== undefined) {
-            return creep.withdraw(target, RESOURCE_ENERGY);
+            const available = this.availableEnergy(target, creep);
+            if (available <= 0) {
+                this.release(creep);
+                return ERR_NOT_ENOUGH_ENERGY;
+            }
+
+            const amount = Math.min(available, creep.store.getFreeCapacity(RESOURCE_ENERGY));
+            if (amount <= 0) return ERR_FULL;
+
+            const res = creep.withdraw(target, RESOURCE_ENERGY, amount);
+            if (res === OK) this.release(creep);
+            return res;
         }
 
         // Source (or something harvestable)
         return creep.harvest(/** @type {Source} */ (target));
+    },
+
+    /**
+     * Claim `amount` energy at a target for this creep. Any previous
+     * reservation the creep held (on this or another target) is replaced.
+     *
+     * @param {Creep} creep
+     * @param {{id:string}} target
+     * @param {number} amount
+     */
+    reserve(creep, target, amount) {
+        this.release(creep);
+        if (amount <= 0) return;
+
+        if (!Memory.energyReservations) Memory.energyReservations = {};
+        if (!Memory.energyReservations[target.id]) Memory.energyReservations[target.id] = {};
+
+        Memory.energyReservations[target.id][creep.name] = { amount, tick: Game.time };
+        creep.memory.reservedFrom = target.id;
+    },
+
+    /**
+     * Drop this creep's reservation, if it holds one.
+     *
+     * @param {Creep} creep
+     */
+    release(creep) {
+        const targetId = creep.memory.reservedFrom;
+        if (!targetId) return;
+        delete creep.memory.reservedFrom;
+
+        const claims = Memory.energyReservations && Memory.energyReservations[targetId];
+        if (!claims) return;
+
+        delete claims[creep.name];
+        if (Object.keys(claims).length === 0) delete Memory.energyReservations[targetId];
+    },
+
+    /**
+     * Energy reserved at a target by creeps other than `except`.
+     *
+     * @param {string} targetId
+     * @param {Creep} [except]
+     * @returns {number}
+     */
+    reservedAmount(targetId, except) {
+        const claims = Memory.energyReservations && Memory.energyReservations[targetId];
+        if (!claims) return 0;
+
+        let total = 0;
+        for (const name in claims) {
+            if (except && name === except.name) continue;
+            total += claims[name].amount;
+        }
+        return total;
+    },
+
+    /**
+     * Energy at a target that isn't reserved by another creep.
+     *
+     * @param {Structure|Resource} target
+     * @param {Creep} [creep] - its own reservation counts as available
+     * @returns {number}
+     */
+    availableEnergy(target, creep) {
+        const stored = target instanceof Resource
+            ? (target.resourceType === RESOURCE_ENERGY ? target.amount : 0)
+            : ((/** @type {any} */ (target).store && /** @type {any} */ (target).store[RESOURCE_ENERGY]) || 0);
+
+        return stored - this.reservedAmount(target.id, creep);
+    },
+
+    /**
+     * Drop reservations held by dead creeps, on vanished targets, or older
+     * than RESERVATION_TTL (creep got stuck or wandered off).
+     * Call once per tick.
+     */
+    cleanReservations() {
+        const reservations = Memory.energyReservations;
+        if (!reservations) return;
+
+        for (const targetId in reservations) {
+            const claims = reservations[targetId];
+            const targetGone = !Game.getObjectById(targetId);
+
+            for (const name in claims) {
+                const creep = Game.creeps[name];
+                const stale = Game.time - claims[name].tick > RESERVATION_TTL;
+
+                if (!creep || targetGone || stale || creep.memory.reservedFrom !== targetId) {
+                    delete claims[name];
+                    if (creep && creep.memory.reservedFrom === targetId) delete creep.memory.reservedFrom;
+                }
+            }
+
+            if (Object.keys(claims).length === 0) delete reservations[targetId];
+        }
     }
 };
 
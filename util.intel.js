@@ -0,0 +1,192 @@
+// util.intel.js
+// Room intel in Memory.intel: who owns each room we have seen, and what that means for routing.
+
+const Config    = require('config');
+const RoomCache = require('util.cache');
+
+const IntelConfig = Config.INTEL || {};
+
+const REFRESH_TICKS   = IntelConfig.REFRESH_TICKS || 100;
+const ROUTE_COST      = IntelConfig.ROUTE_COST || {};
+const OWN_COST        = ROUTE_COST.OWN || 1;
+const HIGHWAY_COST    = ROUTE_COST.HIGHWAY || 1.5;
+const DEFAULT_COST    = ROUTE_COST.DEFAULT || 2;
+const RESERVED_COST   = ROUTE_COST.RESERVED || 5;
+const AVOID_SK        = IntelConfig.AVOID_SOURCE_KEEPERS !== false;
+
+/**
+ * Room name -> world coordinates of the room within its sector (0..9).
+ *
+ * @param {string} roomName
+ * @returns {{x:number,y:number}|null}
+ */
+function sectorCoords(roomName) {
+    const match = /^[WE](\d+)[NS](\d+)$/.exec(roomName);
+    if (!match) return null;
+    return { x: Number(match[1]) % 10, y: Number(match[2]) % 10 };
+}
+
+/**
+ * Room intel.
+ *
+ * Every visible room is recorded at most once per Config.INTEL.REFRESH_TICKS
+ * into Memory.intel[roomName]:
+ *   { tick, owner, level, reservedBy, towers, keeperLairs, sources, features }
+ * `features` keeps the controller, source and mineral tiles as [x, y] so
+ * rooms can be planned offline (planner.report) before they are claimed.
+ * Entries outlive vision, so route planning still knows which rooms to keep
+ * out of after our scout or remote creep has left. Rooms never seen fall
+ * back to what their name says (highways, source keeper sectors).
+ */
+const RoomIntel = {
+    /**
+     * Record every visible room whose intel is stale. Call once per tick.
+     */
+    run() {
+        if (!Memory.intel) Memory.intel = {};
+
+        for (const roomName in Game.rooms) {
+            const known = Memory.intel[roomName];
+            if (known && Game.time - known.tick < REFRESH_TICKS) continue;
+            this.record(Game.rooms[roomName]);
+        }
+    },
+
+    /**
+     * Store what we can see of a room now.
+     *
+     * @param {Room} room
+     * @returns {Object} the stored entry
+     */
+    record(room) {
+        if (!Memory.intel) Memory.intel = {};
+
+        const controller = room.controller;
+        const reservation = controller && controller.reservation;
+
+        const sources = RoomCache.sources(room);
+        const mineral = RoomCache.mineral(room);
+
+        const entry = {
+            tick: Game.time,
+            owner: controller && controller.owner ? controller.owner.username : null,
+            my: !!(controller && controller.my),
+            level: controller ? controller.level : 0,
+            reservedBy: reservation ? reservation.username : null,
+            towers: RoomCache.structures(room, STRUCTURE_TOWER).filter(t => !/** @type {any} */ (t).my).length,
+            keeperLairs: RoomCache.structures(room, STRUCTURE_KEEPER_LAIR).length,
+            sources: sources.length,
+            features: {
+                controller: controller ? [controller.pos.x, controller.pos.y] : null,
+                sources: sources.map(s => [s.pos.x, s.pos.y]),
+                mineral: mineral ? [mineral.pos.x, mineral.pos.y] : null
+            }
+        };
+
+        Memory.intel[room.name] = entry;
+        return entry;
+    },
+
+    /**
+     * Stored intel for a room, if we've ever seen it.
+     *
+     * @param {string} roomName
+     * @returns {Object|undefined}
+     */
+    get(roomName) {
+        return Memory.intel ? Memory.intel[roomName] : undefined;
+    },
+
+    /**
+     * Controller, source and mineral tiles of a room we have seen, in the
+     * shape LayoutPlanner.generate takes. Null if unknown.
+     *
+     * @param {string} roomName
+     * @returns {{controller:{x:number,y:number}|null,sources:Array<{x:number,y:number}>,mineral:{x:number,y:number}|null}|null}
+     */
+    features(roomName) {
+        const entry = this.get(roomName);
+        if (!entry || !entry.features) return null;
+
+        const tile = xy => (xy ? { x: xy[0], y: xy[1] } : null);
+        return {
+            controller: tile(entry.features.controller),
+            sources: entry.features.sources.map(tile),
+            mineral: tile(entry.features.mineral)
+        };
+    },
+
+    /**
+     * Whether a room is a highway (no controller, no sources).
+     *
+     * @param {string} roomName
+     * @returns {boolean}
+     */
+    isHighway(roomName) {
+        const coords = sectorCoords(roomName);
+        return !!coords && (coords.x === 0 || coords.y === 0);
+    },
+
+    /**
+     * Whether a room has source keepers: from intel when we have it, else
+     * from its position in the sector (the ring around the sector center).
+     *
+     * @param {string} roomName
+     * @returns {boolean}
+     */
+    isSourceKeeper(roomName) {
+        const intel = this.get(roomName);
+        if (intel) return intel.keeperLairs > 0;
+
+        const coords = sectorCoords(roomName);
+        if (!coords) return false;
+        const inRing = coords.x >= 4 && coords.x <= 6 && coords.y >= 4 && coords.y <= 6;
+        return inRing && !(coords.x === 5 && coords.y === 5);
+    },
+
+    /**
+     * Whether routes should not pass through a room at all: owned by another
+     * player, or a source keeper room (unless Config.INTEL.AVOID_SOURCE_KEEPERS
+     * is false).
+     *
+     * @param {string} roomName
+     * @returns {boolean}
+     */
+    isAvoided(roomName) {
+        const intel = this.get(roomName);
+        if (intel && intel.owner && !intel.my) return true;
+        return AVOID_SK && this.isSourceKeeper(roomName);
+    },
+
+    /**
+     * routeCallback for Game.map.findRoute: Infinity for avoided rooms,
+     * cheap for our own rooms and highways, dearer for rooms someone else
+     * has reserved.
+     *
+     * @param {string} roomName
+     * @returns {number}
+     */
+    routeCost(roomName) {
+        if (this.isAvoided(roomName)) return Infinity;
+
+        const intel = this.get(roomName);
+        if (intel && intel.my) return OWN_COST;
+        if (intel && intel.reservedBy && !this._isMe(intel.reservedBy)) return RESERVED_COST;
+        if (this.isHighway(roomName)) return HIGHWAY_COST;
+        return DEFAULT_COST;
+    },
+
+    /**
+     * Whether a username is ours.
+     *
+     * @param {string} username
+     * @returns {boolean}
+     * @private
+     */
+    _isMe(username) {
+        const spawn = Object.values(Game.spawns)[0];
+        return !!spawn && spawn.owner.username === username;
+    }
+};
+
+module.exports = RoomIntel;
@@ -0,0 +1,203 @@
+// util.ledger.js
+// Per-room energy accounting: income, spending and net flow as rolling averages.
+
+const Config = require("config");
+
+const LedgerConfig = Config.LEDGER || {};
+
+const WINDOWS = LedgerConfig.WINDOWS || { short: 100, medium: 1000, long: 10000 };
+
+const CATEGORIES = ["harvest", "spawn", "upgrade", "build", "repair", "tower", "storage"];
+const SPENDING   = ["spawn", "upgrade", "build", "repair", "tower"];
+
+/**
+ * Energy ledger.
+ *
+ * Each tick `collect` folds the previous tick into per-window moving averages:
+ *  - harvest / upgrade / build / repair / tower come from the room event log
+ *  - spawn is booked by callers via `record` (spawn queue, renewals)
+ *  - storage is the change in storage energy since the last tick
+ *
+ * Data lives in Memory.rooms[name].ledger. From the console:
+ *   require('util.ledger').report('W1N1')
+ */
+const EnergyLedger = {
+    /**
+     * Book energy for a category during this tick (e.g. spawn costs).
+     *
+     * @param {Room} room
+     * @param {string} category - one of CATEGORIES
+     * @param {number} amount
+     */
+    record(room, category, amount) {
+        const ledger = this._ledger(room.name);
+        ledger.pending[category] = (ledger.pending[category] || 0) + amount;
+    },
+
+    /**
+     * Fold last tick's event log and bookings into the rolling averages.
+     * Call once per tick per owned room, before anything calls `record`.
+     *
+     * @param {Room} room
+     */
+    collect(room) {
+        const ledger = this._ledger(room.name);
+        const sample = this._readEvents(room);
+
+        for (const category in ledger.pending) {
+            sample[category] = (sample[category] || 0) + ledger.pending[category];
+        }
+        ledger.pending = {};
+
+        const storageEnergy = room.storage ? room.storage.store[RESOURCE_ENERGY] : 0;
+        if (typeof ledger.lastStorage === "number") {
+            sample.storage = storageEnergy - ledger.lastStorage;
+        }
+        ledger.lastStorage = storageEnergy;
+
+        for (const window in WINDOWS) {
+            const alpha = 1 / WINDOWS[window];
+            const avg = ledger.avg[window] || (ledger.avg[window] = {});
+
+            for (let i = 0; i < CATEGORIES.length; i++) {
+                const category = CATEGORIES[i];
+                const value = sample[category] || 0;
+                avg[category] = typeof avg[category] === "number"
+                    ? avg[category] + (value - avg[category]) * alpha
+                    : value;
+            }
+        }
+        ledger.samples = (ledger.samples || 0) + 1;
+    },
+
+    /**
+     * Per-tick averages for a room over one window, plus totals.
+     *
+     * @param {string} roomName
+     * @param {string} [window="medium"] - key of Config.LEDGER.WINDOWS
+     * @returns {{harvest:number,spawn:number,upgrade:number,build:number,repair:number,tower:number,storage:number,income:number,spending:number,net:number,samples:number}|null}
+     */
+    get(roomName, window = "medium") {
+        const roomMem = Memory.rooms && Memory.rooms[roomName];
+        const ledger = roomMem && roomMem.ledger;
+        if (!ledger || !ledger.avg[window]) return null;
+
+        const avg = ledger.avg[window];
+        const result = { samples: ledger.samples || 0 };
+        for (let i = 0; i < CATEGORIES.length; i++) {
+            result[CATEGORIES[i]] = avg[CATEGORIES[i]] || 0;
+        }
+
+        let spending = 0;
+        for (let i = 0; i < SPENDING.length; i++) {
+            spending += result[SPENDING[i]];
+        }
+
+        result.income = result.harvest;
+        result.spending = spending;
+        result.net = result.income - spending;
+
+        return /** @type {any} */ (result);
+    },
+
+    /**
+     * Print the ledger for one room (or every room with a ledger).
+     *
+     * @param {string} [roomName]
+     */
+    report(roomName) {
+        const names = roomName
+            ? [roomName]
+            : Object.keys(Memory.rooms || {}).filter(n => Memory.rooms[n].ledger);
+
+        for (let i = 0; i < names.length; i++) {
+            console.log(`=== ENERGY LEDGER ${names[i]} (per tick) ===`);
+
+            for (const window in WINDOWS) {
+                const flow = this.get(names[i], window);
+                if (!flow) continue;
+
+                console.log(
+                    `${window} (${WINDOWS[window]}t): ` +
+                    `in ${flow.income.toFixed(1)} | ` +
+                    `spawn ${flow.spawn.toFixed(1)} | ` +
+                    `upgrade ${flow.upgrade.toFixed(1)} | ` +
+                    `build ${flow.build.toFixed(1)} | ` +
+                    `repair ${flow.repair.toFixed(1)} | ` +
+                    `tower ${flow.tower.toFixed(1)} | ` +
+                    `storage ${flow.storage >= 0 ? "+" : ""}${flow.storage.toFixed(1)} | ` +
+                    `net ${flow.net >= 0 ? "+" : ""}${flow.net.toFixed(1)}`
+                );
+            }
+        }
+    },
+
+    /**
+     * Sum last tick's energy events by category. Only our own creeps and
+     * towers count; tower actions are booked at TOWER_ENERGY_COST each.
+     *
+     * @param {Room} room
+     * @returns {Record<string, number>}
+     * @private
+     */
+    _readEvents(room) {
+        /** @type {Record<string, number>} */
+        const sample = {};
+        const events = room.getEventLog();
+
+        const add = (category, amount) => {
+            sample[category] = (sample[category] || 0) + amount;
+        };
+
+        for (let i = 0; i < events.length; i++) {
+            const entry = events[i];
+            const actor = /** @type {any} */ (Game.getObjectById(entry.objectId));
+            if (!actor || !actor.my) continue;
+
+            const isTower = actor.structureType === STRUCTURE_TOWER;
+            const data = entry.data || {};
+
+            switch (entry.event) {
+                case EVENT_HARVEST: {
+                    // Minerals are harvested through the same event
+                    const target = Game.getObjectById(data.targetId);
+                    if (target && target.energyCapacity !== undefined) add("harvest", data.amount || 0);
+                    break;
+                }
+                case EVENT_UPGRADE_CONTROLLER:
+                    add("upgrade", data.energySpent || data.amount || 0);
+                    break;
+                case EVENT_BUILD:
+                    add("build", data.energySpent || data.amount || 0);
+                    break;
+                case EVENT_REPAIR:
+                    if (isTower) add("tower", TOWER_ENERGY_COST);
+                    else add("repair", data.energySpent || Math.ceil((data.amount || 0) * REPAIR_COST));
+                    break;
+                case EVENT_ATTACK:
+                case EVENT_HEAL:
+                    if (isTower) add("tower", TOWER_ENERGY_COST);
+                    break;
+            }
+        }
+
+        return sample;
+    },
+
+    /**
+     * @param {string} roomName
+     * @returns {{pending:Record<string, number>,avg:Record<string, Record<string, number>>,lastStorage?:number,samples?:number}}
+     * @private
+     */
+    _ledger(roomName) {
+        if (!Memory.rooms) Memory.rooms = {};
+        if (!Memory.rooms[roomName]) Memory.rooms[roomName] = {};
+
+        const roomMem = Memory.rooms[roomName];
+        if (!roomMem.ledger) roomMem.ledger = { pending: {}, avg: {} };
+
+        return roomMem.ledger;
+    }
+};
+
+module.exports = EnergyLedger;
@@ -0,0 +1,63 @@
+// util.lifecycle.js
+// Creep lifetime helpers: travel-time bookkeeping and pre-spawn timing.
+
+const Config = require('config');
+
+const PRESPAWN_DEFAULT_TRAVEL = Config.SPAWN.PRESPAWN_DEFAULT_TRAVEL || 25;
+const PRESPAWN_MARGIN         = Config.SPAWN.PRESPAWN_MARGIN || 10;
+
+/**
+ * Lifecycle helpers shared by roles and the spawn manager:
+ *  - Roles call `markArrived` the first time a creep reaches its work site
+ *  - The spawn manager asks `isRetiring` to queue replacements early enough
+ *    that they arrive as the old creep dies
+ */
+const Lifecycle = {
+    /**
+     * Record how long this creep took from spawn to its work site.
+     * Only the first arrival counts; later calls are no-ops.
+     *
+     * @param {Creep} creep
+     */
+    markArrived(creep) {
+        if (creep.memory.travelTime !== undefined || creep.spawning) return;
+        creep.memory.travelTime = CREEP_LIFE_TIME - creep.ticksToLive;
+    },
+
+    /**
+     * Ticks a replacement needs: spawn time for this body plus the travel
+     * time to the work site (measured by the current creep, or a default).
+     *
+     * @param {Creep} creep
+     * @returns {number}
+     */
+    leadTime(creep) {
+        const spawnTime = creep.body.length * CREEP_SPAWN_TIME;
+        const travel = typeof creep.memory.travelTime === 'number'
+            ? creep.memory.travelTime
+            : PRESPAWN_DEFAULT_TRAVEL;
+
+        return spawnTime + travel + PRESPAWN_MARGIN;
+    },
+
+    /**
+     * Whether a creep is close enough to death that its replacement should be
+     * on the way. Only roles listed in Config.SPAWN.PRESPAWN_ROLES retire early;
+     * emergency creeps are never replaced like-for-like, and creeps headed for
+     * renewal keep their slot.
+     *
+     * @param {Creep} creep
+     * @returns {boolean}
+     */
+    isRetiring(creep) {
+        if (creep.spawning || creep.memory.emergency) return false;
+        if (creep.memory.lifecycle === 'renew') return false;
+
+        const roles = Config.SPAWN.PRESPAWN_ROLES || [];
+        if (roles.indexOf(creep.memory.role) === -1) return false;
+
+        return creep.ticksToLive <= this.leadTime(creep);
+    }
+};
+
+module.exports = Lifecycle;
@@ -1,6 +1,8 @@
 // util.memory.js
 // Memory management and cleanup utilities for Screeps
 
+const RoomCache = require('util.cache');
+
 /**
  * Helpers for keeping Memory in a sane state:
  *  - Removing dead creep/flag memory
@@ -82,7 +84,7 @@ const MemoryUtil = {
 
         /** @type {Record<string, Array<{id:string,x:number,y:number}>>} */
         const byType = Object.create(null);
-        const structures = room.find(FIND_STRUCTURES);
+        const structures = RoomCache.structures(room);
 
         for (let i = 0; i < structures.length; i++) {
             const s = structures[i];
@@ -143,8 +145,9 @@ const MemoryUtil = {
     },
 
     /**
-     * Clear old path caches from creep memory (older than 100 ticks).
-     * Designed to work with util.pathing.
+     * Clear old path caches from creep memory (older than 100 ticks), and
+     * the RoomPosition arrays util.pathing stored before paths were
+     * serialized. Designed to work with util.pathing.
      */
     cleanPathCaches() {
         const currentTick = Game.time;
@@ -154,7 +157,11 @@ const MemoryUtil = {
         for (const name in Memory.creeps) {
             const mem = Memory.creeps[name];
 
-            if (mem._pathTarget && mem._pathSetTick && currentTick - mem._pathSetTick > 100) {
+            if (mem._move && currentTick - mem._move.tick > 100) {
+                delete mem._move;
+            }
+
+            if (mem._path || mem._pathTarget) {
                 delete mem._path;
                 delete mem._pathTarget;
                 delete mem._pathSetTick;
@@ -0,0 +1,259 @@
+// util.mincut.js
+// Minimum vertex cut over room terrain (Dinic max flow): the fewest tiles that wall a region off from the exits.
+
+// Capacity that can never be part of the cut
+const INF = 1 << 30;
+
+const SOURCE = 5000;
+const SINK   = 5001;
+
+/**
+ * Flow network of a room. Every walkable tile is split into an "in" node
+ * (2i) and an "out" node (2i + 1) joined by a capacity-1 edge: cutting that
+ * edge means a rampart on the tile. Neighbouring tiles are joined out -> in
+ * with infinite capacity.
+ */
+class Graph {
+    constructor() {
+        /** @type {number[][]} node -> edge ids */
+        this.adj = [];
+        for (let i = 0; i < 5002; i++) this.adj.push([]);
+        /** @type {number[]} */ this.to = [];
+        /** @type {number[]} */ this.cap = [];
+        /** @type {Int32Array} */ this.level = new Int32Array(5002);
+        /** @type {Int32Array} */ this.iter = new Int32Array(5002);
+    }
+
+    /**
+     * Add an edge and its residual twin (id ^ 1).
+     *
+     * @param {number} from
+     * @param {number} to
+     * @param {number} cap
+     */
+    add(from, to, cap) {
+        this.adj[from].push(this.to.length);
+        this.to.push(to);
+        this.cap.push(cap);
+
+        this.adj[to].push(this.to.length);
+        this.to.push(from);
+        this.cap.push(0);
+    }
+
+    /**
+     * BFS levels from the source over edges with capacity left.
+     *
+     * @returns {boolean} whether the sink is still reachable
+     */
+    bfs() {
+        this.level.fill(-1);
+        this.level[SOURCE] = 0;
+        const queue = [SOURCE];
+
+        for (let head = 0; head < queue.length; head++) {
+            const v = queue[head];
+            const edges = this.adj[v];
+            for (let i = 0; i < edges.length; i++) {
+                const e = edges[i];
+                const w = this.to[e];
+                if (this.cap[e] > 0 && this.level[w] < 0) {
+                    this.level[w] = this.level[v] + 1;
+                    queue.push(w);
+                }
+            }
+        }
+        return this.level[SINK] >= 0;
+    }
+
+    /**
+     * Push one augmenting path along the level graph (iterative DFS).
+     *
+     * @returns {number} flow pushed (0 when blocked)
+     */
+    augment() {
+        const path = [];
+        let v = SOURCE;
+
+        while (v !== SINK) {
+            const edges = this.adj[v];
+            let advanced = false;
+
+            for (; this.iter[v] < edges.length; this.iter[v]++) {
+                const e = edges[this.iter[v]];
+                const w = this.to[e];
+                if (this.cap[e] > 0 && this.level[w] === this.level[v] + 1) {
+                    path.push(e);
+                    v = w;
+                    advanced = true;
+                    break;
+                }
+            }
+
+            if (!advanced) {
+                // Dead end: never try this node again in this phase
+                this.level[v] = -1;
+                if (path.length === 0) return 0;
+                const back = path.pop();
+                v = this.to[back ^ 1];
+                this.iter[v]++;
+            }
+        }
+
+        let flow = INF;
+        for (let i = 0; i < path.length; i++) flow = Math.min(flow, this.cap[path[i]]);
+        for (let i = 0; i < path.length; i++) {
+            this.cap[path[i]] -= flow;
+            this.cap[path[i] ^ 1] += flow;
+        }
+        return flow;
+    }
+
+    /**
+     * Dinic max flow from SOURCE to SINK.
+     *
+     * @returns {number}
+     */
+    maxFlow() {
+        let total = 0;
+        while (this.bfs()) {
+            this.iter.fill(0);
+            let flow;
+            while ((flow = this.augment()) > 0) {
+                total += flow;
+                // Every unit is one rampart: a flow this large means the
+                // region touches the exits and no sensible cut exists
+                if (total >= INF) return total;
+            }
+        }
+        return total;
+    }
+}
+
+/**
+ * Min-cut solver.
+ *
+ * `cut(terrain, protect)` returns the tiles that, with ramparts on them,
+ * leave no walkable route from any exit to the protected tiles. Exit tiles
+ * and their neighbours can't hold the line (creeps on the exit reach them),
+ * so protected tiles next to them are ignored.
+ */
+const MinCut = {
+    /**
+     * @param {RoomTerrain} terrain
+     * @param {Array<{x:number,y:number}>} protect - tiles that must end up inside
+     * @returns {Array<{x:number,y:number}>|null} cut tiles, null if the region can't be sealed
+     */
+    cut(terrain, protect) {
+        const walkable = new Uint8Array(2500);
+        for (let x = 0; x < 50; x++) {
+            for (let y = 0; y < 50; y++) {
+                walkable[x * 50 + y] = terrain.get(x, y) === TERRAIN_MASK_WALL ? 0 : 1;
+            }
+        }
+
+        const exitZone = this._exitZone(walkable);
+        const inside = new Uint8Array(2500);
+        for (let i = 0; i < protect.length; i++) {
+            const { x, y } = protect[i];
+            if (!walkable[x * 50 + y] || this._touches(exitZone, x, y)) continue;
+            inside[x * 50 + y] = 1;
+        }
+
+        const graph = new Graph();
+        for (let x = 0; x < 50; x++) {
+            for (let y = 0; y < 50; y++) {
+                const t = x * 50 + y;
+                if (!walkable[t]) continue;
+
+                const tin = 2 * t;
+                const tout = tin + 1;
+
+                if (inside[t]) {
+                    graph.add(SOURCE, tin, INF);
+                    graph.add(tin, tout, INF);
+                } else if (exitZone[t]) {
+                    graph.add(tin, tout, INF);
+                    graph.add(tout, SINK, INF);
+                } else {
+                    graph.add(tin, tout, 1);
+                }
+
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        if (dx === 0 && dy === 0) continue;
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx < 0 || nx > 49 || ny < 0 || ny > 49) continue;
+                        const n = nx * 50 + ny;
+                        if (walkable[n]) graph.add(tout, 2 * n, INF);
+                    }
+                }
+            }
+        }
+
+        if (graph.maxFlow() >= INF) return null;
+
+        // Cut = tiles whose "in" side is still reachable from the source but
+        // whose "out" side is not
+        graph.bfs();
+        const tiles = [];
+        for (let t = 0; t < 2500; t++) {
+            if (!walkable[t]) continue;
+            if (graph.level[2 * t] >= 0 && graph.level[2 * t + 1] < 0) {
+                tiles.push({ x: Math.floor(t / 50), y: t % 50 });
+            }
+        }
+        return tiles;
+    },
+
+    /**
+     * Whether (x, y) is in `zone` or next to it.
+     *
+     * @param {Uint8Array} zone
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     * @private
+     */
+    _touches(zone, x, y) {
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || nx > 49 || ny < 0 || ny > 49) continue;
+                if (zone[nx * 50 + ny]) return true;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Exit tiles and every walkable tile next to one.
+     *
+     * @param {Uint8Array} walkable
+     * @returns {Uint8Array}
+     * @private
+     */
+    _exitZone(walkable) {
+        const zone = new Uint8Array(2500);
+        for (let x = 0; x < 50; x++) {
+            for (let y = 0; y < 50; y++) {
+                const onEdge = x === 0 || x === 49 || y === 0 || y === 49;
+                if (!onEdge || !walkable[x * 50 + y]) continue;
+
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx < 0 || nx > 49 || ny < 0 || ny > 49) continue;
+                        if (walkable[nx * 50 + ny]) zone[nx * 50 + ny] = 1;
+                    }
+                }
+            }
+        }
+        return zone;
+    }
+};
+
+module.exports = MinCut;
@@ -0,0 +1,261 @@
+// util.pathcache.js
+// Compact serialized paths (start tile, room transitions, direction string) and a shared heap path cache.
+
+const Config = require('config');
+
+const PathingConfig = Config.PATHING || {};
+
+const SHARED_TICKS      = PathingConfig.SHARED_PATH_TICKS || 100;
+const SHARED_PER_TARGET = PathingConfig.SHARED_PATHS_PER_TARGET || 4;
+
+// In a direction string: the creep crosses into the next room of `rooms`
+const CROSS = '|';
+
+/** @type {Record<DirectionConstant, {dx:number,dy:number}>} */
+const OFFSETS = {
+    [TOP]:          { dx: 0,  dy: -1 },
+    [TOP_RIGHT]:    { dx: 1,  dy: -1 },
+    [RIGHT]:        { dx: 1,  dy: 0 },
+    [BOTTOM_RIGHT]: { dx: 1,  dy: 1 },
+    [BOTTOM]:       { dx: 0,  dy: 1 },
+    [BOTTOM_LEFT]:  { dx: -1, dy: 1 },
+    [LEFT]:         { dx: -1, dy: 0 },
+    [TOP_LEFT]:     { dx: -1, dy: -1 }
+};
+
+/**
+ * Shared paths per destination ("x,y,room:range:variant"), newest last. Each
+ * keeps an index of the tiles on it so any creep standing on the path can
+ * join it.
+ * @type {Record<string, Array<{tick:number,path:{start:string,rooms:string,dirs:string},index:Map<string, {i:number,at:string}>}>>}
+ */
+const shared = {};
+
+/**
+ * Direction from one tile to a neighbouring one in the same room.
+ *
+ * @param {{x:number,y:number}} from
+ * @param {{x:number,y:number}} to
+ * @returns {DirectionConstant}
+ */
+function direction(from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    for (const dir in OFFSETS) {
+        if (OFFSETS[dir].dx === dx && OFFSETS[dir].dy === dy) {
+            return /** @type {DirectionConstant} */ (Number(dir));
+        }
+    }
+    throw new Error(`[PathCache] Tiles ${from.x},${from.y} and ${to.x},${to.y} are not adjacent`);
+}
+
+/**
+ * Cursor position "x,y,roomIndex" <-> object.
+ *
+ * @param {string} at
+ * @returns {{x:number,y:number,r:number}}
+ */
+function parseAt(at) {
+    const parts = at.split(',');
+    return { x: Number(parts[0]), y: Number(parts[1]), r: Number(parts[2]) };
+}
+
+/**
+ * @param {{x:number,y:number,r:number}} p
+ * @returns {string}
+ */
+function formatAt(p) {
+    return `${p.x},${p.y},${p.r}`;
+}
+
+/**
+ * Apply one path character: a direction step, or a room crossing (the exit
+ * tile mirrors onto the opposite edge of the next room).
+ *
+ * @param {{x:number,y:number,r:number}} p
+ * @param {string} c
+ * @returns {{x:number,y:number,r:number}}
+ */
+function apply(p, c) {
+    if (c === CROSS) {
+        return {
+            x: p.x === 0 ? 49 : p.x === 49 ? 0 : p.x,
+            y: p.y === 0 ? 49 : p.y === 49 ? 0 : p.y,
+            r: p.r + 1
+        };
+    }
+    const offset = OFFSETS[c];
+    return { x: p.x + offset.dx, y: p.y + offset.dy, r: p.r };
+}
+
+/**
+ * Serialized paths.
+ *
+ * A path is stored as
+ *   { start: "x,y", rooms: "W1N1,W2N1", dirs: "3334|4455" }
+ * - the tile it starts from, the rooms it passes in order and one direction
+ * digit per step, with "|" where it crosses into the next room. A cursor
+ *   { i, at: "x,y,roomIndex" }
+ * marks how far along a creep is: `i` indexes `dirs` and `at` is the tile
+ * the creep should be standing on. `follow` advances it as the creep moves
+ * and reports when the creep has been knocked off the path.
+ *
+ * Paths are also kept on the heap per destination for
+ * Config.PATHING.SHARED_PATH_TICKS; `join` lets a creep standing anywhere on
+ * one of them (the storage -> controller road, a spawn -> source trip) pick
+ * it up without a PathFinder search.
+ */
+const PathCache = {
+    /**
+     * Serialize a PathFinder path (tiles after `origin`).
+     *
+     * @param {RoomPosition} origin
+     * @param {Array<{x:number,y:number,roomName:string}>} path
+     * @returns {{start:string,rooms:string,dirs:string}}
+     */
+    serialize(origin, path) {
+        const rooms = [origin.roomName];
+        let dirs = '';
+        let last = origin;
+
+        for (let i = 0; i < path.length; i++) {
+            const p = path[i];
+            if (p.roomName !== last.roomName) {
+                rooms.push(p.roomName);
+                dirs += CROSS;
+            } else {
+                dirs += direction(last, p);
+            }
+            last = p;
+        }
+
+        return { start: `${origin.x},${origin.y}`, rooms: rooms.join(','), dirs };
+    },
+
+    /**
+     * Every tile of a path with the cursor a creep standing there would have.
+     *
+     * @param {{start:string,rooms:string,dirs:string}} path
+     * @returns {Array<{x:number,y:number,roomName:string,i:number,at:string}>}
+     */
+    positions(path) {
+        const rooms = path.rooms.split(',');
+        const start = path.start.split(',');
+        let p = { x: Number(start[0]), y: Number(start[1]), r: 0 };
+
+        const list = [];
+        const push = i => list.push({ x: p.x, y: p.y, roomName: rooms[p.r], i, at: formatAt(p) });
+        push(0);
+
+        for (let i = 0; i < path.dirs.length; i++) {
+            p = apply(p, path.dirs[i]);
+            // A crossing happens in the same tick as the step onto the exit
+            if (path.dirs[i + 1] !== CROSS) push(i + 1);
+        }
+        return list;
+    },
+
+    /**
+     * New cursor at the start of a path.
+     *
+     * @param {{start:string,rooms:string,dirs:string}} path
+     * @returns {{i:number,at:string}}
+     */
+    cursor(path) {
+        return { i: 0, at: `${path.start},0` };
+    },
+
+    /**
+     * Advance `cursor` to the creep's position and return the next direction
+     * to move in. Null when the path is finished or the creep isn't where the
+     * path expects it (shoved aside, knocked off): the caller repaths.
+     *
+     * @param {{start:string,rooms:string,dirs:string}} path
+     * @param {{i:number,at:string}} cursor - updated in place
+     * @param {RoomPosition} pos - the creep's position
+     * @returns {DirectionConstant|null}
+     */
+    follow(path, cursor, pos) {
+        const rooms = path.rooms.split(',');
+        const at = parseAt(cursor.at);
+        const isAt = p => p.x === pos.x && p.y === pos.y && rooms[p.r] === pos.roomName;
+
+        if (!isAt(at)) {
+            // Took the step (and any crossing that comes with it)?
+            let i = cursor.i;
+            if (i >= path.dirs.length) return null;
+
+            let next = apply(at, path.dirs[i++]);
+            while (path.dirs[i] === CROSS) next = apply(next, path.dirs[i++]);
+            if (!isAt(next)) return null;
+
+            cursor.i = i;
+            cursor.at = formatAt(next);
+        }
+
+        const c = path.dirs[cursor.i];
+        if (c === undefined || c === CROSS) return null;
+        return /** @type {DirectionConstant} */ (Number(c));
+    },
+
+    /**
+     * Offer a freshly computed path to other creeps heading the same way.
+     *
+     * @param {string} key - destination key, see `key`
+     * @param {{start:string,rooms:string,dirs:string}} path
+     */
+    share(key, path) {
+        const index = new Map();
+        const tiles = this.positions(path);
+        for (let i = 0; i < tiles.length; i++) {
+            const t = tiles[i];
+            index.set(`${t.x},${t.y},${t.roomName}`, { i: t.i, at: t.at });
+        }
+
+        const list = (shared[key] || []).filter(e => Game.time - e.tick < SHARED_TICKS);
+        list.push({ tick: Game.time, path, index });
+        if (list.length > SHARED_PER_TARGET) list.shift();
+        shared[key] = list;
+    },
+
+    /**
+     * A shared path to the destination that passes through `pos`, with the
+     * cursor for that tile. Newest paths first.
+     *
+     * @param {string} key - destination key, see `key`
+     * @param {RoomPosition} pos
+     * @returns {{tick:number,path:{start:string,rooms:string,dirs:string},cursor:{i:number,at:string}}|null}
+     */
+    join(key, pos) {
+        const list = shared[key];
+        if (!list) return null;
+
+        const tile = `${pos.x},${pos.y},${pos.roomName}`;
+        for (let i = list.length - 1; i >= 0; i--) {
+            const entry = list[i];
+            if (Game.time - entry.tick >= SHARED_TICKS) continue;
+
+            const at = entry.index.get(tile);
+            // Standing on the last tile is no use
+            if (at && at.i < entry.path.dirs.length) {
+                return { tick: entry.tick, path: entry.path, cursor: { i: at.i, at: at.at } };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Destination key for the shared cache: paths are only interchangeable
+     * for the same target, range and matrix variant.
+     *
+     * @param {RoomPosition} targetPos
+     * @param {number} range
+     * @param {string} variant
+     * @returns {string}
+     */
+    key(targetPos, range, variant) {
+        return `${targetPos.x},${targetPos.y},${targetPos.roomName}:${range}:${variant}`;
+    }
+};
+
+module.exports = PathCache;
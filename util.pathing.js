@@ -1,14 +1,62 @@
 // util.pathing.js
 // Centralized move / pathing helper built on top of PathFinder.
 
-const Config = require('config');
+const Config       = require('config');
+const Traffic      = require('util.traffic');
+const CostMatrices = require('util.costmatrix');
+const RoomIntel    = require('util.intel');
+const PathCache    = require('util.pathcache');
+
+const PathingConfig = Config.PATHING || {};
+
+const ROUTE_CACHE_TICKS = PathingConfig.ROUTE_CACHE_TICKS || 500;
+const MULTI_ROOM_REUSE  = PathingConfig.MULTI_ROOM_REUSE || 50;
+const MAX_ROUTE_OPS     = PathingConfig.MAX_ROUTE_OPS || 20000;
+const FLEE_MAX_OPS      = PathingConfig.FLEE_MAX_OPS || 500;
+
+/**
+ * Room routes shared by every creep: "from>to" -> rooms from start to
+ * target, or null when there is no acceptable route.
+ * @type {Record<string, {tick:number,rooms:string[]|null}>}
+ */
+const routes = {};
+
+/** Steps off each room edge ([direction, dx, dy]), straight in first then the diagonals. */
+const EDGE_EXITS = {
+    left:   [[RIGHT, 1, 0], [TOP_RIGHT, 1, -1], [BOTTOM_RIGHT, 1, 1]],
+    right:  [[LEFT, -1, 0], [TOP_LEFT, -1, -1], [BOTTOM_LEFT, -1, 1]],
+    top:    [[BOTTOM, 0, 1], [BOTTOM_LEFT, -1, 1], [BOTTOM_RIGHT, 1, 1]],
+    bottom: [[TOP, 0, -1], [TOP_LEFT, -1, -1], [TOP_RIGHT, 1, -1]]
+};
+
+/**
+ * Whether a position is on a room exit tile.
+ *
+ * @param {{x:number,y:number}} pos
+ * @returns {boolean}
+ */
+function onEdge(pos) {
+    return pos.x === 0 || pos.x === 49 || pos.y === 0 || pos.y === 49;
+}
 
 const Pathing = {
     /**
      * Smart moveTo wrapper with:
      *  - basic stuck detection
-     *  - cached paths (with TTL)
-     *  - cost matrix that prefers roads and avoids creeps
+     *  - cached paths (with TTL), stored compactly in creep.memory._move
+     *    (see util.pathcache) and shared on the heap with other creeps
+     *    heading for the same target
+     *  - heap-cached cost matrices (util.costmatrix) that prefer roads and
+     *    avoid creeps that can't be moved
+     *  - multi-room moves: a room route from `findRoute` (avoiding hostile
+     *    and source keeper rooms, see util.intel) and PathFinder kept inside
+     *    that corridor; creeps that just crossed an exit step off the edge
+     *    instead of bouncing back
+     *
+     * For moving away from hostiles, see `flee`.
+     *
+     * The step is registered with util.traffic, which resolves every creep's
+     * move at the end of the tick (swapping and shoving our own creeps).
      *
      * @param {Creep} creep
      * @param {RoomPosition|{pos:RoomPosition}} target
@@ -16,6 +64,9 @@ const Pathing = {
      * @param {number} [opts.range=1]
      * @param {number} [opts.maxOps=Config.PATHING.MAX_OPS]
      * @param {number} [opts.reusePath=10] - ticks to reuse cached path
+     *   (Config.PATHING.MULTI_ROOM_REUSE when the target is in another room)
+     * @param {string} [opts.matrix='default'] - CostMatrices.VARIANTS: 'default',
+     *   'ignoreCreeps' (long-haul routes) or 'combat' (keep out of hostile tower/rampart range)
      * @returns {number}
      */
     moveTo(creep, target, opts = {}) {
@@ -26,16 +77,41 @@ const Pathing = {
 
         const range = typeof opts.range === 'number' ? opts.range : 1;
         const maxOps = typeof opts.maxOps === 'number' ? opts.maxOps : Config.PATHING.MAX_OPS;
-        const reusePath = typeof opts.reusePath === 'number' ? opts.reusePath : 10;
+        const multiRoom = targetPos.roomName !== creep.pos.roomName;
+        const reusePath = typeof opts.reusePath === 'number'
+            ? opts.reusePath
+            : (multiRoom ? MULTI_ROOM_REUSE : 10);
+        const variant = opts.matrix || CostMatrices.VARIANTS.DEFAULT;
 
-        // Stuck detection & random nudge
+        // Stuck detection: repath when traffic keeps us in place
         this._checkStuck(creep);
 
         // Try cached path if still valid
-        if (this._useCachedPath(creep, targetPos, reusePath)) {
+        const key = PathCache.key(targetPos, range, variant);
+        if (this._useCachedPath(creep, key, reusePath)) {
             return OK;
         }
 
+        // Someone else's recent path runs through our tile: join it
+        const joined = PathCache.join(key, creep.pos);
+        if (joined) {
+            creep.memory._move = Object.assign({ key, tick: joined.tick, path: joined.path }, joined.cursor);
+            if (this._useCachedPath(creep, key, reusePath)) {
+                return OK;
+            }
+        }
+
+        // Other room: plan the room route first and keep the search inside it
+        let corridor = null;
+        if (multiRoom) {
+            const route = this.findRoute(creep.pos.roomName, targetPos.roomName);
+            if (!route) {
+                this._clearPath(creep);
+                return onEdge(creep.pos) ? this._stepOffEdge(creep) : ERR_NO_PATH;
+            }
+            corridor = new Set(route);
+        }
+
         // Compute new path using PathFinder
         const result = PathFinder.search(
             creep.pos,
@@ -43,124 +119,250 @@ const Pathing = {
             {
                 plainCost: 2,
                 swampCost: 10,
-                maxOps,
+                maxOps: corridor ? Math.min(maxOps * corridor.size, MAX_ROUTE_OPS) : maxOps,
+                maxRooms: corridor ? corridor.size : undefined,
                 roomCallback: roomName => {
-                    const room = Game.rooms[roomName];
-                    if (!room) return;
-
-                    const costs = new PathFinder.CostMatrix();
-                    const structures = room.find(FIND_STRUCTURES);
-                    const creeps = room.find(FIND_CREEPS);
-
-                    // Prefer roads, block impassable structures
-                    for (let i = 0; i < structures.length; i++) {
-                        const s = structures[i];
-                        if (s.structureType === STRUCTURE_ROAD) {
-                            costs.set(s.pos.x, s.pos.y, 1); // super cheap
-                        } else if (
-                            s.structureType !== STRUCTURE_CONTAINER &&
-                            (s.structureType !== STRUCTURE_RAMPART || !s.my)
-                        ) {
-                            costs.set(s.pos.x, s.pos.y, 0xff); // block tile
-                        }
-                    }
-
-                    // Avoid creeps by treating their tile as blocked
-                    const creepName = creep.name;
-                    const owner = creep.owner && creep.owner.username;
-                    for (let i = 0; i < creeps.length; i++) {
-                        const c = creeps[i];
-                        if (c.owner && owner && c.owner.username === owner && c.name === creepName) continue;
-                        costs.set(c.pos.x, c.pos.y, 0xff);
-                    }
-
-                    return costs;
+                    if (corridor && !corridor.has(roomName)) return false;
+                    return CostMatrices.get(roomName, this._variantFor(creep, roomName, variant));
                 }
             }
         );
 
         if (!result.path || result.path.length === 0) {
             // No path found
-            delete creep.memory._path;
-            delete creep.memory._pathTarget;
-            delete creep.memory._pathSetTick;
+            this._clearPath(creep);
             return ERR_NO_PATH;
         }
 
-        this._setCachedPath(creep, targetPos, result.path);
-        creep.moveByPath(creep.memory._path);
-        return OK;
+        if (this._bounces(creep, result.path[0])) {
+            this._clearPath(creep);
+            return this._stepOffEdge(creep);
+        }
+
+        this._setCachedPath(creep, key, result.path);
+        return this._step(creep);
     },
 
     /**
-     * Try to follow a cached path if it's still valid and not too old.
+     * Move one step away from threats along a safe path (see `findFleePath`).
+     * Threats move, so the path is recomputed every call and never cached.
      *
      * @param {Creep} creep
-     * @param {RoomPosition} targetPos
-     * @param {number} reusePath
+     * @param {Array<{pos:RoomPosition,range:number}>} threats - keep at least
+     *   `range` tiles from each
+     * @param {Object} [opts] - see `findFleePath`
+     * @returns {number} OK, ERR_TIRED, ERR_INVALID_ARGS or ERR_NO_PATH (already safe, or cornered)
+     */
+    flee(creep, threats, opts = {}) {
+        if (!creep || !threats || threats.length === 0) return ERR_INVALID_ARGS;
+
+        // Any cached seek path is stale once we've run
+        this._clearPath(creep);
+
+        const result = this.findFleePath(creep.pos, threats, opts);
+        if (!result.path || result.path.length === 0) return ERR_NO_PATH;
+
+        return Traffic.move(creep, creep.pos.getDirectionTo(result.path[0]));
+    },
+
+    /**
+     * PathFinder flee search away from threats, on the 'safe' cost matrix:
+     * our ramparts are cheapest, tiles outside our towers' cover dearer and
+     * hostile towers / ramparts avoided (util.costmatrix).
+     *
+     * @param {RoomPosition} origin
+     * @param {Array<{pos:RoomPosition,range:number}>} threats
+     * @param {Object} [opts]
+     * @param {number} [opts.maxOps=Config.PATHING.FLEE_MAX_OPS]
+     * @param {number} [opts.maxRooms=1] - stay in the room by default: the
+     *   ramparts and towers are here
+     * @returns {PathFinderPath}
+     */
+    findFleePath(origin, threats, opts = {}) {
+        const goals = threats.map(t => ({ pos: t.pos, range: t.range }));
+
+        return PathFinder.search(origin, goals, {
+            flee: true,
+            plainCost: 2,
+            swampCost: 10,
+            maxOps: typeof opts.maxOps === 'number' ? opts.maxOps : FLEE_MAX_OPS,
+            maxRooms: typeof opts.maxRooms === 'number' ? opts.maxRooms : 1,
+            roomCallback: roomName => CostMatrices.get(roomName, CostMatrices.VARIANTS.SAFE)
+        });
+    },
+
+    /**
+     * Room route between two rooms via Game.map.findRoute, weighted by
+     * RoomIntel.routeCost (hostile and source keeper rooms are skipped).
+     * Routes are cached on the heap for Config.PATHING.ROUTE_CACHE_TICKS and
+     * shared by every creep making the same trip.
+     *
+     * @param {string} fromRoom
+     * @param {string} toRoom
+     * @returns {string[]|null} room names from `fromRoom` to `toRoom`, or null
+     */
+    findRoute(fromRoom, toRoom) {
+        if (fromRoom === toRoom) return [fromRoom];
+
+        const routeKey = `${fromRoom}>${toRoom}`;
+        const cached = routes[routeKey];
+        if (cached && Game.time - cached.tick < ROUTE_CACHE_TICKS) {
+            return cached.rooms;
+        }
+
+        const result = Game.map.findRoute(fromRoom, toRoom, {
+            routeCallback: roomName => {
+                // Always allow the end points, whatever the intel says
+                if (roomName === toRoom) return 1;
+                return RoomIntel.routeCost(roomName);
+            }
+        });
+
+        const rooms = result === ERR_NO_PATH || !Array.isArray(result)
+            ? null
+            : [fromRoom].concat(result.map(step => step.room));
+
+        if (!rooms) {
+            console.log(`[Pathing] No route from ${fromRoom} to ${toRoom}`);
+        }
+
+        routes[routeKey] = { tick: Game.time, rooms };
+        return rooms;
+    },
+
+    /**
+     * Matrix variant for a room on the way: creeps only matter in the room
+     * the creep is in, further rooms use the structures-only matrix.
+     *
+     * @param {Creep} creep
+     * @param {string} roomName
+     * @param {string} variant
+     * @returns {string}
+     * @private
+     */
+    _variantFor(creep, roomName, variant) {
+        if (roomName === creep.pos.roomName) return variant;
+        return variant === CostMatrices.VARIANTS.DEFAULT ? CostMatrices.VARIANTS.IGNORE_CREEPS : variant;
+    },
+
+    /**
+     * Whether the first step of a fresh path from an exit tile would bounce
+     * the creep: along the edge (each exit tile hops rooms) or straight back
+     * out of the room. Either way it steps into the room first and repaths.
+     *
+     * @param {Creep} creep
+     * @param {{x:number,y:number,roomName:string}} first
      * @returns {boolean}
      * @private
      */
-    _useCachedPath(creep, targetPos, reusePath) {
-        const cached = creep.memory._path;
-        const cachedTarget = creep.memory._pathTarget;
-        const setTick = creep.memory._pathSetTick;
+    _bounces(creep, first) {
+        if (!onEdge(creep.pos) || !first) return false;
+        return first.roomName !== creep.pos.roomName || onEdge(first);
+    },
 
-        if (
-            !cached ||
-            !Array.isArray(cached) ||
-            !cachedTarget ||
-            typeof cachedTarget.x !== 'number' ||
-            typeof cachedTarget.y !== 'number' ||
-            cachedTarget.roomName !== targetPos.roomName ||
-            cachedTarget.x !== targetPos.x ||
-            cachedTarget.y !== targetPos.y
-        ) {
-            return false;
+    /**
+     * Step from an exit tile into the room, straight in if possible, else
+     * diagonally.
+     *
+     * @param {Creep} creep
+     * @returns {number} OK, ERR_TIRED or ERR_NO_PATH when walled in
+     * @private
+     */
+    _stepOffEdge(creep) {
+        const pos = creep.pos;
+        const side = pos.x === 0 ? 'left' : pos.x === 49 ? 'right' : pos.y === 0 ? 'top' : 'bottom';
+        const terrain = Game.map.getRoomTerrain(pos.roomName);
+
+        const steps = EDGE_EXITS[side];
+        for (let i = 0; i < steps.length; i++) {
+            const [dir, dx, dy] = steps[i];
+            const x = pos.x + dx;
+            const y = pos.y + dy;
+            if (x < 1 || x > 48 || y < 1 || y > 48) continue;
+            if (terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
+            return Traffic.move(creep, dir);
         }
+        return ERR_NO_PATH;
+    },
+
+    /**
+     * Try to follow the cached path if it leads to the same destination and
+     * isn't too old.
+     *
+     * @param {Creep} creep
+     * @param {string} key - PathCache.key of the destination
+     * @param {number} reusePath
+     * @returns {boolean}
+     * @private
+     */
+    _useCachedPath(creep, key, reusePath) {
+        const move = creep.memory._move;
+        if (!move || move.key !== key) return false;
 
         // Path too old? Recalculate.
-        if (typeof setTick === 'number' && Game.time - setTick > reusePath) {
-            delete creep.memory._path;
-            delete creep.memory._pathTarget;
-            delete creep.memory._pathSetTick;
+        if (Game.time - move.tick > reusePath) {
+            this._clearPath(creep);
             return false;
         }
 
-        const res = creep.moveByPath(cached);
+        const res = this._step(creep);
         if (res === OK || res === ERR_TIRED) {
             return true;
         }
 
-        // Path broken, clear it.
-        delete creep.memory._path;
-        delete creep.memory._pathTarget;
-        delete creep.memory._pathSetTick;
+        // Finished, or knocked off the path: clear it.
+        this._clearPath(creep);
         return false;
     },
 
     /**
-     * Store a newly computed path in creep memory.
+     * Advance the cached path's cursor to the creep and register the next
+     * step with the traffic manager.
+     *
+     * @param {Creep} creep
+     * @returns {number} OK, ERR_TIRED or ERR_NOT_FOUND (path finished, or
+     *   the creep is off it)
+     * @private
+     */
+    _step(creep) {
+        const move = creep.memory._move;
+        const dir = PathCache.follow(move.path, move, creep.pos);
+        if (!dir) return ERR_NOT_FOUND;
+
+        return Traffic.move(creep, dir);
+    },
+
+    /**
+     * Store a newly computed path in creep memory and share it.
      *
      * @param {Creep} creep
-     * @param {RoomPosition} targetPos
+     * @param {string} key - PathCache.key of the destination
      * @param {RoomPosition[]} path
      * @private
      */
-    _setCachedPath(creep, targetPos, path) {
-        creep.memory._path = path;
-        creep.memory._pathTarget = {
-            x: targetPos.x,
-            y: targetPos.y,
-            roomName: targetPos.roomName
-        };
-        creep.memory._pathSetTick = Game.time;
+    _setCachedPath(creep, key, path) {
+        const serialized = PathCache.serialize(creep.pos, path);
+        creep.memory._move = Object.assign(
+            { key, tick: Game.time, path: serialized },
+            PathCache.cursor(serialized)
+        );
+        PathCache.share(key, serialized);
+    },
+
+    /**
+     * Forget the creep's cached path.
+     *
+     * @param {Creep} creep
+     * @private
+     */
+    _clearPath(creep) {
+        delete creep.memory._move;
     },
 
     /**
-     * Basic stuck detection:
-     *  - If creep hasn't moved for Config.PATHING.STUCK_TICKS, clear its cached path
-     *  - Attempt a random step to break traffic jams
+     * Basic stuck detection: if the creep hasn't moved for
+     * Config.PATHING.STUCK_TICKS, clear its cached path so the next call
+     * paths around whatever traffic couldn't move.
      *
      * @param {Creep} creep
      * @private
@@ -189,14 +391,7 @@ const Pathing = {
 
         if (stuckTicks >= Config.PATHING.STUCK_TICKS) {
             // Clear path cache
-            delete creep.memory._path;
-            delete creep.memory._pathTarget;
-            delete creep.memory._pathSetTick;
-
-            // Attempt a random nudge move to break jams
-            const directions = [TOP, TOP_RIGHT, RIGHT, BOTTOM_RIGHT, BOTTOM, BOTTOM_LEFT, LEFT, TOP_LEFT];
-            const dir = directions[Math.floor(Math.random() * directions.length)];
-            creep.move(dir);
+            this._clearPath(creep);
 
             // Reset counter
             creep.memory._stuckTicks = 0;
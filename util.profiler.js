@@ -13,6 +13,8 @@
  */
 const Profiler = {
     data: {},
+    /** CPU saved by caches: label -> { hits, cpu } */
+    savings: {},
     enabled: true,
 
     /**
@@ -58,6 +60,20 @@ const Profiler = {
         stats.maxTime = Math.max(stats.maxTime, elapsed);
     },
 
+    /**
+     * Credit CPU a cache saved (one hit that didn't have to recompute).
+     *
+     * @param {string} label
+     * @param {number} cpu - what the miss would have cost
+     */
+    saved(label, cpu) {
+        if (!this.enabled) return;
+
+        const entry = this.savings[label] || (this.savings[label] = { hits: 0, cpu: 0 });
+        entry.hits++;
+        entry.cpu += cpu;
+    },
+
     /**
      * Get average time for a label.
      *
@@ -119,6 +135,19 @@ const Profiler = {
                 `last: ${s.last}ms`
             );
         }
+
+        const labels = Object.keys(this.savings);
+        if (labels.length === 0) return;
+
+        let total = 0;
+        console.log('');
+        console.log('--- Saved by caches ---');
+        for (let i = 0; i < labels.length; i++) {
+            const s = this.savings[labels[i]];
+            total += s.cpu;
+            console.log(`${labels[i]}: ${s.hits} hits | saved: ${s.cpu.toFixed(2)}ms`);
+        }
+        console.log(`total saved: ${total.toFixed(2)}ms`);
     },
 
     /**
@@ -126,6 +155,7 @@ const Profiler = {
      */
     reset() {
         this.data = {};
+        this.savings = {};
     },
 
     /**
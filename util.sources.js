@@ -0,0 +1,243 @@
+// util.sources.js
+// Source analysis and harvester slot assignment.
+
+const Config    = require("config");
+const RoomCache = require("util.cache");
+
+const HARVESTER_DUTY = (Config.ECONOMY && Config.ECONOMY.HARVESTER_DUTY) || 0.5;
+
+/**
+ * Source slots:
+ *  - `analyze` records each source's walkable adjacent tiles and energy
+ *    capacity in room.memory.sources (once, refreshed if capacity changes)
+ *  - Harvesters get memory.sourceId + memory.slot {x,y} from `assign`
+ *  - Assignments live only in creep memory, so dead creeps free their slot;
+ *    `rebalance` moves harvesters off crowded sources onto starved ones
+ */
+const SourceUtil = {
+    /**
+     * Analyzed sources for a room.
+     *
+     * @param {Room} room
+     * @returns {Record<string, {x:number,y:number,capacity:number,slots:Array<{x:number,y:number}>}>}
+     */
+    analyze(room) {
+        if (!room.memory.sources) room.memory.sources = {};
+        const known = room.memory.sources;
+
+        const sources = RoomCache.sources(room);
+        for (let i = 0; i < sources.length; i++) {
+            const source = sources[i];
+            const entry = known[source.id];
+            if (entry && entry.capacity === source.energyCapacity) continue;
+
+            known[source.id] = {
+                x: source.pos.x,
+                y: source.pos.y,
+                capacity: source.energyCapacity,
+                slots: this._walkableAround(room, source.pos)
+            };
+        }
+
+        return known;
+    },
+
+    /**
+     * WORK parts needed on a source to drain it, allowing for the time
+     * walking harvesters spend delivering.
+     *
+     * @param {{capacity:number}} info
+     * @returns {number}
+     */
+    workNeeded(info) {
+        return Math.ceil(info.capacity / ENERGY_REGEN_TIME / HARVEST_POWER / HARVESTER_DUTY);
+    },
+
+    /**
+     * Current assignments: WORK and taken slots per source, from live
+     * harvesters in the room.
+     *
+     * @param {Room} room
+     * @param {Creep[]} [creeps]
+     * @returns {Record<string, {work:number,creeps:Creep[],taken:Set<string>}>}
+     */
+    assignments(room, creeps) {
+        const info = this.analyze(room);
+        const list = creeps || RoomCache.creeps(room, Config.ROLES.HARVESTER);
+
+        /** @type {Record<string, {work:number,creeps:Creep[],taken:Set<string>}>} */
+        const result = {};
+        for (const id in info) {
+            result[id] = { work: 0, creeps: [], taken: new Set() };
+        }
+
+        for (let i = 0; i < list.length; i++) {
+            const creep = list[i];
+            if (creep.memory.role !== Config.ROLES.HARVESTER) continue;
+
+            const entry = result[creep.memory.sourceId];
+            if (!entry) continue;
+
+            entry.work += creep.getActiveBodyparts(WORK);
+            entry.creeps.push(creep);
+            if (creep.memory.slot) entry.taken.add(`${creep.memory.slot.x},${creep.memory.slot.y}`);
+        }
+
+        return result;
+    },
+
+    /**
+     * Whether every source is saturated: all slots taken or enough WORK.
+     *
+     * @param {Room} room
+     * @param {Creep[]} [creeps]
+     * @returns {boolean}
+     */
+    isSaturated(room, creeps) {
+        const info = this.analyze(room);
+        const current = this.assignments(room, creeps);
+
+        for (const id in info) {
+            const entry = current[id];
+            if (entry.taken.size < info[id].slots.length && entry.work < this.workNeeded(info[id])) {
+                return false;
+            }
+        }
+        return true;
+    },
+
+    /**
+     * Give a harvester a source and a free slot next to it, preferring the
+     * source furthest from saturation. Existing valid assignments are kept.
+     *
+     * @param {Creep} creep
+     * @returns {string|null} assigned source id
+     */
+    assign(creep) {
+        const room = creep.room;
+        const info = this.analyze(room);
+
+        if (creep.memory.sourceId && info[creep.memory.sourceId]) {
+            return creep.memory.sourceId;
+        }
+
+        const current = this.assignments(room);
+        let bestId = null;
+        let bestShare = Infinity;
+
+        for (const id in info) {
+            if (current[id].taken.size >= info[id].slots.length) continue;
+
+            const share = current[id].work / this.workNeeded(info[id]);
+            if (share < bestShare) {
+                bestShare = share;
+                bestId = id;
+            }
+        }
+
+        // Every slot is taken: share the least loaded source without a slot
+        if (!bestId) {
+            for (const id in info) {
+                const share = current[id].work / this.workNeeded(info[id]);
+                if (share < bestShare) {
+                    bestShare = share;
+                    bestId = id;
+                }
+            }
+        }
+        if (!bestId) return null;
+
+        creep.memory.sourceId = bestId;
+        creep.memory.slot = this._freeSlot(info[bestId], current[bestId].taken, creep.pos);
+        return bestId;
+    },
+
+    /**
+     * Move one harvester from the most over-served source to the most
+     * under-served one (if that source has a free slot). Call periodically.
+     *
+     * @param {Room} room
+     * @param {Creep[]} creeps
+     */
+    rebalance(room, creeps) {
+        const info = this.analyze(room);
+        const current = this.assignments(room, creeps);
+
+        let rich = null;
+        let poor = null;
+        for (const id in info) {
+            const share = current[id].work / this.workNeeded(info[id]);
+            if (current[id].creeps.length > 1 && (!rich || share > rich.share)) rich = { id, share };
+            if (current[id].taken.size < info[id].slots.length && (!poor || share < poor.share)) poor = { id, share };
+        }
+        if (!rich || !poor || rich.id === poor.id) return;
+
+        // Only move if it doesn't just flip the imbalance around
+        const mover = current[rich.id].creeps
+            .slice()
+            .sort((a, b) => a.getActiveBodyparts(WORK) - b.getActiveBodyparts(WORK))[0];
+        const moved = mover.getActiveBodyparts(WORK);
+
+        const richAfter = (current[rich.id].work - moved) / this.workNeeded(info[rich.id]);
+        const poorAfter = (current[poor.id].work + moved) / this.workNeeded(info[poor.id]);
+        if (poorAfter > richAfter) return;
+
+        mover.memory.sourceId = poor.id;
+        mover.memory.slot = this._freeSlot(info[poor.id], current[poor.id].taken, mover.pos);
+        console.log(`[Sources] ${room.name}: moved ${mover.name} to source ${poor.id}`);
+    },
+
+    /**
+     * Free slot closest to `from`, or null when every slot is taken.
+     *
+     * @param {{slots:Array<{x:number,y:number}>}} info
+     * @param {Set<string>} taken
+     * @param {RoomPosition} from
+     * @returns {{x:number,y:number}|null}
+     * @private
+     */
+    _freeSlot(info, taken, from) {
+        let best = null;
+        let bestRange = Infinity;
+        for (let i = 0; i < info.slots.length; i++) {
+            const slot = info.slots[i];
+            if (taken.has(`${slot.x},${slot.y}`)) continue;
+
+            const range = Math.max(Math.abs(slot.x - from.x), Math.abs(slot.y - from.y));
+            if (range < bestRange) {
+                bestRange = range;
+                best = slot;
+            }
+        }
+        return best ? { x: best.x, y: best.y } : null;
+    },
+
+    /**
+     * Non-wall tiles around a position.
+     *
+     * @param {Room} room
+     * @param {RoomPosition} pos
+     * @returns {Array<{x:number,y:number}>}
+     * @private
+     */
+    _walkableAround(room, pos) {
+        const terrain = room.getTerrain();
+        const slots = [];
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                if (dx === 0 && dy === 0) continue;
+
+                const x = pos.x + dx;
+                const y = pos.y + dy;
+                if (x <= 0 || x >= 49 || y <= 0 || y >= 49) continue;
+                if (terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
+
+                slots.push({ x, y });
+            }
+        }
+        return slots;
+    }
+};
+
+module.exports = SourceUtil;
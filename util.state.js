@@ -0,0 +1,227 @@
+// util.state.js
+// Declarative creep state machines: states, enter/exit hooks and transition predicates.
+
+const Config = require("config");
+
+const StateConfig = Config.STATE || {};
+
+const STUCK_TICKS     = StateConfig.STUCK_TICKS || 300;
+const LOG_TRANSITIONS = StateConfig.LOG_TRANSITIONS === true;
+
+// Guards against two states whose predicates keep handing over to each other
+const MAX_TRANSITIONS_PER_TICK = 3;
+
+/**
+ * Creep state machines.
+ *
+ * A machine is declared once per role:
+ *
+ *   const Machine = StateMachine.define("harvester", {
+ *       initial: "harvest",                    // or function(creep) -> state
+ *       states: {
+ *           harvest: {
+ *               enter(creep) {},               // optional
+ *               exit(creep) {},                // optional
+ *               run(creep) {},                 // may return a state name to switch to
+ *               transitions: [
+ *                   { to: "deliver", when: creep => isFull(creep), reason: "full" }
+ *               ],
+ *               stuckAfter: 300                // optional, defaults to Config.STATE.STUCK_TICKS
+ *           },
+ *           ...
+ *       }
+ *   });
+ *
+ * and driven each tick with `StateMachine.run(Machine, creep)`. The current
+ * state lives in creep.memory.state and the tick it was entered in
+ * creep.memory.stateSince. A creep that stays in one state longer than its
+ * `stuckAfter` is logged once and listed by `report`. From the console:
+ *   require('util.state').report('W1N1')
+ */
+const StateMachine = {
+    /**
+     * Declare a machine. Throws on states or transitions that point nowhere,
+     * so a typo fails at load time rather than mid-game.
+     *
+     * @param {string} name - usually the role name
+     * @param {{initial:string|function(Creep):string,states:Record<string, Object>}} def
+     * @returns {{name:string,initial:string|function(Creep):string,states:Record<string, Object>}}
+     */
+    define(name, def) {
+        const states = def.states || {};
+        const names = Object.keys(states);
+
+        const check = (to, from) => {
+            if (!states[to]) {
+                throw new Error(`[State] ${name}: unknown state "${to}" (from ${from})`);
+            }
+        };
+
+        if (typeof def.initial !== "function") check(def.initial, "initial");
+
+        for (let i = 0; i < names.length; i++) {
+            const transitions = states[names[i]].transitions || [];
+            for (let j = 0; j < transitions.length; j++) {
+                check(transitions[j].to, names[i]);
+            }
+        }
+
+        return Object.freeze({ name, initial: def.initial, states });
+    },
+
+    /**
+     * One tick: enter the initial state if needed, follow the first
+     * transition whose predicate holds, then run the resulting state. A state
+     * name returned from `run` is switched to straight away (it acts next tick).
+     *
+     * @param {{name:string,states:Record<string, Object>}} machine
+     * @param {Creep} creep
+     */
+    run(machine, creep) {
+        let state = this._current(machine, creep);
+
+        for (let hops = 0; hops < MAX_TRANSITIONS_PER_TICK; hops++) {
+            const transitions = machine.states[state].transitions || [];
+            const next = transitions.find(t => t.when(creep));
+            if (!next) break;
+
+            this.go(machine, creep, next.to, next.reason);
+            state = next.to;
+        }
+
+        const requested = machine.states[state].run(creep);
+        if (requested && requested !== state) {
+            this.go(machine, creep, requested, "run");
+            state = requested;
+        }
+
+        this._checkStuck(machine, creep, state);
+    },
+
+    /**
+     * Switch a creep to `to`, running the exit hook of the old state and the
+     * enter hook of the new one.
+     *
+     * @param {{name:string,states:Record<string, Object>}} machine
+     * @param {Creep} creep
+     * @param {string} to
+     * @param {string} [reason] - for the transition log
+     */
+    go(machine, creep, to, reason) {
+        if (!machine.states[to]) {
+            throw new Error(`[State] ${machine.name}: unknown state "${to}"`);
+        }
+
+        const from = creep.memory.state;
+        const old = from && machine.states[from];
+        if (old && old.exit) old.exit(creep);
+
+        creep.memory.state = to;
+        creep.memory.stateSince = Game.time;
+        delete creep.memory.stateStuck;
+
+        if (LOG_TRANSITIONS) {
+            console.log(`[State] ${creep.name} (${machine.name}): ${from || "-"} -> ${to}${reason ? ` (${reason})` : ""}`);
+        }
+
+        const next = machine.states[to];
+        if (next.enter) next.enter(creep);
+    },
+
+    /**
+     * Ticks the creep has spent in its current state.
+     *
+     * @param {Creep} creep
+     * @returns {number}
+     */
+    age(creep) {
+        return creep.memory.stateSince !== undefined ? Game.time - creep.memory.stateSince : 0;
+    },
+
+    /**
+     * Initial state for creeps spawned before their role had a state machine
+     * and still carrying the old memory.working flag (which is dropped).
+     *
+     * @param {Creep} creep
+     * @param {string} working - state for working === true
+     * @param {string} idle - state otherwise
+     * @returns {string}
+     */
+    fromWorking(creep, working, idle) {
+        const state = creep.memory.working ? working : idle;
+        delete creep.memory.working;
+        return state;
+    },
+
+    /**
+     * Print every creep's state and age, stuck ones flagged.
+     *
+     * @param {string} [roomName] - only creeps in this room
+     */
+    report(roomName) {
+        const rows = [];
+        for (const name in Game.creeps) {
+            const creep = Game.creeps[name];
+            if (!creep.memory.state) continue;
+            if (roomName && creep.room.name !== roomName) continue;
+
+            rows.push(creep);
+        }
+
+        rows.sort((a, b) =>
+            (a.memory.role || "").localeCompare(b.memory.role || "") ||
+            this.age(b) - this.age(a));
+
+        console.log(`=== CREEP STATES${roomName ? ` ${roomName}` : ""} ===`);
+        for (let i = 0; i < rows.length; i++) {
+            const creep = rows[i];
+            console.log(
+                `${creep.name.padEnd(16)} ${String(creep.memory.role).padEnd(12)} ` +
+                `${creep.memory.state.padEnd(10)} ${String(this.age(creep)).padStart(5)}t` +
+                (creep.memory.stateStuck ? "  STUCK" : "")
+            );
+        }
+    },
+
+    /**
+     * Current state, entering the initial one for new creeps (or when the
+     * stored state no longer exists in the machine).
+     *
+     * @param {{name:string,initial:string|function(Creep):string,states:Record<string, Object>}} machine
+     * @param {Creep} creep
+     * @returns {string}
+     * @private
+     */
+    _current(machine, creep) {
+        const state = creep.memory.state;
+        if (state && machine.states[state]) return state;
+
+        const initial = typeof machine.initial === "function"
+            ? machine.initial(creep)
+            : machine.initial;
+
+        this.go(machine, creep, initial, "initial");
+        return initial;
+    },
+
+    /**
+     * Log (once) a creep that has outstayed its state's `stuckAfter`.
+     *
+     * @param {{name:string,states:Record<string, Object>}} machine
+     * @param {Creep} creep
+     * @param {string} state
+     * @private
+     */
+    _checkStuck(machine, creep, state) {
+        if (creep.memory.stateStuck) return;
+
+        const limit = machine.states[state].stuckAfter || STUCK_TICKS;
+        const age = this.age(creep);
+        if (age < limit) return;
+
+        creep.memory.stateStuck = true;
+        console.log(`[State] ${creep.name} (${machine.name}) stuck in "${state}" for ${age} ticks at ${creep.pos}`);
+    }
+};
+
+module.exports = StateMachine;
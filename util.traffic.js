@@ -0,0 +1,331 @@
+// util.traffic.js
+// Traffic resolver: collects every creep's intended move for the tick and resolves them together.
+
+const RoomCache = require('util.cache');
+
+// How far a chain of "the creep in front moves first" is followed
+const MAX_CHAIN = 8;
+
+// Pins are refreshed every tick a creep works; last tick's still count
+const PIN_TTL = 1;
+
+/** @type {Record<DirectionConstant, {dx:number,dy:number}>} */
+const OFFSETS = {
+    [TOP]:          { dx: 0,  dy: -1 },
+    [TOP_RIGHT]:    { dx: 1,  dy: -1 },
+    [RIGHT]:        { dx: 1,  dy: 0 },
+    [BOTTOM_RIGHT]: { dx: 1,  dy: 1 },
+    [BOTTOM]:       { dx: 0,  dy: 1 },
+    [BOTTOM_LEFT]:  { dx: -1, dy: 1 },
+    [LEFT]:         { dx: -1, dy: 0 },
+    [TOP_LEFT]:     { dx: -1, dy: -1 }
+};
+
+/**
+ * This tick's intended moves (creep name -> direction), in registration order.
+ * @type {{tick:number,moves:Map<string,{creep:Creep,dir:DirectionConstant}>}}
+ */
+let intents = { tick: -1, moves: new Map() };
+
+/**
+ * Work tiles: creep name -> the target it must stay within `range` of.
+ * @type {Record<string, {tick:number,x:number,y:number,roomName:string,range:number}>}
+ */
+const pins = {};
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @returns {string}
+ */
+function key(x, y) {
+    return `${x},${y}`;
+}
+
+/**
+ * Traffic manager.
+ *
+ * Creeps don't call creep.move themselves: Pathing registers the step it
+ * wants with `move`, working creeps `pin` themselves to their work tile, and
+ * `run` (once, after every creep has acted) resolves all moves per room:
+ *  - a creep moving into a tile its occupant is leaving just follows
+ *  - two creeps walking into each other swap
+ *  - an idle creep in the way is shoved to a free neighbouring tile (or
+ *    swapped back), staying within range of its pin
+ *  - creeps pinned at range 0, fatigued or still spawning never move; the
+ *    creep behind them waits and repaths once Pathing sees it is stuck
+ */
+const Traffic = {
+    /**
+     * Register the step a creep wants to take this tick. A later call for the
+     * same creep replaces the earlier one.
+     *
+     * @param {Creep} creep
+     * @param {DirectionConstant} dir
+     * @returns {number} OK, or ERR_TIRED when the creep can't move anyway
+     */
+    move(creep, dir) {
+        if (creep.fatigue > 0) return ERR_TIRED;
+
+        if (intents.tick !== Game.time) {
+            intents = { tick: Game.time, moves: new Map() };
+        }
+        intents.moves.set(creep.name, { creep, dir });
+        return OK;
+    },
+
+    /**
+     * Keep a creep within `range` of `target` when it gets shoved aside
+     * (range 0: never shove). Call every tick the creep works there.
+     *
+     * @param {Creep} creep
+     * @param {RoomPosition|{pos:RoomPosition}} target
+     * @param {number} [range=0]
+     */
+    pin(creep, target, range = 0) {
+        const pos = /** @type {any} */ (target).pos || target;
+        pins[creep.name] = { tick: Game.time, x: pos.x, y: pos.y, roomName: pos.roomName, range };
+    },
+
+    /**
+     * The creep's current pin, if it is still fresh.
+     *
+     * @param {Creep} creep
+     * @returns {{x:number,y:number,roomName:string,range:number}|null}
+     */
+    getPin(creep) {
+        const pin = pins[creep.name];
+        if (!pin) return null;
+        if (Game.time - pin.tick > PIN_TTL || pin.roomName !== creep.room.name) {
+            delete pins[creep.name];
+            return null;
+        }
+        return pin;
+    },
+
+    /**
+     * Resolve and execute this tick's moves. Call once per tick after all
+     * creep behavior has run.
+     */
+    run() {
+        if (intents.tick !== Game.time || intents.moves.size === 0) return;
+
+        /** @type {Record<string, Array<{creep:Creep,dir:DirectionConstant}>>} */
+        const byRoom = {};
+        for (const intent of intents.moves.values()) {
+            const roomName = intent.creep.room.name;
+            (byRoom[roomName] || (byRoom[roomName] = [])).push(intent);
+        }
+
+        for (const roomName in byRoom) {
+            this._resolveRoom(Game.rooms[roomName], byRoom[roomName]);
+        }
+
+        intents.moves.clear();
+    },
+
+    /**
+     * Resolve one room's moves and issue creep.move for everything that goes.
+     *
+     * @param {Room} room
+     * @param {Array<{creep:Creep,dir:DirectionConstant}>} list
+     * @private
+     */
+    _resolveRoom(room, list) {
+        /** @type {Map<string, Creep>} */
+        const occupants = new Map();
+        const creeps = RoomCache.creeps(room);
+        for (let i = 0; i < creeps.length; i++) {
+            occupants.set(key(creeps[i].pos.x, creeps[i].pos.y), creeps[i]);
+        }
+
+        const ctx = {
+            room,
+            occupants,
+            /** @type {Set<string>} tiles someone moves into */
+            claimed: new Set(),
+            /** @type {Map<string, DirectionConstant>} creep name -> direction to issue */
+            moving: new Map(),
+            /** @type {Set<string>} creeps already resolved (moving or not) */
+            done: new Set(),
+            /** @type {{terrain:RoomTerrain,blocked:Set<string>,roads:Set<string>}|null} built on first shove */
+            tiles: null
+        };
+
+        for (let i = 0; i < list.length; i++) {
+            this._resolve(ctx, list[i].creep, list[i].dir, 0);
+        }
+
+        for (const [name, dir] of ctx.moving) {
+            Game.creeps[name].move(dir);
+        }
+    },
+
+    /**
+     * Try to move `creep` one step in `dir`, moving whatever is in the way
+     * first. Returns whether the creep will move.
+     *
+     * @param {Object} ctx
+     * @param {Creep} creep
+     * @param {DirectionConstant} dir
+     * @param {number} depth
+     * @returns {boolean}
+     * @private
+     */
+    _resolve(ctx, creep, dir, depth) {
+        if (ctx.done.has(creep.name)) return ctx.moving.has(creep.name);
+        ctx.done.add(creep.name);
+
+        const x = creep.pos.x + OFFSETS[dir].dx;
+        const y = creep.pos.y + OFFSETS[dir].dy;
+
+        // Leaving the room: nothing here to collide with
+        if (x < 0 || x > 49 || y < 0 || y > 49) {
+            ctx.moving.set(creep.name, dir);
+            return true;
+        }
+
+        const tile = key(x, y);
+        if (ctx.claimed.has(tile)) return false;
+
+        const other = ctx.occupants.get(tile);
+        if (!other || ctx.moving.has(other.name)) {
+            return this._go(ctx, creep, dir, tile);
+        }
+
+        const otherIntent = intents.moves.get(other.name);
+        if (otherIntent) {
+            // Head-on: swap places
+            const ox = other.pos.x + OFFSETS[otherIntent.dir].dx;
+            const oy = other.pos.y + OFFSETS[otherIntent.dir].dy;
+            if (ox === creep.pos.x && oy === creep.pos.y && !ctx.done.has(other.name)) {
+                ctx.done.add(other.name);
+                this._go(ctx, other, otherIntent.dir, key(ox, oy));
+                return this._go(ctx, creep, dir, tile);
+            }
+
+            // Let the creep in front go first
+            if (depth < MAX_CHAIN && this._resolve(ctx, other, otherIntent.dir, depth + 1)) {
+                return this._go(ctx, creep, dir, tile);
+            }
+            return false;
+        }
+
+        // Idle or working creep in the way: shove it
+        if (ctx.done.has(other.name)) return false;
+        const shove = this._shoveDirection(ctx, other, creep);
+        if (!shove) return false;
+
+        ctx.done.add(other.name);
+        const sx = other.pos.x + OFFSETS[shove].dx;
+        const sy = other.pos.y + OFFSETS[shove].dy;
+        this._go(ctx, other, shove, key(sx, sy));
+        return this._go(ctx, creep, dir, tile);
+    },
+
+    /**
+     * Record a resolved move.
+     *
+     * @param {Object} ctx
+     * @param {Creep} creep
+     * @param {DirectionConstant} dir
+     * @param {string} tile
+     * @returns {boolean} always true
+     * @private
+     */
+    _go(ctx, creep, dir, tile) {
+        ctx.claimed.add(tile);
+        ctx.moving.set(creep.name, dir);
+        return true;
+    },
+
+    /**
+     * Where to push an idle creep that `pusher` wants to walk through: a free
+     * walkable neighbour within range of its pin, else the pusher's own tile
+     * (a swap). Null if the creep can't be moved.
+     *
+     * @param {Object} ctx
+     * @param {Creep} creep
+     * @param {Creep} pusher
+     * @returns {DirectionConstant|null}
+     * @private
+     */
+    _shoveDirection(ctx, creep, pusher) {
+        if (creep.fatigue > 0 || creep.spawning) return null;
+
+        const pin = this.getPin(creep);
+        if (pin && pin.range === 0) return null;
+
+        const allowed = (x, y) => !pin ||
+            Math.max(Math.abs(x - pin.x), Math.abs(y - pin.y)) <= pin.range;
+
+        const tiles = this._tiles(ctx);
+        let best = null;
+        let bestScore = Infinity;
+
+        for (const dir in OFFSETS) {
+            const x = creep.pos.x + OFFSETS[dir].dx;
+            const y = creep.pos.y + OFFSETS[dir].dy;
+            if (x < 1 || x > 48 || y < 1 || y > 48) continue;
+
+            const tile = key(x, y);
+            if (tiles.terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
+            if (tiles.blocked.has(tile) || ctx.claimed.has(tile)) continue;
+            if (x === pusher.pos.x && y === pusher.pos.y) continue;
+            if (!allowed(x, y)) continue;
+
+            const occupant = ctx.occupants.get(tile);
+            if (occupant && !ctx.moving.has(occupant.name)) continue;
+
+            // Prefer stepping off the road network, where the traffic is
+            const score = tiles.roads.has(tile) ? 1 : 0;
+            if (score < bestScore) {
+                bestScore = score;
+                best = /** @type {DirectionConstant} */ (Number(dir));
+            }
+        }
+        if (best) return best;
+
+        // Nowhere to go: trade places with the pusher
+        if (allowed(pusher.pos.x, pusher.pos.y)) {
+            return creep.pos.getDirectionTo(pusher.pos);
+        }
+        return null;
+    },
+
+    /**
+     * Room tiles for shoving: terrain, tiles nobody can stand on (obstacle
+     * structures and our own construction sites) and road tiles.
+     *
+     * @param {Object} ctx
+     * @returns {{terrain:RoomTerrain,blocked:Set<string>,roads:Set<string>}}
+     * @private
+     */
+    _tiles(ctx) {
+        if (ctx.tiles) return ctx.tiles;
+
+        const blocked = new Set();
+        const roads = new Set();
+        const obstacle = s => {
+            if (s.structureType === STRUCTURE_ROAD || s.structureType === STRUCTURE_CONTAINER) return false;
+            return s.structureType !== STRUCTURE_RAMPART || !s.my;
+        };
+
+        const structures = RoomCache.structures(ctx.room);
+        for (let i = 0; i < structures.length; i++) {
+            const s = /** @type {any} */ (structures[i]);
+            if (s.structureType === STRUCTURE_ROAD) roads.add(key(s.pos.x, s.pos.y));
+            if (obstacle(s)) blocked.add(key(s.pos.x, s.pos.y));
+        }
+
+        const sites = RoomCache.sites(ctx.room);
+        for (let i = 0; i < sites.length; i++) {
+            if (obstacle(sites[i])) blocked.add(key(sites[i].pos.x, sites[i].pos.y));
+        }
+
+        ctx.tiles = { terrain: ctx.room.getTerrain(), blocked, roads };
+        return ctx.tiles;
+    }
+};
+
+module.exports = Traffic;
@@ -0,0 +1,267 @@
+// util.visual.js
+// RoomVisual overlay of the base blueprint, road heatmap, rampart line, tower cover and container spots.
+
+const Config        = require("config");
+const LayoutPlanner = require("planner.layout");
+const RoomCache     = require("util.cache");
+
+const VisualConfig = Config.VISUAL || {};
+
+const MIN_BUCKET       = VisualConfig.MIN_BUCKET || 2000;
+const MAX_CPU_PER_ROOM = VisualConfig.MAX_CPU_PER_ROOM || 5;
+const TOWER_RANGE      = VisualConfig.TOWER_RANGE || 5;
+
+const LAYERS = ["structures", "heatmap", "ramparts", "towers", "containers"];
+
+// Fill colour per planned structure type; anything else is grey
+const COLORS = {
+    [STRUCTURE_SPAWN]: "#ffd700",
+    [STRUCTURE_EXTENSION]: "#f0c040",
+    [STRUCTURE_TOWER]: "#ff4040",
+    [STRUCTURE_STORAGE]: "#40a0ff",
+    [STRUCTURE_TERMINAL]: "#40d0ff",
+    [STRUCTURE_LINK]: "#c080ff",
+    [STRUCTURE_LAB]: "#ffffff",
+    [STRUCTURE_FACTORY]: "#a0a0a0",
+    [STRUCTURE_POWER_SPAWN]: "#ff60c0",
+    [STRUCTURE_NUKER]: "#80ff80",
+    [STRUCTURE_OBSERVER]: "#80ffff",
+    [STRUCTURE_ROAD]: "#666666"
+};
+
+/**
+ * Room overlay. Draws nothing unless switched on for a room from the console:
+ *   require('util.visual').toggle('W1N1')                    // all layers
+ *   require('util.visual').toggle('W1N1', ['heatmap'])       // just these
+ *
+ * Layers:
+ *  - structures: blueprint structures, solid when built, outlined when a
+ *    site is up, faint while only planned
+ *  - heatmap:    Memory.roadUsage, blue (rare) to red (busiest tile)
+ *  - ramparts:   the blueprint's rampart line
+ *  - towers:     each tower's optimal range (Config.VISUAL.TOWER_RANGE)
+ *  - containers: source / controller / mineral container spots
+ *
+ * The switch lives in Memory.rooms[name].visual, so rooms without vision can
+ * be drawn too (everything shows as planned). Drawing is skipped below
+ * Config.VISUAL.MIN_BUCKET, and a room stops drawing layers once it has
+ * used MAX_CPU_PER_ROOM.
+ */
+const Visualizer = {
+    LAYERS,
+
+    /**
+     * Switch the overlay for a room on (with the given layers) or off.
+     *
+     * @param {string} roomName
+     * @param {string[]} [layers=LAYERS]
+     * @returns {string} console feedback
+     */
+    toggle(roomName, layers) {
+        if (!Memory.rooms) Memory.rooms = {};
+        if (!Memory.rooms[roomName]) Memory.rooms[roomName] = {};
+        const mem = Memory.rooms[roomName];
+
+        if (mem.visual && !layers) {
+            delete mem.visual;
+            return `[Visual] Overlay off in ${roomName}`;
+        }
+
+        const wanted = (layers || LAYERS).filter(l => LAYERS.indexOf(l) !== -1);
+        mem.visual = { layers: wanted };
+        return `[Visual] Overlay on in ${roomName}: ${wanted.join(", ")}`;
+    },
+
+    /**
+     * Draw every room that has the overlay switched on. Call once per tick.
+     */
+    run() {
+        if (!Memory.rooms) return;
+        if (Game.cpu.bucket < MIN_BUCKET) return;
+
+        for (const roomName in Memory.rooms) {
+            const settings = Memory.rooms[roomName].visual;
+            if (!settings) continue;
+            this.draw(roomName, settings.layers || LAYERS);
+        }
+    },
+
+    /**
+     * Draw the overlay for one room.
+     *
+     * @param {string} roomName
+     * @param {string[]} layers
+     */
+    draw(roomName, layers) {
+        const visual = new RoomVisual(roomName);
+        const room = Game.rooms[roomName];
+        const start = Game.cpu.getUsed();
+
+        const draws = {
+            heatmap: () => this._drawHeatmap(visual, roomName),
+            ramparts: () => this._drawRamparts(visual, roomName),
+            structures: () => this._drawStructures(visual, roomName, room),
+            towers: () => this._drawTowers(visual, roomName, room),
+            containers: () => this._drawContainers(visual, roomName)
+        };
+
+        // Heatmap first so everything else sits on top of it
+        const order = ["heatmap", "ramparts", "structures", "towers", "containers"];
+        for (let i = 0; i < order.length; i++) {
+            if (layers.indexOf(order[i]) === -1) continue;
+            if (Game.cpu.getUsed() - start > MAX_CPU_PER_ROOM) {
+                visual.text(`overlay cut short (${MAX_CPU_PER_ROOM} CPU)`, 1, 1, { align: "left", color: "#ff8080" });
+                return;
+            }
+            draws[order[i]]();
+        }
+    },
+
+    /**
+     * @param {RoomVisual} visual
+     * @param {string} roomName
+     * @private
+     */
+    _drawHeatmap(visual, roomName) {
+        const usage = Memory.roadUsage && Memory.roadUsage[roomName];
+        if (!usage) return;
+
+        let max = 0;
+        for (const key in usage) max = Math.max(max, usage[key]);
+        if (max <= 0) return;
+
+        for (const key in usage) {
+            const count = usage[key];
+            if (count <= 0) continue;
+
+            const [xs, ys] = key.split(":");
+            // 240 (blue) for the quietest tiles down to 0 (red) for the busiest
+            const hue = Math.round(240 * (1 - count / max));
+            visual.rect(Number(xs) - 0.5, Number(ys) - 0.5, 1, 1, {
+                fill: `hsl(${hue}, 100%, 50%)`,
+                opacity: 0.35
+            });
+        }
+    },
+
+    /**
+     * @param {RoomVisual} visual
+     * @param {string} roomName
+     * @private
+     */
+    _drawRamparts(visual, roomName) {
+        const line = LayoutPlanner.positions(roomName, STRUCTURE_RAMPART);
+        for (let i = 0; i < line.length; i++) {
+            visual.rect(line[i].x - 0.45, line[i].y - 0.45, 0.9, 0.9, {
+                fill: "#00ff00",
+                opacity: 0.15,
+                stroke: "#00ff00",
+                strokeWidth: 0.05
+            });
+        }
+    },
+
+    /**
+     * Blueprint structures by status: built, sited or planned.
+     *
+     * @param {RoomVisual} visual
+     * @param {string} roomName
+     * @param {Room|undefined} room
+     * @private
+     */
+    _drawStructures(visual, roomName, room) {
+        const blueprint = LayoutPlanner.get(roomName);
+        if (!blueprint) return;
+
+        const built = new Set();
+        const sited = new Set();
+        if (room) {
+            const structures = RoomCache.structures(room);
+            for (let i = 0; i < structures.length; i++) {
+                const s = structures[i];
+                built.add(`${s.structureType}:${s.pos.x}:${s.pos.y}`);
+            }
+            const sites = RoomCache.sites(room);
+            for (let i = 0; i < sites.length; i++) {
+                const s = sites[i];
+                sited.add(`${s.structureType}:${s.pos.x}:${s.pos.y}`);
+            }
+        }
+
+        for (const type in blueprint.structures) {
+            if (type === STRUCTURE_RAMPART) continue;
+            const color = COLORS[type] || "#999999";
+            const radius = type === STRUCTURE_ROAD ? 0.15 : 0.35;
+            const entries = blueprint.structures[type];
+
+            for (let i = 0; i < entries.length; i++) {
+                const [x, y] = entries[i];
+                const key = `${type}:${x}:${y}`;
+
+                if (built.has(key)) {
+                    visual.circle(x, y, { radius, fill: color, opacity: 0.8 });
+                } else if (sited.has(key)) {
+                    visual.circle(x, y, { radius, fill: "transparent", stroke: color, strokeWidth: 0.08, opacity: 0.9 });
+                } else {
+                    visual.circle(x, y, { radius, fill: color, opacity: 0.2 });
+                }
+            }
+        }
+    },
+
+    /**
+     * Optimal range of built towers, or of the planned ones without vision.
+     *
+     * @param {RoomVisual} visual
+     * @param {string} roomName
+     * @param {Room|undefined} room
+     * @private
+     */
+    _drawTowers(visual, roomName, room) {
+        const towers = room
+            ? RoomCache.myStructures(room, STRUCTURE_TOWER).map(t => t.pos)
+            : LayoutPlanner.positions(roomName, STRUCTURE_TOWER);
+
+        for (let i = 0; i < towers.length; i++) {
+            const { x, y } = towers[i];
+            visual.rect(x - TOWER_RANGE - 0.5, y - TOWER_RANGE - 0.5, TOWER_RANGE * 2 + 1, TOWER_RANGE * 2 + 1, {
+                fill: "#ff4040",
+                opacity: 0.05,
+                stroke: "#ff4040",
+                strokeWidth: 0.05,
+                lineStyle: "dashed"
+            });
+        }
+    },
+
+    /**
+     * Container spots kept in Memory.storageLayout.
+     *
+     * @param {RoomVisual} visual
+     * @param {string} roomName
+     * @private
+     */
+    _drawContainers(visual, roomName) {
+        const layout = Memory.storageLayout && Memory.storageLayout[roomName];
+        if (!layout) return;
+
+        const spots = [];
+        for (const id in layout.sourceContainers || {}) {
+            spots.push({ pos: layout.sourceContainers[id], label: "src" });
+        }
+        if (layout.controllerContainer) spots.push({ pos: layout.controllerContainer, label: "ctrl" });
+        if (layout.mineralContainer) spots.push({ pos: layout.mineralContainer, label: "min" });
+
+        for (let i = 0; i < spots.length; i++) {
+            const { x, y } = spots[i].pos;
+            visual.rect(x - 0.4, y - 0.4, 0.8, 0.8, {
+                fill: "transparent",
+                stroke: "#ffaa00",
+                strokeWidth: 0.1
+            });
+            visual.text(spots[i].label, x, y - 0.6, { color: "#ffaa00", font: 0.35 });
+        }
+    }
+};
+
+module.exports = Visualizer;
@@ -1,5 +1,7 @@
 // managers/wallManager.js
 
+const Construction = require('manager.construction');
+
 const WallManager = {
     run(context) {
         const { room, mem } = context;
@@ -40,10 +42,9 @@ const WallManager = {
                     cs => cs.structureType === STRUCTURE_RAMPART
                 );
                 if (!existing) {
-                    const result = room.createConstructionSite(s.pos, STRUCTURE_RAMPART);
-                    if (result === OK) {
-                        console.log(`[Defense] Placed rampart site at ${room.name} ${s.pos.x},${s.pos.y} around ${s.structureType}`);
-                    }
+                    Construction.request(room, s.pos.x, s.pos.y, STRUCTURE_RAMPART, {
+                        reason: `cover ${s.structureType}`
+                    });
                 }
             }
         }